@@ -0,0 +1,326 @@
+// akomaNtoso.js
+"use strict";
+
+// Renders an act or regulation from the laws database as Akoma Ntoso 3.0
+// (OASIS LegalDocML) XML.
+//
+//   Acts / Regulations       <act name="act|regulation"> + <meta> (FRBR identification,
+//                            publication, lifecycle, entry into force, ministry)
+//   untitled first chapter   <preamble> (its text) + its sections/clauses directly in <body>
+//   หมวด N ...               <chapter>, with ส่วนที่ N (chapter ids ..._pNN) nested as <part>
+//   มาตรา / ข้อ              <section> / <clause>
+//
+// Fields Akoma Ntoso has no place for (raw effective-date phrase,
+// descriptions, summaries, applicable acts) go into <proprietary> under our
+// own namespace, so an export loses nothing.
+
+const path = require("path");
+const lawsStorage = require(path.join(__dirname, "./lawsStorageSimple.js"));
+const { parentChapterId } = require(path.join(__dirname, "./thaiLegalParser.js"));
+
+const AKN_NAMESPACE = "http://docs.oasis-open.org/legaldocml/ns/akn/3.0";
+const NT_NAMESPACE = "https://tekmonks.com/schemas/nt-laws";
+const SOURCE = "nt_manual_ingest";
+const COUNTRY = "th";
+const LANGUAGE = "tha";
+
+// XML 1.0 has no place for C0 controls (OCR noise), so they are dropped
+const escapeXml = value => String(value ?? "")
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+const attrs = values => Object.entries(values)
+    .filter(([, v]) => v !== null && v !== undefined && v !== "")
+    .map(([k, v]) => ` ${k}="${escapeXml(v)}"`)
+    .join("");
+
+const element = (name, values, children = null) =>
+    children === null ? `<${name}${attrs(values)}/>` : `<${name}${attrs(values)}>${children}</${name}>`;
+
+const indent = (lines, depth) => lines.map(l => "  ".repeat(depth) + l);
+
+function paragraphs(text) {
+    const lines = String(text || "").split(/\r?\n/).map(l => l.trim()).filter(Boolean);
+    return lines.length ? lines.map(l => element("p", {}, escapeXml(l))) : ["<p/>"];
+}
+
+// "หมวด ๑ บททั่วไป" → { num: "หมวด ๑", heading: "บททั่วไป" }
+function splitTitle(title, marker) {
+    const match = new RegExp(`^(${marker}\\s*[0-9๐-๙]+(?:\\s*/\\s*[0-9๐-๙]+)?)\\s*(.*)$`).exec(String(title || "").trim());
+    return match ? { num: match[1], heading: match[2] } : { num: null, heading: title || null };
+}
+
+// ids written by the parser: <owner>_s5_1_bis → "5-1-bis", <owner>_ch01 → "01"
+const provisionNumber = (id, letter) => {
+    const match = new RegExp(`_${letter}(\\d.*)$`).exec(id);
+    return match ? match[1].replace(/_/g, "-") : null;
+};
+
+/* ======================================================
+   Body
+   ====================================================== */
+function renderProvision(tag, prefix, letter, row, kind) {
+    const number = provisionNumber(row[`${kind}_id`], letter);
+    return [
+        `<${tag}${attrs({ eId: number ? `${prefix}_${number}` : null, GUID: row[`${kind}_id`] })}>`,
+        ...indent([
+            ...(row[`${kind}_title`] ? [element("num", {}, escapeXml(row[`${kind}_title`]))] : []),
+            "<content>",
+            ...indent(paragraphs(row[`${kind}_text`]), 1),
+            "</content>",
+        ], 1),
+        `</${tag}>`,
+    ];
+}
+
+function renderChapter(chapter, provisions, parts, eId, { isPart = false, parentTitle = null } = {}) {
+    const ownTitle = parentTitle && chapter.chapter_title && chapter.chapter_title.startsWith(parentTitle)
+        ? chapter.chapter_title.slice(parentTitle.length).trim()
+        : chapter.chapter_title;
+    const { num, heading } = splitTitle(ownTitle, isPart ? "ส่วนที่" : "หมวด");
+    const children = [...provisions, ...parts];
+
+    const inner = [
+        ...(num ? [element("num", {}, escapeXml(num))] : []),
+        ...(heading ? [element("heading", {}, escapeXml(heading))] : []),
+    ];
+    if (children.length) {
+        if (chapter.chapter_text) inner.push("<intro>", ...indent(paragraphs(chapter.chapter_text), 1), "</intro>");
+        inner.push(...children);
+    } else {
+        inner.push("<content>", ...indent(paragraphs(chapter.chapter_text), 1), "</content>");
+    }
+
+    const tag = isPart ? "part" : "chapter";
+    return [`<${tag}${attrs({ eId, GUID: chapter.chapter_id })}>`, ...indent(inner, 1), `</${tag}>`];
+}
+
+function renderBody(chapters, provisionsByChapter, provisionTag) {
+    // parts of the untitled leading chapter (no หมวด) stand on their own
+    const titled = new Set(chapters.filter(c => c.chapter_title).map(c => c.chapter_id));
+    const parentOf = c => {
+        const parent = parentChapterId(c.chapter_id);
+        return titled.has(parent) ? parent : null;
+    };
+    const [prefix, letter] = provisionTag === "section" ? ["sec", "s"] : ["clause", "c"];
+    const kind = provisionTag;
+    const provisions = c => (provisionsByChapter.get(c.chapter_id) || [])
+        .flatMap(p => renderProvision(provisionTag, prefix, letter, p, kind));
+
+    const preamble = [];
+    const body = [];
+    for (const chapter of chapters) {
+        if (parentOf(chapter)) continue;
+        // the parser's untitled leading chapter: enacting words and the provisions before หมวด ๑
+        if (!chapter.chapter_title) {
+            if (chapter.chapter_text) preamble.push(...paragraphs(chapter.chapter_text));
+            body.push(...provisions(chapter));
+            continue;
+        }
+        const partNo = c => Number(/_p(\d+)$/.exec(c.chapter_id)[1]);
+        if (parentChapterId(chapter.chapter_id)) {
+            body.push(...renderChapter(chapter, provisions(chapter), [], `part_${partNo(chapter)}`, { isPart: true }));
+            continue;
+        }
+        const chapterEId = `chp_${Number(provisionNumber(chapter.chapter_id, "ch")) || chapter.chapter_id.split("_").pop()}`;
+        const parts = chapters
+            .filter(p => parentOf(p) === chapter.chapter_id)
+            .flatMap(p => renderChapter(
+                p, provisions(p), [],
+                `${chapterEId}__part_${partNo(p)}`,
+                { isPart: true, parentTitle: chapter.chapter_title }
+            ));
+        body.push(...renderChapter(chapter, provisions(chapter), parts, chapterEId));
+    }
+    // the schema wants at least one provision in <body>
+    if (!body.length) body.push("<hcontainer name=\"empty\">", "  <content>", "    <p/>", "  </content>", "</hcontainer>");
+    return { preamble, body };
+}
+
+/* ======================================================
+   Meta
+   ====================================================== */
+function renderMeta(doc, kind, frbr, exportedOn) {
+    const ministry = doc[`${kind}_ministry`];
+    const publication = doc[`${kind}_publication_date`];
+    const effective = doc[`${kind}_effective_date_iso`];
+    const author = ministry ? "#ministry" : `#${SOURCE}`;
+
+    const identification = [
+        "<FRBRWork>",
+        ...indent([
+            element("FRBRthis", { value: `${frbr.work}/!main` }),
+            element("FRBRuri", { value: frbr.work }),
+            element("FRBRdate", { date: frbr.date, name: frbr.dateName }),
+            element("FRBRauthor", { href: author }),
+            element("FRBRcountry", { value: COUNTRY }),
+            element("FRBRnumber", { value: doc[`${kind}_id`] }),
+            element("FRBRname", { value: doc[`${kind}_name`] }),
+        ], 1),
+        "</FRBRWork>",
+        "<FRBRExpression>",
+        ...indent([
+            element("FRBRthis", { value: `${frbr.expression}/!main` }),
+            element("FRBRuri", { value: frbr.expression }),
+            element("FRBRdate", { date: frbr.date, name: frbr.dateName }),
+            element("FRBRauthor", { href: author }),
+            element("FRBRlanguage", { language: LANGUAGE }),
+        ], 1),
+        "</FRBRExpression>",
+        "<FRBRManifestation>",
+        ...indent([
+            element("FRBRthis", { value: `${frbr.expression}/!main.xml` }),
+            element("FRBRuri", { value: `${frbr.expression}.akn` }),
+            element("FRBRdate", { date: exportedOn, name: "export" }),
+            element("FRBRauthor", { href: `#${SOURCE}` }),
+        ], 1),
+        "</FRBRManifestation>",
+    ];
+
+    const events = [
+        publication && element("eventRef", { eId: "evt_publication", date: publication, source: "#original", type: "generation" }),
+        effective && effective !== publication &&
+            element("eventRef", { eId: "evt_entryIntoForce", date: effective, source: "#original", type: "generation" }),
+    ].filter(Boolean);
+    const inForceFrom = effective ? (effective !== publication ? "#evt_entryIntoForce" : "#evt_publication") : null;
+
+    const references = [
+        element("original", { eId: "original", href: frbr.expression, showAs: doc[`${kind}_name`] || doc[`${kind}_id`] }),
+        element("TLCOrganization", { eId: SOURCE, href: `/ontology/organization/${SOURCE}`, showAs: SOURCE }),
+        ministry && element("TLCOrganization", { eId: "ministry", href: `/ontology/organization/${COUNTRY}/${encodeURIComponent(ministry)}`, showAs: ministry }),
+        inForceFrom && element("TLCConcept", { eId: "inForce", href: "/ontology/concept/inForce", showAs: "in force" }),
+        ...(doc.applicable_acts || []).map((act, i) =>
+            element("activeRef", { eId: `ref_act_${i + 1}`, href: act.href, showAs: act.name || act.id })),
+    ].filter(Boolean);
+
+    const proprietary = [
+        element("nt:id", {}, escapeXml(doc[`${kind}_id`])),
+        doc[`${kind}_document_name`] && element("nt:documentName", {}, escapeXml(doc[`${kind}_document_name`])),
+        ministry && element("nt:ministry", {}, escapeXml(ministry)),
+        doc[`${kind}_effective_date`] && element("nt:effectiveDate", { iso: effective }, escapeXml(doc[`${kind}_effective_date`])),
+        doc[`${kind}_short_description`] && element("nt:shortDescription", {}, escapeXml(doc[`${kind}_short_description`])),
+        doc[`${kind}_long_description`] && element("nt:longDescription", {}, escapeXml(doc[`${kind}_long_description`])),
+        ...(doc.applicable_acts || []).map(act => element("nt:applicableAct", { href: act.href }, escapeXml(act.id))),
+        ...doc.summaries.map(s => element("nt:summary", { href: `#${s.id}` }, escapeXml(s.summary))),
+    ].filter(Boolean);
+
+    return [
+        "<meta>",
+        ...indent([
+            `<identification source="#${SOURCE}">`,
+            ...indent(identification, 1),
+            "</identification>",
+            ...(publication ? [element("publication", { date: publication, name: "ราชกิจจานุเบกษา", showAs: "ราชกิจจานุเบกษา" })] : []),
+            ...(events.length ? [`<lifecycle source="#${SOURCE}">`, ...indent(events, 1), "</lifecycle>"] : []),
+            ...(inForceFrom ? [
+                `<temporalData source="#${SOURCE}">`,
+                ...indent([
+                    "<temporalGroup eId=\"tg_1\">",
+                    `  ${element("timeInterval", { start: inForceFrom, refersTo: "#inForce" })}`,
+                    "</temporalGroup>",
+                ], 1),
+                "</temporalData>",
+            ] : []),
+            `<references source="#${SOURCE}">`,
+            ...indent(references, 1),
+            "</references>",
+            `<proprietary source="#${SOURCE}" xmlns:nt="${NT_NAMESPACE}">`,
+            ...indent(proprietary, 1),
+            "</proprietary>",
+        ], 1),
+        "</meta>",
+    ];
+}
+
+/* ======================================================
+   Documents
+   ====================================================== */
+const workUri = (kind, date, id) =>
+    `/akn/${COUNTRY}/act/${kind === "regulation" ? "regulation/" : ""}${date}/${encodeURIComponent(id)}`;
+
+function frbrFor(doc, kind, exportedOn) {
+    const publication = doc[`${kind}_publication_date`];
+    const effective = doc[`${kind}_effective_date_iso`];
+    const [date, dateName] = publication ? [publication, "publication"]
+        : effective ? [effective, "entryIntoForce"]
+        : [exportedOn, "export"];
+    const work = workUri(kind, date, doc[`${kind}_id`]);
+    return { date, dateName, work, expression: `${work}/${LANGUAGE}@` };
+}
+
+async function loadDocument(kind, id) {
+    if (kind === "act") {
+        const act = await lawsStorage.getAct(id);
+        if (!act) return null;
+        return { doc: act, chapters: await lawsStorage.getChaptersByAct(id), provisionTag: "section" };
+    }
+    const regulation = await lawsStorage.getRegulation(id);
+    if (!regulation) return null;
+
+    regulation.applicable_acts = [];
+    for (const actId of regulation.applicable_act_ids) {
+        const act = await lawsStorage.getAct(actId);
+        const date = act && (act.act_publication_date || act.act_effective_date_iso);
+        regulation.applicable_acts.push({
+            id: actId,
+            name: act ? act.act_name : null,
+            href: date ? `${workUri("act", date, actId)}/!main` : `#${actId}`,
+        });
+    }
+    return { doc: regulation, chapters: await lawsStorage.getChaptersByRegulation(id), provisionTag: "clause" };
+}
+
+/**
+ * The Akoma Ntoso XML of act or regulation `id` (kind "act" | "regulation"),
+ * or null when it does not exist.
+ */
+async function buildAkomaNtoso(kind, id, { exportedOn = new Date().toISOString().slice(0, 10) } = {}) {
+    if (!["act", "regulation"].includes(kind)) throw new Error(`Unknown document kind: ${kind}`);
+    const loaded = await loadDocument(kind, id);
+    if (!loaded) return null;
+    const { doc, chapters, provisionTag } = loaded;
+
+    const provisionsByChapter = new Map();
+    for (const chapter of chapters) {
+        provisionsByChapter.set(chapter.chapter_id, provisionTag === "section"
+            ? await lawsStorage.getSectionsByChapter(chapter.chapter_id)
+            : await lawsStorage.getClausesByChapter(chapter.chapter_id));
+    }
+    doc.summaries = [
+        ...chapters.map(c => ({ id: c.chapter_id, summary: c.chapter_summary })),
+        ...[...provisionsByChapter.values()].flat()
+            .map(p => ({ id: p[`${provisionTag}_id`], summary: p[`${provisionTag}_summary`] })),
+    ].filter(s => s.summary);
+
+    const frbr = frbrFor(doc, kind, exportedOn);
+    const { preamble, body } = renderBody(chapters, provisionsByChapter, provisionTag);
+
+    const lines = [
+        "<?xml version=\"1.0\" encoding=\"UTF-8\"?>",
+        `<akomaNtoso xmlns="${AKN_NAMESPACE}">`,
+        ...indent([
+            `<act name="${kind}">`,
+            ...indent([
+                ...renderMeta(doc, kind, frbr, exportedOn),
+                "<preface>",
+                `  <p>${element("docTitle", {}, escapeXml(doc[`${kind}_name`] || doc[`${kind}_id`]))}</p>`,
+                "</preface>",
+                ...(preamble.length ? ["<preamble>", ...indent(preamble, 1), "</preamble>"] : []),
+                "<body>",
+                ...indent(body, 1),
+                "</body>",
+            ], 1),
+            "</act>",
+        ], 1),
+        "</akomaNtoso>",
+    ];
+    return lines.join("\n") + "\n";
+}
+
+module.exports = {
+    AKN_NAMESPACE,
+    buildAkomaNtoso,
+};
@@ -0,0 +1,56 @@
+// akomaNtoso.test.js
+"use strict";
+
+// node --test akomaNtoso.test.js
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "laws-akn-"));
+process.env.DB_PATH = path.join(tmpDir, "laws.db");
+const lawsStorage = require(path.join(__dirname, "./lawsStorageSimple.js"));
+const { buildAkomaNtoso } = require(path.join(__dirname, "./akomaNtoso.js"));
+
+// stored out of order, with one insertion (5/1) and one ทวิ
+const NUMBERS = ["12", "5_bis", "1", "10", "2", "11", "5_1", "3", "4", "5", "6", "7", "8", "9"];
+const IN_ORDER = ["1", "2", "3", "4", "5", "5_1", "5_bis", "6", "7", "8", "9", "10", "11", "12"];
+
+before(async () => {
+    await lawsStorage.initDB({ create: true });
+    await lawsStorage.addOrUpdateAct({ act_id: "a1", act_name: "พระราชบัญญัติทดสอบ พ.ศ. ๒๕๖๐" });
+    await lawsStorage.addOrUpdateChapterByAct({
+        chapter_id: "a1_ch01", chapter_title: "หมวด ๑ บททั่วไป", chapter_text: "", act_id: "a1",
+    });
+    await lawsStorage.addOrUpdateRegulation({ regulation_id: "r1", regulation_name: "กฎกระทรวงทดสอบ พ.ศ. ๒๕๖๑" });
+    await lawsStorage.addOrUpdateChapterByRegulation({
+        chapter_id: "r1_ch01", chapter_title: "หมวด ๑ บททั่วไป", chapter_text: "", regulation_id: "r1",
+    });
+    for (const n of NUMBERS) {
+        await lawsStorage.addOrUpdateSection({
+            section_id: `a1_s${n}`, section_title: `มาตรา ${n}`, section_text: "ข้อความ", chapter_id: "a1_ch01",
+        });
+        await lawsStorage.addOrUpdateClause({
+            clause_id: `r1_c${n}`, clause_title: `ข้อ ${n}`, clause_text: "ข้อความ", chapter_id: "r1_ch01",
+        });
+    }
+});
+
+after(async () => {
+    await lawsStorage.closeDB();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+const guidsOf = (xml, prefix) => [...xml.matchAll(/GUID="([^"]+)"/g)].map(m => m[1]).filter(id => id.startsWith(prefix) && !id.includes("_ch"));
+
+test("sections of a chapter with more than ten of them come out in legal order", async () => {
+    const xml = await buildAkomaNtoso("act", "a1", { exportedOn: "2024-01-01" });
+    assert.deepStrictEqual(guidsOf(xml, "a1_s"), IN_ORDER.map(n => `a1_s${n}`));
+});
+
+test("so do the clauses of a regulation", async () => {
+    const xml = await buildAkomaNtoso("regulation", "r1", { exportedOn: "2024-01-01" });
+    assert.deepStrictEqual(guidsOf(xml, "r1_c"), IN_ORDER.map(n => `r1_c${n}`));
+});
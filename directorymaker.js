@@ -23,11 +23,12 @@ async function moveFile(src, dest) {
 }
 
 async function main() {
-    const dirPath = process.argv[2];
+    const dirPath = process.argv.slice(2).find(a => !a.startsWith("--"));
+    const dryRun = process.argv.includes("--dry-run");
 
     if (!dirPath) {
         console.error("❌ Invalid arguments.");
-        console.error(`Usage: node ${path.basename(__filename)} <directory-path>`);
+        console.error(`Usage: node ${path.basename(__filename)} <directory-path> [--dry-run]`);
         process.exit(1);
     }
 
@@ -52,13 +53,17 @@ async function main() {
             const targetDir = path.join(resolvedDir, baseName);
             const targetPath = path.join(targetDir, entry);
 
+            if (dryRun) {
+                console.log(`Would move ${entry} → ${baseName}/`);
+                continue;
+            }
             await ensureDir(targetDir);
 
             console.log(`Moving ${entry} → ${baseName}/`);
             await moveFile(fullPath, targetPath);
         }
 
-        console.log("✔ PDF organization complete");
+        console.log(dryRun ? "🔍 Dry run: no files moved" : "✔ PDF organization complete");
     } catch (err) {
         console.error("Error:", err.message);
         process.exit(1);
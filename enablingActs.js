@@ -0,0 +1,191 @@
+// enablingActs.js
+"use strict";
+
+// A regulation names the act it is made under in its preamble:
+//
+//   อาศัยอำนาจตามความในมาตรา ๕ และมาตรา ๖ แห่งพระราชบัญญัติ... พ.ศ. ๒๕๖๐
+//   รัฐมนตรีว่าการกระทรวง...ออกกฎกระทรวงไว้ ดังต่อไปนี้
+//
+// inferEnablingActs() reads that clause and matches the cited acts and
+// sections against the DB. An act whose title matches exactly is confident
+// and is linked to the regulation (RegulationActLinks, provenance "inferred"),
+// together with those of its empowering sections that are stored; anything
+// else is recorded in InferredActMappings with needs_review set and left for a
+// person to confirm (by listing it in regulation.json's applicable_act_ids).
+
+const path = require("path");
+const lawsStorage = require(path.join(__dirname, "./lawsStorageSimple.js"));
+const { extractReferences, normalizeDocumentName } = require(path.join(__dirname, "./thaiReferences.js"));
+
+// from "อาศัยอำนาจ" to the enacting "ดังต่อไปนี้" (or the end of the paragraph)
+const ENABLING_CLAUSE = /อาศัยอำนาจ[\s\S]*?(?=ดังต่อไปนี้|\n\s*\n|$)/;
+
+// a title without its year and amendment number, for near matches
+function looseTitle(name) {
+    return normalizeDocumentName(name)
+        .replace(/พ\.ศ\.\d{4}$/, "")
+        .replace(/\(ฉบับที่\d+\)/, "");
+}
+
+function matchAct(cited_act_name, acts) {
+    const wanted = normalizeDocumentName(cited_act_name);
+    const exact = acts.filter(a => normalizeDocumentName(a.act_name) === wanted);
+    if (exact.length === 1) return { act_id: exact[0].act_id, confidence: "high" };
+
+    const candidates = exact.length ? exact : acts.filter(a => a.act_name && looseTitle(a.act_name) === looseTitle(cited_act_name));
+    if (candidates.length === 1) {
+        const [act] = candidates;
+        return {
+            act_id: act.act_id,
+            confidence: "low",
+            review_reason: `title only matches ${act.act_id} ("${act.act_name}") without its year or amendment number`,
+        };
+    }
+    if (candidates.length > 1) {
+        return {
+            act_id: null,
+            confidence: "none",
+            review_reason: `title matches several acts: ${candidates.map(a => a.act_id).join(", ")}`,
+        };
+    }
+    return { act_id: null, confidence: "none", review_reason: "no act with this title in the DB" };
+}
+
+/**
+ * What a stored regulation's enabling clause cites:
+ *   { regulation_id, clause, act_ids, entries }
+ * clause is the text read (null when the preamble has none), act_ids the
+ * confidently matched acts, and entries one row per empowering section (or
+ * per act, when no section is named) in InferredActMappings form.
+ */
+async function inferEnablingActs(regulation_id) {
+    // structureText.js puts the preamble in the first chapter; hand-built
+    // regulation directories usually keep it in long_description
+    const chapters = await lawsStorage.getChaptersByRegulation(regulation_id);
+    const regulation = await lawsStorage.getRegulation(regulation_id);
+    const texts = [...chapters.map(c => c.chapter_text), regulation && regulation.regulation_long_description];
+    let clause = null;
+    for (const text of texts) {
+        const m = ENABLING_CLAUSE.exec(text || "");
+        if (m) {
+            clause = m[0].trim();
+            break;
+        }
+    }
+    if (!clause) {
+        return {
+            regulation_id,
+            clause: null,
+            act_ids: [],
+            entries: [{
+                confidence: "none",
+                needs_review: true,
+                review_reason: "no enabling clause (อาศัยอำนาจ...) in the preamble or long description",
+            }],
+        };
+    }
+
+    // sections grouped under the act that qualifies them; an act named on its
+    // own only counts when no section is cited at all (otherwise it is usually
+    // "ซึ่งแก้ไขเพิ่มเติมโดยพระราชบัญญัติ...", the act's own amendment)
+    const references = extractReferences(clause);
+    const cited = new Map();
+    const unqualified = [];
+    for (const ref of references) {
+        if (ref.target_type !== "section") continue;
+        if (!ref.document) unqualified.push(ref);
+        else if (ref.document.name && ref.document.document_type === "act") {
+            if (!cited.has(ref.document.name)) cited.set(ref.document.name, []);
+            cited.get(ref.document.name).push(ref);
+        }
+    }
+    if (cited.size === 0) {
+        for (const ref of references) {
+            if (ref.target_type === "act" && !cited.has(ref.document.name)) cited.set(ref.document.name, []);
+        }
+    }
+
+    const entries = [];
+    if (unqualified.length && cited.size === 1) {
+        const [sections] = cited.values();
+        sections.push(...unqualified);
+        sections.sort((a, b) => a.span_start - b.span_start);
+    } else {
+        for (const ref of unqualified) {
+            entries.push({
+                cited_text: ref.matched_text,
+                confidence: "none",
+                needs_review: true,
+                review_reason: "section cited without naming its act",
+            });
+        }
+    }
+    if (cited.size === 0 && entries.length === 0) {
+        entries.push({ confidence: "none", needs_review: true, review_reason: "enabling clause cites no act" });
+    }
+
+    const acts = await lawsStorage.getAllActs();
+    for (const [cited_act_name, sections] of cited) {
+        const match = matchAct(cited_act_name, acts);
+        const base = {
+            act_id: match.act_id,
+            cited_act_name,
+            confidence: match.confidence,
+            needs_review: match.confidence !== "high",
+            review_reason: match.review_reason || null,
+        };
+        if (sections.length === 0) {
+            entries.push({ ...base, cited_text: cited_act_name });
+            continue;
+        }
+        for (const ref of sections) {
+            const section_id = match.act_id ? `${match.act_id}_s${ref.target_number}` : null;
+            const entry = { ...base, section_id, cited_text: ref.matched_text };
+            if (section_id && !await lawsStorage.getSection(section_id)) {
+                entry.needs_review = true;
+                entry.review_reason = [base.review_reason, `${section_id} is not in the DB`].filter(Boolean).join("; ");
+            }
+            entries.push(entry);
+        }
+    }
+
+    const act_ids = [...new Set(entries.filter(e => e.act_id && e.confidence === "high").map(e => e.act_id))];
+    return { regulation_id, clause, act_ids, entries };
+}
+
+/**
+ * Infers and stores a regulation's enabling acts, replacing its inferred
+ * links; manual links are left alone.
+ */
+async function recordEnablingActs(regulation_id) {
+    const inferred = await inferEnablingActs(regulation_id);
+    await lawsStorage.setInferredActMappings(regulation_id, inferred.entries);
+
+    const links = inferred.act_ids.map(act_id => ({ act_id }));
+    for (const e of inferred.entries) {
+        if (e.section_id && !e.needs_review) links.push({ act_id: e.act_id, section_id: e.section_id });
+    }
+    await lawsStorage.setActRegulationLinks(regulation_id, links, "inferred");
+    return inferred;
+}
+
+/**
+ * Infers again the enabling acts of every regulation still waiting for one.
+ * A regulation ingested before its act is left with an unmatched (or no)
+ * mapping, and an unchanged directory is skipped on later runs, so this is
+ * run whenever an act is stored. Returns the regulations that gained a link.
+ */
+async function recordPendingEnablingActs() {
+    const linked = [];
+    for (const regulation_id of await lawsStorage.getRegulationsAwaitingEnablingActs()) {
+        const inferred = await recordEnablingActs(regulation_id);
+        if (inferred.act_ids.length) linked.push(inferred);
+    }
+    return linked;
+}
+
+module.exports = {
+    inferEnablingActs,
+    recordEnablingActs,
+    recordPendingEnablingActs,
+};
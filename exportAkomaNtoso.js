@@ -0,0 +1,122 @@
+// exportAkomaNtoso.js
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const { execFile } = require("child_process");
+const lawsStorage = require(path.join(__dirname, "./lawsStorageSimple.js"));
+const { buildAkomaNtoso } = require(path.join(__dirname, "./akomaNtoso.js"));
+const dotenv = require("dotenv");
+dotenv.config({path: path.join(__dirname, ".env")});
+
+// ─────────────────────────────────────────────
+// Args
+// ─────────────────────────────────────────────
+const args = process.argv.slice(2);
+const options = { all: false, out: null, xsd: process.env.AKN_XSD || null };
+const positional = [];
+
+for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === "--all") options.all = true;
+    else if (arg === "--out") options.out = args[++i];
+    else if (arg === "--xsd") options.xsd = args[++i];
+    else positional.push(arg);
+}
+
+const [kind, documentId] = positional;
+const validSingle = !options.all && ["act", "regulation"].includes(kind) && documentId && positional.length === 2;
+const validAll = options.all && positional.length === 0 && options.out;
+
+if (!validSingle && !validAll) {
+    console.log("❌ Invalid arguments.");
+    console.error(`Usage: node ${path.basename(__filename)} act|regulation <id> [--out file.xml] [--xsd akomantoso30.xsd]`);
+    console.error("--- OR ---");
+    console.error(`Usage: node ${path.basename(__filename)} --all --out <directory> [--xsd akomantoso30.xsd]`);
+    console.error("(--xsd, or AKN_XSD, validates every file with xmllint against the Akoma Ntoso schema)");
+    process.exit(1);
+}
+if(!process.env.DB_PATH) {
+    console.error("❌ Environment variable DB_PATH is not set.");
+    console.log("⚠️ Env file must be present the working directory with DB_PATH defined.");
+    process.exit(1);
+}
+if (options.xsd && !fs.existsSync(options.xsd)) {
+    console.error(`❌ XSD not found: ${options.xsd}`);
+    process.exit(1);
+}
+
+// ─────────────────────────────────────────────
+// Validation (xmllint)
+// ─────────────────────────────────────────────
+// null when valid, otherwise xmllint's messages
+function validateXml(xmlPath, xsdPath) {
+    return new Promise((resolve, reject) =>
+        execFile("xmllint", ["--noout", "--schema", xsdPath, xmlPath], (err, _stdout, stderr) => {
+            if (!err) return resolve(null);
+            if (err.code === "ENOENT") return reject(new Error("xmllint not found (install libxml2-utils) or drop --xsd"));
+            resolve(stderr.trim());
+        })
+    );
+}
+
+// ─────────────────────────────────────────────
+// Main
+// ─────────────────────────────────────────────
+async function exportDocument(docKind, id, outPath) {
+    const xml = await buildAkomaNtoso(docKind, id);
+    if (xml === null) throw new Error(`${docKind === "act" ? "Act" : "Regulation"} not found: ${id}`);
+
+    if (!outPath) {
+        process.stdout.write(xml);
+        return true;
+    }
+    await fs.promises.mkdir(path.dirname(path.resolve(outPath)), { recursive: true });
+    await fs.promises.writeFile(outPath, xml);
+
+    if (!options.xsd) {
+        console.log(`📄 ${docKind} ${id} → ${outPath}`);
+        return true;
+    }
+    const errors = await validateXml(outPath, options.xsd);
+    if (errors) {
+        console.error(`❌ ${docKind} ${id} → ${outPath} does not validate:\n${errors}`);
+        return false;
+    }
+    console.log(`📄 ${docKind} ${id} → ${outPath} (valid ✓)`);
+    return true;
+}
+
+async function main() {
+    await lawsStorage.initDB({ readOnly: true });
+
+    if (!options.all) {
+        if (!options.out && options.xsd) throw new Error("--xsd needs --out (the file to validate)");
+        const ok = await exportDocument(kind, documentId, options.out);
+        if (!ok) process.exitCode = 1;
+        return;
+    }
+
+    const acts = await lawsStorage.getAllActs();
+    const regulations = await lawsStorage.getAllRegulations();
+    const jobs = [
+        ...acts.map(a => ["act", a.act_id, path.join(options.out, "acts", `${a.act_id}.xml`)]),
+        ...regulations.map(r => ["regulation", r.regulation_id, path.join(options.out, "regulations", `${r.regulation_id}.xml`)]),
+    ];
+
+    let failed = 0;
+    for (const [docKind, id, outPath] of jobs) {
+        if (!await exportDocument(docKind, id, outPath)) failed++;
+    }
+    console.log(failed
+        ? `⚠️ Exported ${jobs.length} document(s), ${failed} failed validation`
+        : `✅ Exported ${jobs.length} document(s) to ${options.out}`);
+    if (failed) process.exitCode = 1;
+}
+
+main()
+    .catch(err => {
+        console.error("❌ Export failed:", err.message);
+        process.exitCode = 1;
+    })
+    .finally(() => lawsStorage.closeDB());
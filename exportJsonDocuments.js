@@ -0,0 +1,294 @@
+// exportJsonDocuments.js
+"use strict";
+
+// Writes acts, regulations and amendments from the DB back out as the JSON
+// directories ingestAct.js / ingestRegulation.js / ingestAmendment.js read,
+// laid out like the input of ingestAllDocuments.js:
+//
+//   <out>/Acts/<act_id>/act.json, chapters.json, sections.json
+//   <out>/Regulations/<regulation_id>/regulation.json, chapters.json, clauses.json
+//   <out>/Amendments/<amendment_id>/amendment.json, changes.json
+//
+// Files are byte-stable (fixed key order, records in document order, 2-space
+// JSON with a final newline), so exporting an unchanged DB twice gives
+// identical files. Records carry valid_from only where their current version
+// does not start at the document's effective date.
+//
+// The JSON format holds the current wording and act-level applicable_act_ids
+// only: earlier versions of a chapter/section/clause and manual links to
+// individual sections are not written, and a warning names every document
+// that has them. Ingesting the export into an empty DB reproduces everything
+// else.
+
+const fs = require("fs");
+const path = require("path");
+const lawsStorage = require(path.join(__dirname, "./lawsStorageSimple.js"));
+const { compareProvisionIds } = require(path.join(__dirname, "./thaiLegalParser.js"));
+const dotenv = require("dotenv");
+dotenv.config({path: path.join(__dirname, ".env")});
+
+// ─────────────────────────────────────────────
+// Args
+// ─────────────────────────────────────────────
+const args = process.argv.slice(2);
+const options = { all: false, out: null };
+const positional = [];
+
+for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === "--all") options.all = true;
+    else if (arg === "--out") options.out = args[++i];
+    else positional.push(arg);
+}
+
+const [kind, documentId] = positional;
+const validTarget = options.all
+    ? positional.length === 0
+    : ["act", "regulation", "amendment"].includes(kind) && documentId && positional.length === 2;
+
+if (!validTarget || !options.out) {
+    console.log("❌ Invalid arguments.");
+    console.error(`Usage: node ${path.basename(__filename)} act|regulation|amendment <id> --out <directory>`);
+    console.error("--- OR ---");
+    console.error(`Usage: node ${path.basename(__filename)} --all --out <directory>`);
+    console.error("(writes <directory>/Acts/<id>/, Regulations/<id>/ and Amendments/<id>/, ready for ingestAllDocuments.js)");
+    process.exit(1);
+}
+if(!process.env.DB_PATH) {
+    console.error("❌ Environment variable DB_PATH is not set.");
+    console.log("⚠️ Env file must be present the working directory with DB_PATH defined.");
+    process.exit(1);
+}
+
+// ─────────────────────────────────────────────
+// Helpers
+// ─────────────────────────────────────────────
+const DOCUMENT_DIRS = { act: "Acts", regulation: "Regulations", amendment: "Amendments" };
+
+// numeric-aware, so act10 sorts after act9
+const byId = key => (a, b) => a[key].localeCompare(b[key], "en", { numeric: true });
+
+async function writeJson(filePath, value) {
+    await fs.promises.writeFile(filePath, JSON.stringify(value, null, 2) + "\n");
+}
+
+// the start of the record's current version, when it is not the document's own effective date
+async function validFromOf(versionKind, id, documentEffective) {
+    const history = await lawsStorage[`get${versionKind}History`](id);
+    const current = history.find(v => v.valid_to === null);
+    return current && current.valid_from && current.valid_from !== documentEffective ? current.valid_from : undefined;
+}
+
+// how many of the records have versions before their current one
+async function countWithEarlierVersions(versionKind, ids) {
+    let count = 0;
+    for (const id of ids) {
+        const history = await lawsStorage[`get${versionKind}History`](id);
+        if (history.some(v => v.valid_to !== null)) count++;
+    }
+    return count;
+}
+
+// what the JSON format cannot carry for a document; reported, not exported
+function warnLosses(label, losses) {
+    const lost = losses.filter(([count]) => count > 0).map(([count, what]) => `${count} ${what}`);
+    if (lost.length) console.log(`⚠️ ${label}: not exported: ${lost.join(", ")}`);
+    return lost.length > 0;
+}
+
+// ─────────────────────────────────────────────
+// Export one document
+// ─────────────────────────────────────────────
+async function exportAct(act_id, outDir) {
+    const act = await lawsStorage.getAct(act_id);
+    if (!act) throw new Error(`Act not found: ${act_id}`);
+    const effective = act.act_effective_date_iso;
+
+    const chapters = (await lawsStorage.getChaptersByAct(act_id)).sort(byId("chapter_id"));
+    const sections = [];
+    for (const chapter of chapters) sections.push(...await lawsStorage.getSectionsByChapter(chapter.chapter_id));
+    sections.sort((a, b) => compareProvisionIds(a.section_id, b.section_id));
+
+    const dir = path.join(outDir, DOCUMENT_DIRS.act, act_id);
+    await fs.promises.mkdir(dir, { recursive: true });
+
+    await writeJson(path.join(dir, "act.json"), {
+        act_id: act.act_id,
+        act_name: act.act_name,
+        act_ministry: act.act_ministry,
+        act_effective_date: act.act_effective_date,
+        act_publication_date: act.act_publication_date,
+        act_document_name: act.act_document_name,
+        short_description: act.act_short_description,
+        long_description: act.act_long_description,
+    });
+    const chapterRecords = [];
+    for (const c of chapters) {
+        chapterRecords.push({
+            chapter_id: c.chapter_id,
+            chapter_title: c.chapter_title,
+            chapter_text: c.chapter_text,
+            chapter_summary: c.chapter_summary,
+            act_id: c.act_id,
+            valid_from: await validFromOf("Chapter", c.chapter_id, effective),
+        });
+    }
+    await writeJson(path.join(dir, "chapters.json"), chapterRecords);
+
+    const sectionRecords = [];
+    for (const s of sections) {
+        sectionRecords.push({
+            section_id: s.section_id,
+            section_title: s.section_title,
+            section_text: s.section_text,
+            section_summary: s.section_summary,
+            chapter_id: s.chapter_id,
+            valid_from: await validFromOf("Section", s.section_id, effective),
+        });
+    }
+    await writeJson(path.join(dir, "sections.json"), sectionRecords);
+
+    console.log(`📦 act ${act_id} → ${dir} (${chapters.length} chapter(s), ${sections.length} section(s))`);
+    return warnLosses(`act ${act_id}`, [
+        [await countWithEarlierVersions("Chapter", chapters.map(c => c.chapter_id)), "chapter(s) with earlier versions"],
+        [await countWithEarlierVersions("Section", sections.map(s => s.section_id)), "section(s) with earlier versions"],
+    ]);
+}
+
+async function exportRegulation(regulation_id, outDir) {
+    const regulation = await lawsStorage.getRegulation(regulation_id);
+    if (!regulation) throw new Error(`Regulation not found: ${regulation_id}`);
+    const effective = regulation.regulation_effective_date_iso;
+    // inferred links are re-inferred from the preamble on ingest, so only manual ones are written;
+    // applicable_act_ids names acts, so manual links to single sections cannot be
+    const manualLinks = (await lawsStorage.getActRegulationLinks(regulation_id)).filter(l => l.provenance === "manual");
+    const manualActIds = manualLinks.filter(l => !l.section_id).map(l => l.act_id);
+    const manualSectionLinks = manualLinks.filter(l => l.section_id).length;
+
+    const chapters = (await lawsStorage.getChaptersByRegulation(regulation_id)).sort(byId("chapter_id"));
+    const clauses = [];
+    for (const chapter of chapters) clauses.push(...await lawsStorage.getClausesByChapter(chapter.chapter_id));
+    clauses.sort((a, b) => compareProvisionIds(a.clause_id, b.clause_id));
+
+    const dir = path.join(outDir, DOCUMENT_DIRS.regulation, regulation_id);
+    await fs.promises.mkdir(dir, { recursive: true });
+
+    await writeJson(path.join(dir, "regulation.json"), {
+        regulation_id: regulation.regulation_id,
+        regulation_name: regulation.regulation_name,
+        regulation_ministry: regulation.regulation_ministry,
+        regulation_effective_date: regulation.regulation_effective_date,
+        regulation_publication_date: regulation.regulation_publication_date,
+        regulation_document_name: regulation.regulation_document_name,
+        short_description: regulation.regulation_short_description,
+        long_description: regulation.regulation_long_description,
+        applicable_act_ids: manualActIds.length ? manualActIds : undefined,
+    });
+    const chapterRecords = [];
+    for (const c of chapters) {
+        chapterRecords.push({
+            chapter_id: c.chapter_id,
+            chapter_title: c.chapter_title,
+            chapter_text: c.chapter_text,
+            chapter_summary: c.chapter_summary,
+            regulation_id: c.regulation_id,
+            valid_from: await validFromOf("Chapter", c.chapter_id, effective),
+        });
+    }
+    await writeJson(path.join(dir, "chapters.json"), chapterRecords);
+
+    const clauseRecords = [];
+    for (const c of clauses) {
+        clauseRecords.push({
+            clause_id: c.clause_id,
+            clause_title: c.clause_title,
+            clause_text: c.clause_text,
+            clause_summary: c.clause_summary,
+            chapter_id: c.chapter_id,
+            valid_from: await validFromOf("Clause", c.clause_id, effective),
+        });
+    }
+    await writeJson(path.join(dir, "clauses.json"), clauseRecords);
+
+    console.log(`📦 regulation ${regulation_id} → ${dir} (${chapters.length} chapter(s), ${clauses.length} clause(s))`);
+    return warnLosses(`regulation ${regulation_id}`, [
+        [await countWithEarlierVersions("Chapter", chapters.map(c => c.chapter_id)), "chapter(s) with earlier versions"],
+        [await countWithEarlierVersions("Clause", clauses.map(c => c.clause_id)), "clause(s) with earlier versions"],
+        [manualSectionLinks, "manual link(s) to sections"],
+    ]);
+}
+
+async function exportAmendment(amendment_id, outDir) {
+    const amendment = await lawsStorage.getAmendment(amendment_id);
+    if (!amendment) throw new Error(`Amendment not found: ${amendment_id}`);
+    const changes = await lawsStorage.getAmendmentChanges(amendment_id);
+
+    const dir = path.join(outDir, DOCUMENT_DIRS.amendment, amendment_id);
+    await fs.promises.mkdir(dir, { recursive: true });
+
+    await writeJson(path.join(dir, "amendment.json"), {
+        amendment_id: amendment.amendment_id,
+        amendment_name: amendment.amendment_name,
+        amendment_ministry: amendment.amendment_ministry,
+        amendment_effective_date: amendment.amendment_effective_date,
+        amendment_document_name: amendment.amendment_document_name,
+        short_description: amendment.amendment_short_description,
+        long_description: amendment.amendment_long_description,
+        act_id: amendment.act_id ?? undefined,
+        regulation_id: amendment.regulation_id ?? undefined,
+    });
+    await writeJson(path.join(dir, "changes.json"), changes.map(c => ({
+        change_no: c.change_no,
+        change_type: c.change_type,
+        target_type: c.target_type,
+        target_id: c.target_id,
+        chapter_id: c.chapter_id ?? undefined,
+        new_title: c.new_title ?? undefined,
+        new_text: c.new_text ?? undefined,
+    })));
+
+    console.log(`📦 amendment ${amendment_id} → ${dir} (${changes.length} change(s))`);
+    return false;
+}
+
+const EXPORTERS = { act: exportAct, regulation: exportRegulation, amendment: exportAmendment };
+
+// ─────────────────────────────────────────────
+// Main
+// ─────────────────────────────────────────────
+async function main() {
+    await lawsStorage.initDB({ readOnly: true });
+    const outDir = path.resolve(options.out);
+
+    if (!options.all) {
+        if (await EXPORTERS[kind](documentId, outDir)) {
+            console.log("⚠️ Ingesting this export will not reproduce what is listed above");
+        }
+        return;
+    }
+
+    // Acts/ and Regulations/ exist even when empty, as ingestAllDocuments.js expects
+    for (const dirName of [DOCUMENT_DIRS.act, DOCUMENT_DIRS.regulation]) {
+        await fs.promises.mkdir(path.join(outDir, dirName), { recursive: true });
+    }
+    const acts = (await lawsStorage.getAllActs()).sort(byId("act_id"));
+    const regulations = (await lawsStorage.getAllRegulations()).sort(byId("regulation_id"));
+    const amendments = (await lawsStorage.getAllAmendments()).sort(byId("amendment_id"));
+    let lossy = 0;
+    for (const a of acts) lossy += await exportAct(a.act_id, outDir);
+    for (const r of regulations) lossy += await exportRegulation(r.regulation_id, outDir);
+    for (const m of amendments) lossy += await exportAmendment(m.amendment_id, outDir);
+
+    console.log(
+        `✅ Exported ${acts.length} act(s), ${regulations.length} regulation(s) and ` +
+        `${amendments.length} amendment(s) to ${outDir}`
+    );
+    if (lossy) console.log(`⚠️ ${lossy} document(s) hold data the JSON format cannot carry; see the warnings above`);
+}
+
+main()
+    .catch(err => {
+        console.error("❌ Export failed:", err.message);
+        process.exitCode = 1;
+    })
+    .finally(() => lawsStorage.closeDB());
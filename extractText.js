@@ -5,49 +5,130 @@ const fs = require("fs");
 const path = require("path");
 
 // adjust if your OCR library filename is different
-const { getContent } = require(path.join(__dirname, "./thaiOcrSimple.js"));
+const { getContentWithQuality, isImageFile, IMAGE_EXTENSIONS } = require(path.join(__dirname, "./thaiOcrSimple.js"));
+
+const QUALITY_SUFFIX = ".quality.json";
+const LAYOUT_SUFFIX = ".layout.json";
+const SUMMARY_FILE = "ocr_quality_summary.json";
+const SUMMARY_WORST_PAGES = 20;
+
+const withLayout = process.argv.includes("--layout");
 
 /* --------------------------------------------------
-   OCR a single PDF → TXT (same directory)
+   Sidecar helpers (quality report, layout)
+-------------------------------------------------- */
+function sidecarPathFor(sourcePath, suffix) {
+    return path.join(
+        path.dirname(sourcePath),
+        path.basename(sourcePath, path.extname(sourcePath)) + suffix
+    );
+}
+
+const qualityPathFor = sourcePath => sidecarPathFor(sourcePath, QUALITY_SUFFIX);
+const layoutPathFor = sourcePath => sidecarPathFor(sourcePath, LAYOUT_SUFFIX);
+
+async function readQualityReport(sourcePath) {
+    try {
+        return JSON.parse(await fs.promises.readFile(qualityPathFor(sourcePath), "utf8"));
+    } catch {
+        return null;
+    }
+}
+
+// worst pages across all documents, so manual review starts where it matters
+async function writeQualitySummary(dirPath, reports) {
+    const worstPages = reports
+        .flatMap(({ pdf, quality }) => quality.page_details.map(p => ({ pdf, ...p })))
+        .sort((a, b) => a.score - b.score)
+        .slice(0, SUMMARY_WORST_PAGES)
+        .map(({ pdf, page, source, score, confidence_mean, suspicious_ratio, empty }) =>
+            ({ pdf, page, source, score, confidence_mean, suspicious_ratio, empty }));
+
+    const summary = {
+        generated_at: new Date().toISOString(),
+        documents: reports.map(({ pdf, quality }) => ({
+            pdf,
+            pages: quality.pages,
+            ocr_pages: quality.ocr_pages,
+            empty_pages: quality.empty_pages,
+            failed_pages: quality.failed_pages || [],
+            confidence_mean: quality.confidence_mean,
+            confidence_min: quality.confidence_min,
+            worst_pages: quality.worst_pages,
+        })),
+        worst_pages: worstPages,
+    };
+
+    const summaryPath = path.join(dirPath, SUMMARY_FILE);
+    await fs.promises.writeFile(summaryPath, JSON.stringify(summary, null, 2));
+    console.log(`Quality summary → ${summaryPath}`);
+}
+
+/* --------------------------------------------------
+   OCR a single PDF or scanned image → TXT (same directory)
    SKIPS if TXT already exists
 -------------------------------------------------- */
-async function processSinglePdf(pdfPath) {
-    const fileName = path.basename(pdfPath);
-    const dir = path.dirname(pdfPath);
+async function processSingleFile(sourcePath) {
+    const fileName = path.basename(sourcePath);
+    const dir = path.dirname(sourcePath);
 
     const outputTxtPath = path.join(
         dir,
         path.basename(fileName, path.extname(fileName)) + ".txt"
     );
 
-    // ✅ EXPLICIT VERIFICATION — SKIP IF TXT EXISTS
-    if (fs.existsSync(outputTxtPath)) {
-        console.log(`Skipping OCR (TXT already exists): ${outputTxtPath}`);
-        return;
+    // ✅ EXPLICIT VERIFICATION — SKIP IF TXT EXISTS (and the layout, when asked for),
+    // unless pages failed last time: the rerun only redoes those, the rest comes from the OCR cache
+    if (fs.existsSync(outputTxtPath) && (!withLayout || fs.existsSync(layoutPathFor(sourcePath)))) {
+        const previous = await readQualityReport(sourcePath);
+        if (!(previous && previous.failed_pages && previous.failed_pages.length)) {
+            console.log(`Skipping OCR (TXT already exists): ${outputTxtPath}`);
+            return previous;
+        }
+        console.log(`Retrying ${previous.failed_pages.length} failed page(s): ${sourcePath}`);
     }
 
-    console.log(`Starting OCR: ${pdfPath}`);
+    console.log(`Starting OCR: ${sourcePath}`);
 
-    const pdfReadStream = fs.createReadStream(pdfPath);
-    const extractedTextBuffer = await getContent(pdfReadStream, fileName);
+    const sourceReadStream = fs.createReadStream(sourcePath);
+    const { content: extractedTextBuffer, quality, layout } =
+        await getContentWithQuality(sourceReadStream, fileName, { layout: withLayout });
 
     if (!extractedTextBuffer || extractedTextBuffer.length === 0) {
-        console.warn(`OCR returned empty content: ${pdfPath}`);
+        console.warn(`OCR returned empty content: ${sourcePath}`);
     }
 
     await fs.promises.writeFile(outputTxtPath, extractedTextBuffer);
 
     console.log(`Saved → ${outputTxtPath}`);
+
+    if (quality) {
+        if (quality.failed_pages.length) {
+            console.warn(`⚠️ ${quality.failed_pages.length} page(s) failed and are empty in the TXT: ${quality.failed_pages.join(", ")} (rerun to retry them)`);
+        }
+        await fs.promises.writeFile(qualityPathFor(sourcePath), JSON.stringify(quality, null, 2));
+        console.log(
+            `Quality → ${qualityPathFor(sourcePath)} ` +
+            `(mean confidence ${quality.confidence_mean ?? "n/a"}, worst pages ${quality.worst_pages.join(", ") || "none"})`
+        );
+    }
+    if (layout) {
+        await fs.promises.writeFile(layoutPathFor(sourcePath), JSON.stringify(layout, null, 2));
+        console.log(`Layout → ${layoutPathFor(sourcePath)}`);
+    }
+    return quality;
 }
 
 /* --------------------------------------------------
    OCR a directory containing subdirectories
-   (each subdirectory has exactly ONE PDF)
+   (each subdirectory has exactly ONE PDF, or one scanned
+   image / multi-page TIFF when there is no PDF)
 -------------------------------------------------- */
 async function processDirectory(dirPath) {
     const dirents = await fs.promises.readdir(dirPath, {
         withFileTypes: true
     });
+    const reports = [];
 
     for (const dirent of dirents) {
         if (!dirent.isDirectory()) continue;
@@ -55,25 +136,28 @@ async function processDirectory(dirPath) {
         const subdirPath = path.join(dirPath, dirent.name);
         const entries = await fs.promises.readdir(subdirPath);
 
-        // Find the single PDF
-        const pdfFile = entries.find(
-            f => path.extname(f).toLowerCase() === ".pdf"
-        );
+        // Find the single PDF (or, failing that, the scanned image)
+        const sourceFile =
+            entries.find(f => path.extname(f).toLowerCase() === ".pdf") ||
+            entries.find(f => isImageFile(f));
 
-        if (!pdfFile) {
-            console.warn(`No PDF found in: ${subdirPath}`);
+        if (!sourceFile) {
+            console.warn(`No PDF or image found in: ${subdirPath}`);
             continue;
         }
 
-        const pdfPath = path.join(subdirPath, pdfFile);
+        const sourcePath = path.join(subdirPath, sourceFile);
 
         try {
-            await processSinglePdf(pdfPath); // reuse logic
+            const quality = await processSingleFile(sourcePath); // reuse logic
+            if (quality) reports.push({ pdf: sourcePath, quality });
         } catch (err) {
-            console.error(`Failed processing ${pdfPath}: ${err.message}`);
+            console.error(`Failed processing ${sourcePath}: ${err.message}`);
         }
     }
 
+    if (reports.length) await writeQualitySummary(dirPath, reports);
+
     console.log("✔ All subdirectories processed");
 }
 
@@ -81,13 +165,14 @@ async function processDirectory(dirPath) {
    MAIN (auto-detects file vs directory)
 -------------------------------------------------- */
 async function main() {
-    const inputPath = process.argv[2];
+    const inputPath = process.argv.slice(2).find(a => !a.startsWith("--"));
 
     if (!inputPath) {
         console.error("❌ Invalid arguments.");
         console.error("Usage:");
-        console.error(`  node ${path.basename(__filename)} /path/to/file.pdf`);
-        console.error(`  node ${path.basename(__filename)} /path/to/directory`);
+        console.error(`  node ${path.basename(__filename)} /path/to/file.pdf [--layout]`);
+        console.error(`  node ${path.basename(__filename)} /path/to/scan.{${IMAGE_EXTENSIONS.map(e => e.slice(1)).join(",")}} [--layout]`);
+        console.error(`  node ${path.basename(__filename)} /path/to/directory [--layout]`);
         process.exit(1);
     }
 
@@ -101,12 +186,12 @@ async function main() {
     const stat = await fs.promises.stat(resolvedPath);
 
     if (stat.isFile()) {
-        // OLD MODE: single PDF
-        if (path.extname(resolvedPath).toLowerCase() !== ".pdf") {
-            console.error("Input file must be a PDF");
+        // OLD MODE: single PDF (or scanned image)
+        if (path.extname(resolvedPath).toLowerCase() !== ".pdf" && !isImageFile(resolvedPath)) {
+            console.error(`Input file must be a PDF or an image (${IMAGE_EXTENSIONS.join(", ")})`);
             process.exit(1);
         }
-        await processSinglePdf(resolvedPath);
+        await processSingleFile(resolvedPath);
 
     } else if (stat.isDirectory()) {
         // NEW MODE: directory of subdirectories
@@ -0,0 +1,325 @@
+// Page image preprocessing for OCR
+// by TekMonks Ltd - https://tekmonks.com
+"use strict";
+
+// A configurable chain of steps applied to each rendered page before OCR.
+// Steps run in the order of settings.steps; a step whose setting is off
+// (0, "0", "off", empty) is skipped. Between steps the page is kept as raw
+// 8-bit grayscale, so the pixel-level steps below (contrast stretch, skew
+// detection, adaptive binarization, despeckle, morphological close) need
+// nothing beyond sharp.
+//
+//   resize              target_width              "3200"
+//   contrast_stretch    black%xwhite% clipped     "0.5%x0.5%"
+//   median              window size               1
+//   sharpen             radiusxsigma              "0x1.0"
+//   gamma               ungamma                   "1.0"
+//   deskew              dark-pixel threshold      "40%"
+//   threshold           adaptive_window / _bias   "35x35", "10%"
+//                       (global 50% threshold when adaptive_window is off)
+//   despeckle           passes                    1
+//   morph_close         passes                    1
+
+const sharp = require("sharp");
+
+const DEFAULT_STEPS = [
+    "resize", "contrast_stretch", "median", "sharpen", "gamma",
+    "deskew", "threshold", "despeckle", "morph_close"
+];
+
+const MAX_SKEW_DEGREES = 5;
+const SKEW_SAMPLE_WIDTH = 1000;
+const MIN_SKEW_CORRECTION = 0.05;
+
+const isOff = v => v === undefined || v === null || v === "" || v === 0 || ["0", "off", "none", "false"].includes(String(v).toLowerCase());
+const percent = v => parseFloat(String(v)) / (String(v).includes("%") ? 100 : 1);
+
+/**
+ * Turns conf/thaiocr.json style values into preprocessImage settings.
+ * Unknown step names in `preprocess` are an error, so typos do not silently
+ * disable a step.
+ */
+function preprocessSettings({
+    preprocess = DEFAULT_STEPS,
+    target_width = 3200,
+    contrast_stretch = "1%x1%",
+    median = 1,
+    sharp: sharpen = "0x1.0",
+    ungamma = "1.0",
+    deskew = "40%",
+    adaptive_window = "35x35",
+    adaptive_bias = "10%",
+    despeckle = 1,
+    morph_close = 1
+} = {}) {
+    const steps = typeof preprocess === "string" ? preprocess.split(",").map(s => s.trim()).filter(Boolean) : preprocess;
+    const unknown = steps.filter(s => !STEPS[s]);
+    if (unknown.length) throw new Error(`Unknown preprocessing step(s): ${unknown.join(", ")} (available: ${Object.keys(STEPS).join(", ")})`);
+
+    const [black, white] = isOff(contrast_stretch) ? [] : String(contrast_stretch).split("x").map(percent);
+    const [windowW, windowH] = isOff(adaptive_window) ? [] : String(adaptive_window).split("x").map(Number);
+
+    return {
+        steps,
+        target_width: Number(target_width) || null,
+        contrast_stretch: isOff(contrast_stretch) ? null : { black: black || 0, white: white ?? black ?? 0 },
+        median: Number(median) || 0,
+        sharpen_sigma: isOff(sharpen) ? null : (parseFloat(String(sharpen).split("x")[1]) || 1.0),
+        gamma: parseFloat(ungamma) || 1.0,
+        deskew_threshold: isOff(deskew) ? null : percent(deskew),
+        adaptive_window: isOff(adaptive_window) ? null : { w: windowW, h: windowH || windowW },
+        adaptive_bias: Math.round(percent(adaptive_bias || 0) * 255),
+        despeckle: Number(despeckle) || 0,
+        morph_close: Number(morph_close) || 0
+    };
+}
+
+/* ======================================================
+   Raw image helpers ({ data: Uint8Array, width, height }, 1 channel)
+   ====================================================== */
+async function toRaw(pipeline) {
+    const { data, info } = await pipeline
+        .removeAlpha()
+        .toColourspace("b-w")
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+    return { data, width: info.width, height: info.height };
+}
+
+const fromRaw = img => sharp(img.data, { raw: { width: img.width, height: img.height, channels: 1 } });
+
+const toPng = img => fromRaw(img).png({ compressionLevel: 6 }).toBuffer();
+
+function mapPixels(img, lut) {
+    const out = Buffer.alloc(img.data.length);
+    for (let i = 0; i < out.length; i++) out[i] = lut[img.data[i]];
+    return { ...img, data: out };
+}
+
+/* ======================================================
+   Pixel-level steps
+   ====================================================== */
+// clips the darkest `black` and brightest `white` fractions, stretching the rest to 0..255
+function contrastStretch(img, { black, white }) {
+    const hist = new Array(256).fill(0);
+    for (const v of img.data) hist[v]++;
+    const total = img.data.length;
+
+    let low = 0;
+    for (let acc = 0; low < 255 && (acc += hist[low]) <= total * black; low++);
+    let high = 255;
+    for (let acc = 0; high > 0 && (acc += hist[high]) <= total * white; high--);
+    if (high <= low) return img;
+
+    const lut = Array.from({ length: 256 }, (_, v) =>
+        Math.max(0, Math.min(255, Math.round((v - low) * 255 / (high - low)))));
+    return mapPixels(img, lut);
+}
+
+// Projection-profile skew estimate: text lines give the sharpest row histogram
+// of dark pixels when projected at the page's skew angle. Returns degrees,
+// positive when lines descend to the right.
+function detectSkewAngle(img, threshold) {
+    const step = Math.max(1, Math.floor(img.width / SKEW_SAMPLE_WIDTH));
+    const limit = threshold * 255;
+    const xs = [];
+    const ys = [];
+    for (let y = 0; y < img.height; y += step) {
+        for (let x = 0; x < img.width; x += step) {
+            if (img.data[y * img.width + x] < limit) { xs.push(x); ys.push(y); }
+        }
+    }
+    if (xs.length < 100) return 0;
+
+    const score = degrees => {
+        const a = degrees * Math.PI / 180;
+        const sin = Math.sin(a);
+        const cos = Math.cos(a);
+        const rows = new Map();
+        for (let i = 0; i < xs.length; i++) {
+            const r = Math.round((ys[i] * cos - xs[i] * sin) / step);
+            rows.set(r, (rows.get(r) || 0) + 1);
+        }
+        let sum = 0;
+        for (const n of rows.values()) sum += n * n;
+        return sum;
+    };
+
+    const search = (from, to, by) => {
+        let best = from;
+        let bestScore = -1;
+        for (let d = from; d <= to + 1e-9; d += by) {
+            const s = score(d);
+            if (s > bestScore) { bestScore = s; best = d; }
+        }
+        return best;
+    };
+
+    const coarse = search(-MAX_SKEW_DEGREES, MAX_SKEW_DEGREES, 0.5);
+    return Math.round(search(coarse - 0.5, coarse + 0.5, 0.05) * 100) / 100;
+}
+
+// Local mean binarization (ImageMagick -lat): a pixel is ink when it is darker
+// than the mean of its w×h neighbourhood by more than `bias`. Faint strokes on
+// a grey background survive where a global threshold would wipe them out.
+function adaptiveThreshold(img, { w, h }, bias) {
+    const { width, height, data } = img;
+    const stride = width + 1;
+    const integral = new Float64Array(stride * (height + 1));
+    for (let y = 0; y < height; y++) {
+        let row = 0;
+        for (let x = 0; x < width; x++) {
+            row += data[y * width + x];
+            integral[(y + 1) * stride + x + 1] = integral[y * stride + x + 1] + row;
+        }
+    }
+
+    const rx = Math.floor(w / 2);
+    const ry = Math.floor(h / 2);
+    const out = Buffer.alloc(data.length);
+    for (let y = 0; y < height; y++) {
+        const y0 = Math.max(0, y - ry);
+        const y1 = Math.min(height, y + ry + 1);
+        for (let x = 0; x < width; x++) {
+            const x0 = Math.max(0, x - rx);
+            const x1 = Math.min(width, x + rx + 1);
+            const sum = integral[y1 * stride + x1] - integral[y0 * stride + x1] - integral[y1 * stride + x0] + integral[y0 * stride + x0];
+            const mean = sum / ((x1 - x0) * (y1 - y0));
+            out[y * width + x] = data[y * width + x] < mean - bias ? 0 : 255;
+        }
+    }
+    return { ...img, data: out };
+}
+
+function globalThreshold(img, level = 128) {
+    return mapPixels(img, Array.from({ length: 256 }, (_, v) => (v < level ? 0 : 255)));
+}
+
+function countInkNeighbours(data, width, height, x, y) {
+    let n = 0;
+    for (let dy = -1; dy <= 1; dy++) {
+        const yy = y + dy;
+        if (yy < 0 || yy >= height) continue;
+        for (let dx = -1; dx <= 1; dx++) {
+            const xx = x + dx;
+            if ((dx || dy) && xx >= 0 && xx < width && data[yy * width + xx] === 0) n++;
+        }
+    }
+    return n;
+}
+
+// binary salt-and-pepper removal: lone ink pixels are cleared and pinholes
+// inside strokes filled; Thai vowel and tone marks are many pixels and survive
+function despeckle(img, passes) {
+    let { data } = img;
+    const { width, height } = img;
+    for (let p = 0; p < passes; p++) {
+        const out = Buffer.from(data);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const i = y * width + x;
+                const n = countInkNeighbours(data, width, height, x, y);
+                if (data[i] === 0 && n <= 1) out[i] = 255;
+                else if (data[i] !== 0 && n >= 7) out[i] = 0;
+            }
+        }
+        data = out;
+    }
+    return { ...img, data };
+}
+
+// 3×3 dilation of ink, then erosion: closes hairline breaks in strokes
+function morphClose(img, passes) {
+    const { width, height } = img;
+    const morph = (data, dilate) => {
+        const out = Buffer.alloc(data.length);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const i = y * width + x;
+                const n = countInkNeighbours(data, width, height, x, y) + (data[i] === 0 ? 1 : 0);
+                const borderless = (x > 0 && x < width - 1 ? 3 : 2) * (y > 0 && y < height - 1 ? 3 : 2);
+                out[i] = (dilate ? n > 0 : n === borderless) ? 0 : 255;
+            }
+        }
+        return out;
+    };
+    let { data } = img;
+    for (let p = 0; p < passes; p++) data = morph(morph(data, true), false);
+    return { ...img, data };
+}
+
+/* ======================================================
+   Steps
+   ====================================================== */
+// each returns the new image, or { image, info } to report something (e.g. the skew angle)
+const STEPS = {
+    resize: async (img, width) => toRaw(fromRaw(img).resize(width, null, { fit: "inside", kernel: "lanczos3" })),
+    contrast_stretch: async (img, clip) => contrastStretch(img, clip),
+    median: async (img, size) => toRaw(fromRaw(img).median(size)),
+    sharpen: async (img, sigma) => toRaw(fromRaw(img).sharpen({ sigma })),
+    gamma: async (img, gamma) => toRaw(fromRaw(img).gamma(gamma)),
+    deskew: async (img, threshold) => {
+        const angle = detectSkewAngle(img, threshold);
+        if (Math.abs(angle) < MIN_SKEW_CORRECTION) return { image: img, info: { angle } };
+        const image = await toRaw(fromRaw(img).rotate(-angle, { background: "#ffffff" }));
+        return { image, info: { angle } };
+    },
+    threshold: async (img, { window, bias }) => window ? adaptiveThreshold(img, window, bias) : globalThreshold(img),
+    despeckle: async (img, passes) => despeckle(img, passes),
+    morph_close: async (img, passes) => morphClose(img, passes),
+};
+
+// the settings each step reads; null when the step is off and would leave the page as it is
+const STEP_PARAMS = {
+    resize: s => s.target_width,
+    contrast_stretch: s => s.contrast_stretch,
+    median: s => s.median > 1 ? s.median : null,
+    sharpen: s => s.sharpen_sigma,
+    gamma: s => s.gamma !== 1 ? s.gamma : null,
+    deskew: s => s.deskew_threshold,
+    threshold: s => s.adaptive_window ? { window: s.adaptive_window, bias: s.adaptive_bias } : {},
+    despeckle: s => s.despeckle || null,
+    morph_close: s => s.morph_close || null,
+};
+
+/**
+ * The steps that will change the page, in order, each with the settings it
+ * uses: [[name, params], ...]. Two settings objects with the same active
+ * steps produce the same image, so this (not the whole settings object) is
+ * what a cache of preprocessed pages should be keyed on.
+ */
+function activeSteps(settings) {
+    return settings.steps
+        .map(name => [name, STEP_PARAMS[name](settings)])
+        .filter(([, params]) => params != null);
+}
+
+/**
+ * Runs the chain on an image buffer and returns the result as PNG.
+ * onStep(name, pngBuffer, info) is called after every step that ran (for
+ * dumping intermediate images); it costs a PNG encode per step, so pass it
+ * only when tuning.
+ */
+async function preprocessImage(input, settings, { onStep = null } = {}) {
+    let img = await toRaw(sharp(input, { sequentialRead: true }).grayscale());
+    if (onStep) await onStep("input", await toPng(img), {});
+
+    for (const [name, params] of activeSteps(settings)) {
+        const res = await STEPS[name](img, params);
+        const { image, info = {} } = res.data ? { image: res } : res;
+        img = image;
+        if (onStep) await onStep(name, await toPng(img), info);
+    }
+    return toPng(img);
+}
+
+module.exports = {
+    DEFAULT_STEPS,
+    preprocessSettings,
+    preprocessImage,
+    activeSteps,
+    detectSkewAngle,
+    adaptiveThreshold,
+    despeckle,
+    morphClose,
+};
@@ -0,0 +1,125 @@
+// inferActMappings.js
+"use strict";
+
+// Re-reads the enabling clause of stored regulations (ingestRegulation.js does
+// this on every ingest) — useful after the acts they cite have been ingested —
+// or lists the inferred mappings still waiting for review.
+
+const path = require("path");
+const lawsStorage = require(path.join(__dirname, "./lawsStorageSimple.js"));
+const { inferEnablingActs, recordEnablingActs } = require(path.join(__dirname, "./enablingActs.js"));
+const dotenv = require("dotenv");
+dotenv.config({path: path.join(__dirname, ".env")});
+
+// ─────────────────────────────────────────────
+// Args
+// ─────────────────────────────────────────────
+const args = process.argv.slice(2);
+const options = {};
+const positional = [];
+
+for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === "--all") options.all = true;
+    else if (arg === "--review") options.review = true;
+    else if (arg === "--dry-run") options.dryRun = true;
+    else if (arg === "--json") options.json = true;
+    else positional.push(arg);
+}
+
+const [regulationId] = positional;
+const modes = [Boolean(regulationId), Boolean(options.all), Boolean(options.review)].filter(Boolean).length;
+
+if (positional.length > 1 || modes !== 1 || (options.review && options.dryRun)) {
+    console.log("❌ Invalid arguments.");
+    console.error(`Usage: node ${path.basename(__filename)} <regulation_id> [--dry-run] [--json]`);
+    console.error("--- OR ---");
+    console.error(`Usage: node ${path.basename(__filename)} --all [--dry-run] [--json]`);
+    console.error("--- OR ---");
+    console.error(`Usage: node ${path.basename(__filename)} --review [--json]`);
+    console.error("(--dry-run shows what would be inferred without storing it or touching the mapping)");
+    process.exit(1);
+}
+if(!process.env.DB_PATH) {
+    console.error("❌ Environment variable DB_PATH is not set.");
+    console.log("⚠️ Env file must be present the working directory with DB_PATH defined.");
+    process.exit(1);
+}
+
+// ─────────────────────────────────────────────
+// Output
+// ─────────────────────────────────────────────
+function printEntry(e) {
+    const target = e.section_id || e.act_id || (e.cited_act_name ? `unresolved (${e.cited_act_name})` : "unresolved");
+    const cited = e.cited_text ? `"${e.cited_text}"` : "";
+    console.log(`   ${e.needs_review ? "⚠️" : "✓ "} ${cited} → ${target} [${e.confidence}]` +
+        (e.review_reason ? `  ${e.review_reason}` : ""));
+}
+
+// ─────────────────────────────────────────────
+// Main
+// ─────────────────────────────────────────────
+async function main() {
+    await lawsStorage.initDB({ readOnly: Boolean(options.review || options.dryRun) });
+
+    if (options.review) {
+        const rows = await lawsStorage.getActMappingsForReview();
+        if (options.json) {
+            process.stdout.write(JSON.stringify(rows, null, 2) + "\n");
+            return;
+        }
+        if (rows.length === 0) {
+            console.log("✅ No inferred mappings need review");
+            return;
+        }
+        let current = null;
+        for (const row of rows) {
+            if (row.regulation_id !== current) {
+                current = row.regulation_id;
+                console.log(`\n${current}`);
+            }
+            printEntry(row);
+        }
+        return;
+    }
+
+    let regulationIds = [regulationId];
+    if (options.all) {
+        regulationIds = (await lawsStorage.getAllRegulations()).map(r => r.regulation_id);
+    } else if (!await lawsStorage.getRegulation(regulationId)) {
+        throw new Error(`Regulation not found: ${regulationId}`);
+    }
+
+    const results = [];
+    for (const id of regulationIds) {
+        const inferred = options.dryRun
+            ? await inferEnablingActs(id)
+            : await lawsStorage.withTransaction(async () => {
+                const recorded = await recordEnablingActs(id);
+                // unqualified "มาตรา N" in the regulation follow its (new) enabling act
+                await lawsStorage.resolveReferences("regulation", id);
+                return recorded;
+            });
+        results.push(inferred);
+    }
+
+    if (options.json) {
+        process.stdout.write(JSON.stringify(results, null, 2) + "\n");
+        return;
+    }
+    for (const r of results) {
+        console.log(`\n${r.regulation_id}: ${r.act_ids.join(", ") || "no act matched"}`);
+        if (r.clause) console.log(`   ${r.clause}`);
+        r.entries.forEach(printEntry);
+    }
+    const toReview = results.reduce((n, r) => n + r.entries.filter(e => e.needs_review).length, 0);
+    console.log(`\n${options.dryRun ? "🔍 Dry run: nothing stored. " : ""}` +
+        `${results.length} regulation(s), ${toReview} inferred mapping(s) need review`);
+}
+
+main()
+    .catch(err => {
+        console.error("❌ Inference failed:", err.message);
+        process.exitCode = 1;
+    })
+    .finally(() => lawsStorage.closeDB());
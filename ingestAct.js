@@ -4,6 +4,10 @@
 const fs = require("fs");
 const path = require("path");
 const lawsStorage = require(path.join(__dirname, "./lawsStorageSimple.js"));
+const { validateJsonDirectory, formatError } = require(path.join(__dirname, "./lawsSchemas.js"));
+const { startRun, ingestDocumentDirectory, finishRun } = require(path.join(__dirname, "./ingestRuns.js"));
+const { parseThaiDate, normalizeEffectiveDate } = require(path.join(__dirname, "./thaiDates.js"));
+const { recordPendingEnablingActs } = require(path.join(__dirname, "./enablingActs.js"));
 const dotenv = require("dotenv");
 dotenv.config({path: path.join(__dirname, ".env")});
 
@@ -12,14 +16,16 @@ dotenv.config({path: path.join(__dirname, ".env")});
 // Args
 // ─────────────────────────────────────────────
 const inputDirPath = process.argv[2];
-const flag = process.argv[3]; // optional
-const isAll = flag === "--all";
+const flags = process.argv.slice(3); // optional
+const isAll = flags.includes("--all");
+const isDryRun = flags.includes("--dry-run");
+const isForce = flags.includes("--force");
 
 if (!inputDirPath) {
     console.log("❌ Invalid arguments.");
-    console.error(`Usage: node ${path.basename(__filename)} <Act Directory Path>`);
+    console.error(`Usage: node ${path.basename(__filename)} <Act Directory Path> [--dry-run] [--force]`);
     console.error("--- OR ---");
-    console.error(`Usage: node ${path.basename(__filename)} <masterDirPath having all Acts> --all`);
+    console.error(`Usage: node ${path.basename(__filename)} <masterDirPath having all Acts> --all [--dry-run] [--force]`);
     process.exit(1);
 }
 if(!process.env.DB_PATH) {
@@ -62,6 +68,26 @@ function isJsonDirectory(dirPath) {
     );
 }
 
+// what upserting `row` would do to the stored `existing` row
+function planRow(kind, id, existing, row) {
+    if (!existing) return { kind, id, action: "insert", fields: [] };
+    const fields = Object.keys(row).filter(k => (row[k] ?? null) !== (existing[k] ?? null));
+    return { kind, id, action: fields.length ? "update" : "unchanged", fields };
+}
+
+function printPlan(plan) {
+    const count = action => plan.filter(p => p.action === action).length;
+    console.log(
+        `🔍 Dry run: would insert ${count("insert")}, update ${count("update")}, ` +
+        `leave ${count("unchanged")} unchanged`
+    );
+    for (const p of plan) {
+        if (p.action === "unchanged") continue;
+        const detail = p.action === "update" ? ` (${p.fields.join(", ")})` : "";
+        console.log(`   ${p.action.padEnd(6)} ${p.kind} ${p.id}${detail}`);
+    }
+}
+
 function getSubDirectories(masterDir) {
     return fs
         .readdirSync(masterDir)
@@ -72,7 +98,7 @@ function getSubDirectories(masterDir) {
 // ─────────────────────────────────────────────
 // Main ingestion logic for ONE jsonDirectory
 // ─────────────────────────────────────────────
-async function ingestOneJsonDirectory(resolvedJsonDir) {
+async function ingestOneJsonDirectory(resolvedJsonDir, { dryRun = false } = {}) {
     // filenames picked from provided directory
     const ACT_FILE = path.join(resolvedJsonDir, "act.json");
     const CHAPTERS_FILE = path.join(resolvedJsonDir, "chapters.json");
@@ -80,73 +106,108 @@ async function ingestOneJsonDirectory(resolvedJsonDir) {
 
     console.log(`📥 Loading JSON files from: ${resolvedJsonDir}`);
 
+    // schema and cross-file checks; report every problem, not just the first
+    const { errors } = await validateJsonDirectory(resolvedJsonDir, "act");
+    if (errors.length) {
+        throw new Error(
+            `${errors.length} validation error(s) in ${resolvedJsonDir}:\n` +
+            errors.map(e => `   ${formatError(e)}`).join("\n")
+        );
+    }
+
     const act = await loadJSON(ACT_FILE);
     const chapters = await loadJSON(CHAPTERS_FILE);
     let sections = await loadJSON(SECTIONS_FILE);
 
-    if (!act || !act.act_id) {
-        throw new Error(`Invalid act.json in ${resolvedJsonDir}: missing act_id`);
-    }
-
-    if (!Array.isArray(chapters)) {
-        throw new Error(`chapters.json must be an array in ${resolvedJsonDir}`);
-    }
-
     // normalize sections to array
     if (!Array.isArray(sections)) {
         sections = [sections];
     }
 
-    console.log("🧾 Ingesting Act...");
-    await lawsStorage.addOrUpdateAct({
+    const documentValidFrom = act.valid_from || null;
+    // a changed wording is versioned from the record's (or document's) valid_from;
+    // provisions seen for the first time start at the normalized effective date
+    const effectiveFrom = normalizeEffectiveDate(act.act_effective_date, act.act_publication_date).iso;
+
+    const actRow = {
         act_id: act.act_id,
         act_name: act.act_name,
         act_ministry: act.act_ministry || null,
         act_effective_date: act.act_effective_date || null,
+        // validated above, so this is the ISO date or null when absent
+        act_publication_date: parseThaiDate(act.act_publication_date),
         act_document_name: act.act_document_name || null,
         act_short_description: act.short_description || null,
         act_long_description: act.long_description || null,
-    });
+    };
 
-    console.log(`📚 Ingesting ${chapters.length} chapter(s)...`);
-    for (const chapter of chapters) {
-        if (!chapter.chapter_id || !chapter.act_id) {
-            throw new Error(`Invalid chapter record in ${resolvedJsonDir}: missing chapter_id or act_id`);
-        }
+    const chapterRows = chapters.map(chapter => ({
+        chapter_id: chapter.chapter_id,
+        chapter_title: chapter.chapter_title,
+        chapter_text: chapter.chapter_text,
+        chapter_summary: chapter.chapter_summary || null,
+        act_id: chapter.act_id,
+        valid_from: chapter.valid_from || documentValidFrom,
+        initial_valid_from: effectiveFrom,
+    }));
+
+    const sectionRows = sections.map(section => ({
+        section_id: section.section_id,
+        section_title: section.section_title,
+        section_text: section.section_text,
+        section_summary: section.section_summary || null,
+        chapter_id: section.chapter_id,
+        valid_from: section.valid_from || documentValidFrom,
+        initial_valid_from: effectiveFrom,
+    }));
 
-        await lawsStorage.addOrUpdateChapterByAct({
-            chapter_id: chapter.chapter_id,
-            chapter_title: chapter.chapter_title,
-            chapter_text: chapter.chapter_text,
-            chapter_summary: chapter.chapter_summary || null,
-            act_id: chapter.act_id,
-        });
+    if (dryRun) {
+        const existing = await lawsStorage.getAct(actRow.act_id);
+        const plan = [planRow("act", actRow.act_id, existing, actRow)];
+        for (const { valid_from, initial_valid_from, ...row } of chapterRows) {
+            plan.push(planRow("chapter", row.chapter_id, await lawsStorage.getChapter(row.chapter_id), row));
+        }
+        for (const { valid_from, initial_valid_from, ...row } of sectionRows) {
+            plan.push(planRow("section", row.section_id, await lawsStorage.getSection(row.section_id), row));
+        }
+        printPlan(plan);
+        return plan;
     }
 
-    console.log(`📄 Ingesting ${sections.length} section(s)...`);
-    for (const section of sections) {
-        if (!section.section_id || !section.chapter_id) {
-            throw new Error(`Invalid section record in ${resolvedJsonDir}: missing section_id or chapter_id`);
+    // one transaction per document: a bad record rolls back the whole act
+    await lawsStorage.withTransaction(async () => {
+        console.log("🧾 Ingesting Act...");
+        await lawsStorage.addOrUpdateAct(actRow);
+
+        console.log(`📚 Ingesting ${chapterRows.length} chapter(s)...`);
+        for (const row of chapterRows) {
+            await lawsStorage.addOrUpdateChapterByAct(row);
         }
 
-        await lawsStorage.addOrUpdateSection({
-            section_id: section.section_id,
-            section_title: section.section_title,
-            section_text: section.section_text,
-            section_summary: section.section_summary || null,
-            chapter_id: section.chapter_id,
-        });
-    }
+        console.log(`📄 Ingesting ${sectionRows.length} section(s)...`);
+        for (const row of sectionRows) {
+            await lawsStorage.addOrUpdateSection(row);
+        }
+
+        // references made before this document was stored can point at it now
+        const resolved = await lawsStorage.resolveReferences("act", actRow.act_id);
+        if (resolved) console.log(`🔗 Resolved ${resolved} pending cross-reference(s)`);
+
+        // regulations ingested before this act could not be matched to it then
+        const linked = await recordPendingEnablingActs();
+        for (const inferred of linked) {
+            console.log(`🏛️ ${inferred.regulation_id} now linked to enabling act(s): ${inferred.act_ids.join(", ")}`);
+        }
+    });
 
     console.log("✅ Ingestion completed successfully");
+    return { chapters: chapterRows.length, sections: sectionRows.length };
 }
 
 // ─────────────────────────────────────────────
 // Orchestrator
 // ─────────────────────────────────────────────
-async function ingest() {
-    await lawsStorage.ensureDB();
-
+async function ingest(run) {
     if (!isAll) {
         // old behavior (single directory)
         if (!isJsonDirectory(resolvedInputDir)) {
@@ -154,12 +215,14 @@ async function ingest() {
                 `Directory is missing required files (act.json, chapters.json, sections.json): ${resolvedInputDir}`
             );
         }
-        await ingestOneJsonDirectory(resolvedInputDir);
+        await ingestDocumentDirectory(run, resolvedInputDir, "act", ingestOneJsonDirectory);
         return;
     }
 
     // --all behavior (master dir containing multiple jsonDirectories)
     console.log(`📂 --all mode enabled. Master directory: ${resolvedInputDir}`);
+    if (isDryRun) console.log("🔍 --dry-run: nothing will be written to the DB");
+    if (isForce) console.log("♻️ --force: unchanged directories are ingested again");
 
     const subDirs = getSubDirectories(resolvedInputDir);
     const jsonDirs = subDirs.filter(isJsonDirectory);
@@ -175,7 +238,7 @@ async function ingest() {
         console.log(`🚀 Ingesting: ${dir}`);
         console.log("==================================================");
         try {
-            await ingestOneJsonDirectory(dir);
+            await ingestDocumentDirectory(run, dir, "act", ingestOneJsonDirectory);
         } catch (err) {
             console.error(`❌ Failed ingestion for ${dir}: ${err.message}`);
             // continue processing other directories
@@ -185,7 +248,19 @@ async function ingest() {
     console.log("\n✅ Finished processing all directories");
 }
 
-ingest().catch(err => {
+async function main() {
+    await lawsStorage.initDB(isDryRun ? { readOnly: true } : { create: true });
+    const run = await startRun({ root_path: resolvedInputDir, force: isForce, dryRun: isDryRun });
+    try {
+        await ingest(run);
+    } catch (err) {
+        await finishRun(run, err);
+        throw err;
+    }
+    await finishRun(run);
+}
+
+main().catch(err => {
     console.error("❌ Ingestion failed:", err.message);
     process.exit(1);
 });
@@ -4,14 +4,18 @@
 const fs = require("fs");
 const path = require("path");
 const { spawn } = require("child_process");
+const lawsStorage = require(path.join(__dirname, "./lawsStorageSimple.js"));
+const { startRun, finishRun } = require(path.join(__dirname, "./ingestRuns.js"));
 const dotenv = require("dotenv");
 dotenv.config({path: path.join(__dirname, ".env")});
 
 const documentsDirectoryPath = process.argv[2];
+// passed on to each ingest script
+const flags = process.argv.slice(3).filter(f => f === "--dry-run" || f === "--force");
 
-if (!documentsDirectoryPath) {
+if (!documentsDirectoryPath || documentsDirectoryPath.startsWith("--")) {
     console.log("❌ Invalid arguments.");
-    console.error(`Usage: node ${path.basename(__filename)} <Documents Directory Path having Acts and Regulations>`);
+    console.error(`Usage: node ${path.basename(__filename)} <Documents Directory Path having Acts and Regulations> [--dry-run] [--force]`);
     process.exit(1);
 }
 if(!process.env.DB_PATH) {
@@ -29,6 +33,7 @@ if (!fs.existsSync(resolvedDocumentsDir) || !fs.statSync(resolvedDocumentsDir).i
 
 const actsDir = path.join(resolvedDocumentsDir, "Acts");
 const regulationsDir = path.join(resolvedDocumentsDir, "Regulations");
+const amendmentsDir = path.join(resolvedDocumentsDir, "Amendments");
 
 function ensureDirExists(dirPath, label) {
     if (!fs.existsSync(dirPath) || !fs.statSync(dirPath).isDirectory()) {
@@ -37,6 +42,20 @@ function ensureDirExists(dirPath, label) {
     }
 }
 
+// act_id of every act.json under Acts/ that ingestAct.js would read
+function plannedActIds() {
+    const ids = [];
+    for (const name of fs.readdirSync(actsDir)) {
+        try {
+            const act = JSON.parse(fs.readFileSync(path.join(actsDir, name, "act.json"), "utf8"));
+            if (act.act_id) ids.push(act.act_id);
+        } catch {
+            // not an act directory, or unreadable: ingestAct.js reports it
+        }
+    }
+    return ids;
+}
+
 function runCommand(command, args) {
     return new Promise((resolve, reject) => {
         console.log(`\n🚀 Running: ${command} ${args.join(" ")}`);
@@ -57,14 +76,41 @@ async function main() {
     ensureDirExists(actsDir, "Acts");
     ensureDirExists(regulationsDir, "Regulations");
 
+    // one ledger run for all three scripts; they join it through INGEST_RUN_ID
+    await lawsStorage.initDB(flags.includes("--dry-run") ? { readOnly: true } : { create: true });
+    const run = await startRun({
+        root_path: resolvedDocumentsDir,
+        force: flags.includes("--force"),
+        dryRun: flags.includes("--dry-run"),
+    });
+    if (run.run_id) process.env.INGEST_RUN_ID = String(run.run_id);
+    // a dry run writes no acts, so the regulations' dry run is told which ones this batch would add
+    if (flags.includes("--dry-run")) process.env.PLANNED_ACT_IDS = JSON.stringify(plannedActIds());
+    // the scripts write to the DB while this waits
+    await lawsStorage.closeDB();
+
     try {
-        await runCommand("node", [path.join(__dirname, "./ingestAct.js"), actsDir, "--all"]);
-        await runCommand("node", [path.join(__dirname, "./ingestRegulation.js"), regulationsDir, "--all"]);
-        console.log("\n✅ All documents ingested successfully");
+        await runCommand("node", [path.join(__dirname, "./ingestAct.js"), actsDir, "--all", ...flags]);
+        await runCommand("node", [path.join(__dirname, "./ingestRegulation.js"), regulationsDir, "--all", ...flags]);
+
+        // amendments reference acts/regulations, so they go last; the folder is optional
+        if (fs.existsSync(amendmentsDir) && fs.statSync(amendmentsDir).isDirectory()) {
+            await runCommand("node", [path.join(__dirname, "./ingestAmendment.js"), amendmentsDir, "--all", ...flags]);
+        } else {
+            console.log(`\nℹ️ No Amendments directory, skipping: ${amendmentsDir}`);
+        }
+        console.log(flags.includes("--dry-run") ? "\n🔍 Dry run complete: nothing written" : "\n✅ All documents ingested successfully");
+        await finishRun(run);
     } catch (err) {
         console.error("\n❌ installAll failed:", err.message);
-        process.exit(1);
+        await finishRun(run, err);
+        process.exitCode = 1;
+    } finally {
+        await lawsStorage.closeDB();
     }
 }
 
-main();
+main().catch(err => {
+    console.error("❌ installAll failed:", err.message);
+    process.exit(1);
+});
@@ -0,0 +1,218 @@
+// ingestAmendment.js
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const lawsStorage = require(path.join(__dirname, "./lawsStorageSimple.js"));
+const { validateJsonDirectory, formatError } = require(path.join(__dirname, "./lawsSchemas.js"));
+const { startRun, ingestDocumentDirectory, finishRun } = require(path.join(__dirname, "./ingestRuns.js"));
+const dotenv = require("dotenv");
+dotenv.config({path: path.join(__dirname, ".env")});
+
+
+// ─────────────────────────────────────────────
+// Args
+// ─────────────────────────────────────────────
+const inputDirPath = process.argv[2];
+const flags = process.argv.slice(3); // optional
+const isAll = flags.includes("--all");
+const isDryRun = flags.includes("--dry-run");
+const isForce = flags.includes("--force");
+
+if (!inputDirPath) {
+    console.log("❌ Invalid arguments.");
+    console.error(`Usage: node ${path.basename(__filename)} <Amendment Directory Path> [--dry-run] [--force]`);
+    console.error("--- OR ---");
+    console.error(`Usage: node ${path.basename(__filename)} <masterDirPath having all Amendments> --all [--dry-run] [--force]`);
+    process.exit(1);
+}
+if(!process.env.DB_PATH) {
+    console.error("❌ Environment variable DB_PATH is not set.");
+    console.log("⚠️ Env file must be present the working directory with DB_PATH defined.");
+    process.exit(1);
+}
+
+const resolvedInputDir = path.resolve(inputDirPath);
+
+if (!fs.existsSync(resolvedInputDir) || !fs.statSync(resolvedInputDir).isDirectory()) {
+    console.error(`❌ Invalid inputDirPath: ${resolvedInputDir}`);
+    process.exit(1);
+}
+
+// ─────────────────────────────────────────────
+// Helpers
+// ─────────────────────────────────────────────
+async function loadJSON(filePath) {
+    try {
+        const raw = await fs.promises.readFile(filePath, "utf8");
+        return JSON.parse(raw);
+    } catch (err) {
+        throw new Error(`Failed to load JSON file: ${path.basename(filePath)} → ${err.message}`);
+    }
+}
+
+function isJsonDirectory(dirPath) {
+    const amendmentFile = path.join(dirPath, "amendment.json");
+    const changesFile = path.join(dirPath, "changes.json");
+
+    return (
+        fs.existsSync(amendmentFile) &&
+        fs.existsSync(changesFile) &&
+        fs.statSync(amendmentFile).isFile() &&
+        fs.statSync(changesFile).isFile()
+    );
+}
+
+function getSubDirectories(masterDir) {
+    return fs
+        .readdirSync(masterDir)
+        .map(name => path.join(masterDir, name))
+        .filter(p => fs.statSync(p).isDirectory());
+}
+
+// ─────────────────────────────────────────────
+// Change targets
+// ─────────────────────────────────────────────
+async function findTarget(target_type, target_id) {
+    if (target_type === "chapter") return lawsStorage.getChapter(target_id);
+    if (target_type === "section") return lawsStorage.getSection(target_id);
+    return lawsStorage.getClause(target_id);
+}
+
+// ─────────────────────────────────────────────
+// Main ingestion logic for ONE jsonDirectory
+// ─────────────────────────────────────────────
+async function ingestOneJsonDirectory(resolvedJsonDir, { dryRun = false } = {}) {
+    // filenames picked from provided directory
+    const AMENDMENT_FILE = path.join(resolvedJsonDir, "amendment.json");
+    const CHANGES_FILE = path.join(resolvedJsonDir, "changes.json");
+
+    console.log(`📥 Loading JSON files from: ${resolvedJsonDir}`);
+
+    // schema and cross-file checks; report every problem, not just the first
+    const { errors } = await validateJsonDirectory(resolvedJsonDir, "amendment");
+    if (errors.length) {
+        throw new Error(
+            `${errors.length} validation error(s) in ${resolvedJsonDir}:\n` +
+            errors.map(e => `   ${formatError(e)}`).join("\n")
+        );
+    }
+
+    const amendment = await loadJSON(AMENDMENT_FILE);
+    let changes = await loadJSON(CHANGES_FILE);
+
+    // normalize changes to array
+    if (!Array.isArray(changes)) {
+        changes = [changes];
+    }
+
+    const amended = amendment.act_id
+        ? await lawsStorage.getAct(amendment.act_id)
+        : await lawsStorage.getRegulation(amendment.regulation_id);
+    if (!amended) {
+        const label = amendment.act_id ? `act ${amendment.act_id}` : `regulation ${amendment.regulation_id}`;
+        throw new Error(`Amended ${label} is not in the database; ingest it before its amendments`);
+    }
+
+    for (const change of changes) {
+        if (change.change_type === "insert") continue;
+        if (!(await findTarget(change.target_type, change.target_id))) {
+            console.warn(`⚠️ ${change.change_type} targets unknown ${change.target_type}: ${change.target_id}`);
+        }
+    }
+
+    const amendmentRow = {
+        amendment_id: amendment.amendment_id,
+        amendment_name: amendment.amendment_name,
+        amendment_ministry: amendment.amendment_ministry || null,
+        amendment_effective_date: amendment.amendment_effective_date || null,
+        amendment_document_name: amendment.amendment_document_name || null,
+        amendment_short_description: amendment.short_description || null,
+        amendment_long_description: amendment.long_description || null,
+        act_id: amendment.act_id || null,
+        regulation_id: amendment.regulation_id || null,
+    };
+
+    if (dryRun) {
+        const existing = await lawsStorage.getAmendment(amendmentRow.amendment_id);
+        const previous = existing ? await lawsStorage.getAmendmentChanges(amendmentRow.amendment_id) : [];
+        console.log(
+            `🔍 Dry run: would ${existing ? "update" : "insert"} amendment ${amendmentRow.amendment_id} ` +
+            `and replace its ${previous.length} recorded change(s) with ${changes.length}`
+        );
+        return;
+    }
+
+    // the amendment and its full change list are written together or not at all
+    await lawsStorage.withTransaction(async () => {
+        console.log("🧾 Ingesting Amendment...");
+        await lawsStorage.addOrUpdateAmendment(amendmentRow);
+
+        console.log(`✏️ Recording ${changes.length} change(s)...`);
+        await lawsStorage.setAmendmentChanges(amendment.amendment_id, changes);
+    });
+
+    console.log("✅ Ingestion completed successfully");
+    return { changes: changes.length };
+}
+
+// ─────────────────────────────────────────────
+// Orchestrator
+// ─────────────────────────────────────────────
+async function ingest(run) {
+    if (!isAll) {
+        // old behavior (single directory)
+        if (!isJsonDirectory(resolvedInputDir)) {
+            throw new Error(
+                `Directory is missing required files (amendment.json, changes.json): ${resolvedInputDir}`
+            );
+        }
+        await ingestDocumentDirectory(run, resolvedInputDir, "amendment", ingestOneJsonDirectory);
+        return;
+    }
+
+    // --all behavior (master dir containing multiple jsonDirectories)
+    console.log(`📂 --all mode enabled. Master directory: ${resolvedInputDir}`);
+    if (isDryRun) console.log("🔍 --dry-run: nothing will be written to the DB");
+    if (isForce) console.log("♻️ --force: unchanged directories are ingested again");
+
+    const subDirs = getSubDirectories(resolvedInputDir);
+    const jsonDirs = subDirs.filter(isJsonDirectory);
+
+    if (jsonDirs.length === 0) {
+        throw new Error(`No valid jsonDirectories found inside master directory: ${resolvedInputDir}`);
+    }
+
+    console.log(`🗂️ Found ${jsonDirs.length} jsonDirectory(s) to ingest`);
+
+    for (const dir of jsonDirs) {
+        console.log("\n==================================================");
+        console.log(`🚀 Ingesting: ${dir}`);
+        console.log("==================================================");
+        try {
+            await ingestDocumentDirectory(run, dir, "amendment", ingestOneJsonDirectory);
+        } catch (err) {
+            console.error(`❌ Failed ingestion for ${dir}: ${err.message}`);
+            // continue processing other directories
+        }
+    }
+
+    console.log("\n✅ Finished processing all directories");
+}
+
+async function main() {
+    await lawsStorage.initDB(isDryRun ? { readOnly: true } : { create: true });
+    const run = await startRun({ root_path: resolvedInputDir, force: isForce, dryRun: isDryRun });
+    try {
+        await ingest(run);
+    } catch (err) {
+        await finishRun(run, err);
+        throw err;
+    }
+    await finishRun(run);
+}
+
+main().catch(err => {
+    console.error("❌ Ingestion failed:", err.message);
+    process.exit(1);
+});
@@ -4,6 +4,10 @@
 const fs = require("fs");
 const path = require("path");
 const lawsStorage = require(path.join(__dirname, "./lawsStorageSimple.js"));
+const { recordEnablingActs } = require(path.join(__dirname, "./enablingActs.js"));
+const { validateJsonDirectory, formatError } = require(path.join(__dirname, "./lawsSchemas.js"));
+const { startRun, ingestDocumentDirectory, finishRun } = require(path.join(__dirname, "./ingestRuns.js"));
+const { parseThaiDate, normalizeEffectiveDate } = require(path.join(__dirname, "./thaiDates.js"));
 const dotenv = require("dotenv");
 dotenv.config({path: path.join(__dirname, ".env")});
 
@@ -11,14 +15,16 @@ dotenv.config({path: path.join(__dirname, ".env")});
 // Args
 // ─────────────────────────────────────────────
 const inputDirPath = process.argv[2];
-const flag = process.argv[3]; // optional
-const isAll = flag === "--all";
+const flags = process.argv.slice(3); // optional
+const isAll = flags.includes("--all");
+const isDryRun = flags.includes("--dry-run");
+const isForce = flags.includes("--force");
 
 if (!inputDirPath) {
     console.log("❌ Invalid arguments.");
-    console.error(`Usage: node ${path.basename(__filename)} <Regulation Directory Path>`);
+    console.error(`Usage: node ${path.basename(__filename)} <Regulation Directory Path> [--dry-run] [--force]`);
     console.error("--- OR ---");
-    console.error(`Usage: node ${path.basename(__filename)} <masterDirPath having all Regulations> --all`);
+    console.error(`Usage: node ${path.basename(__filename)} <masterDirPath having all Regulations> --all [--dry-run] [--force]`);
     process.exit(1);
 }
 if(!process.env.DB_PATH) {
@@ -61,6 +67,31 @@ function isJsonDirectory(dirPath) {
     );
 }
 
+// what upserting `row` would do to the stored `existing` row
+function planRow(kind, id, existing, row) {
+    if (!existing) return { kind, id, action: "insert", fields: [] };
+    const fields = Object.keys(row).filter(k => (row[k] ?? null) !== (existing[k] ?? null));
+    return { kind, id, action: fields.length ? "update" : "unchanged", fields };
+}
+
+function printPlan(plan) {
+    const count = action => plan.filter(p => p.action === action).length;
+    console.log(
+        `🔍 Dry run: would insert ${count("insert")}, update ${count("update")}, ` +
+        `leave ${count("unchanged")} unchanged` +
+        (count("error") ? `, and fail on ${count("error")} error(s)` : "")
+    );
+    for (const p of plan) {
+        if (p.action === "unchanged") continue;
+        const detail = p.action === "update" ? ` (${p.fields.join(", ")})` : p.action === "error" ? `: ${p.error}` : "";
+        console.log(`   ${p.action.padEnd(6)} ${p.kind} ${p.id}${detail}`);
+    }
+}
+
+// acts the same ingestAllDocuments.js dry run would ingest first; nothing is
+// written in a dry run, so they are not in the DB yet
+const plannedActIds = new Set(JSON.parse(process.env.PLANNED_ACT_IDS || "[]"));
+
 function getSubDirectories(masterDir) {
     return fs
         .readdirSync(masterDir)
@@ -71,7 +102,7 @@ function getSubDirectories(masterDir) {
 // ─────────────────────────────────────────────
 // Main ingestion logic for ONE jsonDirectory
 // ─────────────────────────────────────────────
-async function ingestOneJsonDirectory(resolvedJsonDir) {
+async function ingestOneJsonDirectory(resolvedJsonDir, { dryRun = false } = {}) {
     // filenames picked from provided directory
     const REGULATION_FILE = path.join(resolvedJsonDir, "regulation.json");
     const CHAPTERS_FILE = path.join(resolvedJsonDir, "chapters.json");
@@ -79,75 +110,137 @@ async function ingestOneJsonDirectory(resolvedJsonDir) {
 
     console.log(`📥 Loading JSON files from: ${resolvedJsonDir}`);
 
+    // schema and cross-file checks; report every problem, not just the first
+    const { errors } = await validateJsonDirectory(resolvedJsonDir, "regulation");
+    if (errors.length) {
+        throw new Error(
+            `${errors.length} validation error(s) in ${resolvedJsonDir}:\n` +
+            errors.map(e => `   ${formatError(e)}`).join("\n")
+        );
+    }
+
     const regulation = await loadJSON(REGULATION_FILE);
     const chapters = await loadJSON(CHAPTERS_FILE);
     let clauses = await loadJSON(CLAUSES_FILE);
 
-    if (!regulation || !regulation.regulation_id) {
-        throw new Error(`Invalid regulation.json in ${resolvedJsonDir}: missing regulation_id`);
-    }
-
-    if (!Array.isArray(chapters)) {
-        throw new Error(`chapters.json must be an array in ${resolvedJsonDir}`);
-    }
-
     // normalize clauses to array
     if (!Array.isArray(clauses)) {
         clauses = [clauses];
     }
 
-    console.log("🧾 Ingesting Regulation...");
-    await lawsStorage.addOrUpdateRegulation({
+    const documentValidFrom = regulation.valid_from || null;
+    // a changed wording is versioned from the record's (or document's) valid_from;
+    // provisions seen for the first time start at the normalized effective date
+    const effectiveFrom = normalizeEffectiveDate(regulation.regulation_effective_date, regulation.regulation_publication_date).iso;
+
+    const regulationRow = {
         regulation_id: regulation.regulation_id,
         regulation_name: regulation.regulation_name,
         regulation_ministry: regulation.regulation_ministry || null,
         regulation_effective_date: regulation.regulation_effective_date || null,
+        // validated above, so this is the ISO date or null when absent
+        regulation_publication_date: parseThaiDate(regulation.regulation_publication_date),
         regulation_document_name: regulation.regulation_document_name || null,
         regulation_short_description: regulation.short_description || null,
         regulation_long_description: regulation.long_description || null,
-    });
+    };
+
+    const chapterRows = chapters.map(chapter => ({
+        chapter_id: chapter.chapter_id,
+        chapter_title: chapter.chapter_title,
+        chapter_text: chapter.chapter_text,
+        chapter_summary: chapter.chapter_summary || null,
+        regulation_id: chapter.regulation_id,
+        valid_from: chapter.valid_from || documentValidFrom,
+        initial_valid_from: effectiveFrom,
+    }));
+
+    // optional: without applicable_act_ids the stored mapping is left as it is
+    const mappingRow = regulation.applicable_act_ids === undefined ? null : {
+        regulation_id: regulation.regulation_id,
+        applicable_act_ids: JSON.stringify(regulation.applicable_act_ids),
+    };
+
+    const clauseRows = clauses.map(clause => ({
+        clause_id: clause.clause_id,
+        clause_title: clause.clause_title,
+        clause_text: clause.clause_text,
+        clause_summary: clause.clause_summary || null,
+        chapter_id: clause.chapter_id,
+        valid_from: clause.valid_from || documentValidFrom,
+        initial_valid_from: effectiveFrom,
+    }));
+
+    if (dryRun) {
+        const existing = await lawsStorage.getRegulation(regulationRow.regulation_id);
+        const plan = [planRow("regulation", regulationRow.regulation_id, existing, regulationRow)];
+        for (const { valid_from, initial_valid_from, ...row } of chapterRows) {
+            plan.push(planRow("chapter", row.chapter_id, await lawsStorage.getChapter(row.chapter_id), row));
+        }
+        for (const { valid_from, initial_valid_from, ...row } of clauseRows) {
+            plan.push(planRow("clause", row.clause_id, await lawsStorage.getClause(row.clause_id), row));
+        }
+        if (mappingRow) {
+            const manual = (await lawsStorage.getActRegulationLinks(mappingRow.regulation_id))
+                .filter(l => l.provenance === "manual" && !l.section_id);
+            const existingMapping = manual.length === 0 ? null : {
+                regulation_id: mappingRow.regulation_id,
+                applicable_act_ids: JSON.stringify(manual.map(l => l.act_id)),
+            };
+            plan.push(planRow("mapping", mappingRow.regulation_id, existingMapping, mappingRow));
+
+            // the real run rejects links to acts that are not stored, and rolls back
+            const unplanned = regulation.applicable_act_ids.filter(act_id => !plannedActIds.has(act_id));
+            const problems = await lawsStorage.findActRegulationLinkProblems(unplanned.map(act_id => ({ act_id })));
+            for (const error of problems) {
+                plan.push({ kind: "mapping", id: mappingRow.regulation_id, action: "error", fields: [], error });
+            }
+        }
+        printPlan(plan);
+        const errors = plan.filter(p => p.action === "error").length;
+        if (errors) throw new Error(`${errors} plan error(s) in ${resolvedJsonDir}: ingesting it would fail`);
+        return plan;
+    }
 
-    console.log(`📚 Ingesting ${chapters.length} chapter(s)...`);
-    for (const chapter of chapters) {
-        if (!chapter.chapter_id || !chapter.regulation_id) {
-            throw new Error(
-                `Invalid chapter record in ${resolvedJsonDir}: missing chapter_id or regulation_id`
-            );
+    // one transaction per document: a bad record rolls back the whole regulation
+    await lawsStorage.withTransaction(async () => {
+        console.log("🧾 Ingesting Regulation...");
+        await lawsStorage.addOrUpdateRegulation(regulationRow);
+
+        console.log(`📚 Ingesting ${chapterRows.length} chapter(s)...`);
+        for (const row of chapterRows) {
+            await lawsStorage.addOrUpdateChapterByRegulation(row);
         }
 
-        await lawsStorage.addOrUpdateChapterByRegulation({
-            chapter_id: chapter.chapter_id,
-            chapter_title: chapter.chapter_title,
-            chapter_text: chapter.chapter_text,
-            chapter_summary: chapter.chapter_summary || null,
-            regulation_id: chapter.regulation_id,
-        });
-    }
+        console.log(`📄 Ingesting ${clauseRows.length} clause(s)...`);
+        for (const row of clauseRows) {
+            await lawsStorage.addOrUpdateClause(row);
+        }
 
-    console.log(`📄 Ingesting ${clauses.length} clause(s)...`);
-    for (const clause of clauses) {
-        if (!clause.clause_id || !clause.chapter_id) {
-            throw new Error(`Invalid clause record in ${resolvedJsonDir}: missing clause_id or chapter_id`);
+        if (mappingRow) {
+            console.log("🔗 Ingesting act mapping...");
+            await lawsStorage.addOrUpdateActRegulationMapping(mappingRow.regulation_id, regulation.applicable_act_ids);
         }
 
-        await lawsStorage.addOrUpdateClause({
-            clause_id: clause.clause_id,
-            clause_title: clause.clause_title,
-            clause_text: clause.clause_text,
-            clause_summary: clause.clause_summary || null,
-            chapter_id: clause.chapter_id,
-        });
-    }
+        // the enabling clause adds inferred links next to the manual ones
+        const inferred = await recordEnablingActs(regulationRow.regulation_id);
+        const toReview = inferred.entries.filter(e => e.needs_review).length;
+        console.log(`🏛️ Enabling act(s): ${inferred.act_ids.join(", ") || "none matched"}` +
+            (toReview ? ` (⚠️ ${toReview} inferred mapping(s) need review)` : ""));
+
+        // references made before this document was stored can point at it now
+        const resolved = await lawsStorage.resolveReferences("regulation", regulationRow.regulation_id);
+        if (resolved) console.log(`🔗 Resolved ${resolved} pending cross-reference(s)`);
+    });
 
     console.log("✅ Ingestion completed successfully");
+    return { chapters: chapterRows.length, clauses: clauseRows.length };
 }
 
 // ─────────────────────────────────────────────
 // Orchestrator
 // ─────────────────────────────────────────────
-async function ingest() {
-    await lawsStorage.ensureDB();
-
+async function ingest(run) {
     if (!isAll) {
         // old behavior (single directory)
         if (!isJsonDirectory(resolvedInputDir)) {
@@ -156,12 +249,14 @@ async function ingest() {
             );
         }
 
-        await ingestOneJsonDirectory(resolvedInputDir);
+        await ingestDocumentDirectory(run, resolvedInputDir, "regulation", ingestOneJsonDirectory);
         return;
     }
 
     // --all behavior (master dir containing multiple jsonDirectories)
     console.log(`📂 --all mode enabled. Master directory: ${resolvedInputDir}`);
+    if (isDryRun) console.log("🔍 --dry-run: nothing will be written to the DB");
+    if (isForce) console.log("♻️ --force: unchanged directories are ingested again");
 
     const subDirs = getSubDirectories(resolvedInputDir);
     const jsonDirs = subDirs.filter(isJsonDirectory);
@@ -178,7 +273,7 @@ async function ingest() {
         console.log("==================================================");
 
         try {
-            await ingestOneJsonDirectory(dir);
+            await ingestDocumentDirectory(run, dir, "regulation", ingestOneJsonDirectory);
         } catch (err) {
             console.error(`❌ Failed ingestion for ${dir}: ${err.message}`);
             // continue with next directory
@@ -188,7 +283,19 @@ async function ingest() {
     console.log("\n✅ Finished processing all directories");
 }
 
-ingest().catch(err => {
+async function main() {
+    await lawsStorage.initDB(isDryRun ? { readOnly: true } : { create: true });
+    const run = await startRun({ root_path: resolvedInputDir, force: isForce, dryRun: isDryRun });
+    try {
+        await ingest(run);
+    } catch (err) {
+        await finishRun(run, err);
+        throw err;
+    }
+    await finishRun(run);
+}
+
+main().catch(err => {
     console.error("❌ Ingestion failed:", err.message);
     process.exit(1);
 });
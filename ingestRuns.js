@@ -0,0 +1,150 @@
+// ingestRuns.js
+"use strict";
+
+// The ingest ledger. Each ingestAct/ingestRegulation/ingestAmendment invocation
+// is a run (IngestRuns), and each document directory it looks at is recorded
+// with the sha256 of the JSON files it reads and of its source PDF, the rows
+// written and the outcome (IngestRunDocuments). A directory whose hashes equal
+// those of the document's last successful ingest is skipped unless --force is
+// given. ingestAllDocuments.js opens the run itself and passes its id to the
+// scripts in INGEST_RUN_ID, so that one invocation of it is one run.
+//
+// Dry runs are not recorded; they only report what would be skipped.
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const lawsStorage = require(path.join(__dirname, "./lawsStorageSimple.js"));
+
+// what each kind of document directory is ingested from
+const DOCUMENT_FILES = {
+    act: { idKey: "act_id", files: ["act.json", "chapters.json", "sections.json"] },
+    regulation: { idKey: "regulation_id", files: ["regulation.json", "chapters.json", "clauses.json"] },
+    amendment: { idKey: "amendment_id", files: ["amendment.json", "changes.json"] },
+};
+
+const STORED = {
+    act: id => lawsStorage.getAct(id),
+    regulation: id => lawsStorage.getRegulation(id),
+    amendment: id => lawsStorage.getAmendment(id),
+};
+
+function hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash("sha256");
+        const stream = fs.createReadStream(filePath);
+
+        stream.on("error", reject);
+        stream.on("data", chunk => hash.update(chunk));
+        stream.on("end", () => resolve(hash.digest("hex")));
+    });
+}
+
+/**
+ * { json_sha256, pdf_sha256 } of a document directory: one digest over the
+ * JSON files ingest reads (names and contents, in a fixed order; OCR and
+ * structure reports next to them do not count) and the digest of the source
+ * PDF, or null when the directory has none.
+ */
+async function hashDocumentDirectory(dir, document_type) {
+    const hash = crypto.createHash("sha256");
+    for (const name of DOCUMENT_FILES[document_type].files) {
+        hash.update(`${name}\0`);
+        hash.update(await fs.promises.readFile(path.join(dir, name)));
+        hash.update("\0");
+    }
+    const pdf = (await fs.promises.readdir(dir)).filter(f => path.extname(f).toLowerCase() === ".pdf").sort()[0];
+
+    return {
+        json_sha256: hash.digest("hex"),
+        pdf_sha256: pdf ? await hashFile(path.join(dir, pdf)) : null,
+    };
+}
+
+async function readDocumentId(dir, document_type) {
+    const { idKey, files } = DOCUMENT_FILES[document_type];
+    try {
+        return JSON.parse(await fs.promises.readFile(path.join(dir, files[0]), "utf8"))[idKey] || null;
+    } catch {
+        // unreadable JSON is reported by the ingest's own validation
+        return null;
+    }
+}
+
+/**
+ * Opens a run for this process, or joins the one named by INGEST_RUN_ID.
+ * The returned handle goes to ingestDocumentDirectory() and finishRun().
+ */
+async function startRun({ root_path, force = false, dryRun = false }) {
+    const run = { run_id: null, owned: false, force, dryRun };
+    if (dryRun) return run;
+
+    if (process.env.INGEST_RUN_ID) {
+        run.run_id = Number(process.env.INGEST_RUN_ID);
+        return run;
+    }
+    run.run_id = await lawsStorage.startIngestRun({
+        command: [path.basename(process.argv[1]), ...process.argv.slice(2)].join(" "),
+        root_path,
+        forced: force,
+    });
+    run.owned = true;
+    console.log(`🧾 Ingest run #${run.run_id}`);
+    return run;
+}
+
+/**
+ * Ingests one document directory through ingestFn(dir, { dryRun }), which
+ * returns the row counts it wrote, unless the directory is unchanged since
+ * the document was last ingested. Failures are recorded and rethrown.
+ */
+async function ingestDocumentDirectory(run, dir, document_type, ingestFn) {
+    const hashes = await hashDocumentDirectory(dir, document_type);
+    const document_id = await readDocumentId(dir, document_type);
+    const entry = { document_dir: dir, document_type, document_id, ...hashes };
+
+    if (!run.force && document_id) {
+        const last = await lawsStorage.getLastIngest(document_type, document_id);
+        const unchanged = last &&
+            last.json_sha256 === hashes.json_sha256 &&
+            last.pdf_sha256 === hashes.pdf_sha256 &&
+            await STORED[document_type](document_id);
+        if (unchanged) {
+            console.log(
+                `⏭️ ${run.dryRun ? "Would skip" : "Skipping"} ${document_type} ${document_id}: ` +
+                `unchanged since run #${last.run_id} (${last.processed_at}); use --force to re-ingest`
+            );
+            if (run.run_id) await lawsStorage.addIngestRunDocument(run.run_id, { ...entry, outcome: "skipped" });
+            return { skipped: true };
+        }
+    }
+
+    try {
+        const row_counts = await ingestFn(dir, { dryRun: run.dryRun });
+        if (run.run_id) await lawsStorage.addIngestRunDocument(run.run_id, { ...entry, row_counts, outcome: "ingested" });
+        return { skipped: false };
+    } catch (err) {
+        if (run.run_id) {
+            await lawsStorage.addIngestRunDocument(run.run_id, { ...entry, outcome: "failed", error: err.message });
+        }
+        throw err;
+    }
+}
+
+// closes a run this process opened; joined runs are closed by their owner
+async function finishRun(run, error = null) {
+    if (!run || !run.owned) return null;
+    const finished = await lawsStorage.finishIngestRun(run.run_id, error ? error.message : null);
+    console.log(
+        `🧾 Run #${finished.run_id} ${finished.outcome}: ${finished.ingested} ingested, ` +
+        `${finished.skipped} skipped, ${finished.failed} failed`
+    );
+    return finished;
+}
+
+module.exports = {
+    hashDocumentDirectory,
+    startRun,
+    ingestDocumentDirectory,
+    finishRun,
+};
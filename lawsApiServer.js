@@ -0,0 +1,229 @@
+// lawsApiServer.js
+"use strict";
+
+// Read-only JSON API over the laws database, so consumers do not need the
+// SQLite file or lawsStorageSimple.js in-process.
+//
+//   GET /acts                          list (paginated)
+//   GET /acts/:id
+//   GET /acts/:id/chapters             list (paginated)
+//   GET /acts/:id/regulations          list (paginated)
+//   GET /chapters/:id/sections         list (paginated)
+//   GET /chapters/:id/clauses          list (paginated)
+//   GET /regulations                   list (paginated)
+//   GET /regulations/:id
+//   GET /references/:id                { id, cites, cited_by } for any document or provision id
+//
+// Lists take ?limit=N (default 50, max 500) and ?offset=N and answer
+// { items, total, limit, offset }. Every 200 carries an ETag; a matching
+// If-None-Match gets 304. Unknown ids and paths are 404, errors are
+// { error: "..." }.
+
+const http = require("http");
+const path = require("path");
+const crypto = require("crypto");
+const lawsStorage = require(path.join(__dirname, "./lawsStorageSimple.js"));
+const dotenv = require("dotenv");
+dotenv.config({path: path.join(__dirname, ".env")});
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+// ─────────────────────────────────────────────
+// Args
+// ─────────────────────────────────────────────
+const args = process.argv.slice(2);
+const options = {
+    port: Number(process.env.API_PORT || 8080),
+    host: process.env.API_HOST || "127.0.0.1",
+};
+let invalid = false;
+
+for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === "--port") options.port = Number(args[++i]);
+    else if (arg === "--host") options.host = args[++i];
+    else invalid = true;
+}
+
+if (invalid || !Number.isInteger(options.port) || options.port < 0 || !options.host) {
+    console.log("❌ Invalid arguments.");
+    console.error(`Usage: node ${path.basename(__filename)} [--port N] [--host address]`);
+    console.error("       (defaults: API_PORT or 8080, API_HOST or 127.0.0.1)");
+    process.exit(1);
+}
+if(!process.env.DB_PATH) {
+    console.error("❌ Environment variable DB_PATH is not set.");
+    console.log("⚠️ Env file must be present the working directory with DB_PATH defined.");
+    process.exit(1);
+}
+
+// ─────────────────────────────────────────────
+// Responses
+// ─────────────────────────────────────────────
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+const notFound = (what, id) => new HttpError(404, `${what} not found: ${id}`);
+
+function send(req, res, status, body, headers = {}) {
+    const json = JSON.stringify(body);
+    const etag = `"${crypto.createHash("sha1").update(json).digest("base64url")}"`;
+
+    res.setHeader("Content-Type", "application/json; charset=utf-8");
+    for (const [name, value] of Object.entries(headers)) res.setHeader(name, value);
+
+    if (status === 200) {
+        res.setHeader("ETag", etag);
+        res.setHeader("Cache-Control", "no-cache");
+        const ifNoneMatch = req.headers["if-none-match"];
+        if (ifNoneMatch && ifNoneMatch.split(",").map(t => t.trim().replace(/^W\//, "")).some(t => t === etag || t === "*")) {
+            res.writeHead(304);
+            return res.end();
+        }
+    }
+
+    res.writeHead(status, { "Content-Length": Buffer.byteLength(json) });
+    res.end(req.method === "HEAD" ? undefined : json);
+}
+
+function pageParams(searchParams) {
+    const read = (name, fallback) => {
+        const raw = searchParams.get(name);
+        if (raw === null || raw === "") return fallback;
+        const n = Number(raw);
+        if (!Number.isInteger(n) || n < 0) throw new HttpError(400, `${name} must be a non-negative integer`);
+        return n;
+    };
+    const limit = read("limit", DEFAULT_LIMIT);
+    if (limit < 1 || limit > MAX_LIMIT) throw new HttpError(400, `limit must be between 1 and ${MAX_LIMIT}`);
+    return { limit, offset: read("offset", 0) };
+}
+
+// one page of a list, fetched and counted in SQL: list(page) and count() are storage getters
+async function paginate(list, count, searchParams) {
+    const { limit, offset } = pageParams(searchParams);
+    return { items: await list({ limit, offset }), total: await count(), limit, offset };
+}
+
+// ─────────────────────────────────────────────
+// Routes
+// ─────────────────────────────────────────────
+async function requireAct(id) {
+    const act = await lawsStorage.getAct(id);
+    if (!act) throw notFound("Act", id);
+    return act;
+}
+
+async function requireChapter(id) {
+    const chapter = await lawsStorage.getChapter(id);
+    if (!chapter) throw notFound("Chapter", id);
+    return chapter;
+}
+
+const ROUTES = [
+    ["/acts", async (_p, q) => paginate(lawsStorage.getAllActs, lawsStorage.countActs, q)],
+    ["/acts/:id", async ({ id }) => requireAct(id)],
+    ["/acts/:id/chapters", async ({ id }, q) => {
+        await requireAct(id);
+        return paginate(page => lawsStorage.getChaptersByAct(id, page), () => lawsStorage.countChaptersByAct(id), q);
+    }],
+    ["/acts/:id/regulations", async ({ id }, q) => {
+        await requireAct(id);
+        return paginate(page => lawsStorage.getRegulationsByAct(id, page), () => lawsStorage.countRegulationsByAct(id), q);
+    }],
+    ["/chapters/:id/sections", async ({ id }, q) => {
+        await requireChapter(id);
+        return paginate(page => lawsStorage.getSectionsByChapter(id, page), () => lawsStorage.countSectionsByChapter(id), q);
+    }],
+    ["/chapters/:id/clauses", async ({ id }, q) => {
+        await requireChapter(id);
+        return paginate(page => lawsStorage.getClausesByChapter(id, page), () => lawsStorage.countClausesByChapter(id), q);
+    }],
+    ["/regulations", async (_p, q) => paginate(lawsStorage.getAllRegulations, lawsStorage.countRegulations, q)],
+    ["/regulations/:id", async ({ id }) => {
+        const regulation = await lawsStorage.getRegulation(id);
+        if (!regulation) throw notFound("Regulation", id);
+        return regulation;
+    }],
+    ["/references/:id", async ({ id }) => {
+        const getters = ["getAct", "getRegulation", "getChapter", "getSection", "getClause"];
+        let known = false;
+        for (const getter of getters) if (!known) known = Boolean(await lawsStorage[getter](id));
+        if (!known) throw notFound("Document or provision", id);
+        return {
+            id,
+            cites: await lawsStorage.getReferencesFrom(id),
+            cited_by: await lawsStorage.getReferencesTo(id),
+        };
+    }],
+].map(([pattern, handler]) => ({ parts: pattern.split("/").filter(Boolean), handler }));
+
+function matchRoute(pathname) {
+    let segments;
+    try {
+        segments = pathname.split("/").filter(Boolean).map(decodeURIComponent);
+    } catch {
+        throw new HttpError(400, "Malformed URL");
+    }
+    for (const route of ROUTES) {
+        if (route.parts.length !== segments.length) continue;
+        const params = {};
+        const matches = route.parts.every((part, i) =>
+            part.startsWith(":") ? (params[part.slice(1)] = segments[i], true) : part === segments[i]);
+        if (matches) return { handler: route.handler, params };
+    }
+    return null;
+}
+
+async function handle(req, res) {
+    try {
+        const url = new URL(req.url, "http://localhost");
+        const route = matchRoute(url.pathname);
+        if (!route) throw new HttpError(404, `No such endpoint: ${url.pathname}`);
+        if (!["GET", "HEAD"].includes(req.method)) {
+            return send(req, res, 405, { error: `Method ${req.method} not allowed (read-only API)` }, { Allow: "GET, HEAD" });
+        }
+        send(req, res, 200, await route.handler(route.params, url.searchParams));
+    } catch (err) {
+        if (err instanceof HttpError) return send(req, res, err.status, { error: err.message });
+        console.error(`❌ ${req.method} ${req.url}: ${err.message}`);
+        send(req, res, 500, { error: "Internal server error" });
+    }
+}
+
+// ─────────────────────────────────────────────
+// Main
+// ─────────────────────────────────────────────
+async function main() {
+    // a read-only server must not change the file it serves: opening fails
+    // when the file is missing or its schema is older than this code
+    await lawsStorage.initDB({ readOnly: true });
+
+    const server = http.createServer((req, res) => { handle(req, res); });
+    await new Promise((resolve, reject) => {
+        server.once("error", reject);
+        server.listen(options.port, options.host, resolve);
+    });
+    const { address, port } = server.address();
+    console.log(`🌐 Laws API listening on http://${address}:${port} (${process.env.DB_PATH})`);
+
+    const shutdown = () => {
+        console.log("\n👋 Shutting down");
+        server.close(async () => {
+            await lawsStorage.closeDB();
+            process.exit(0);
+        });
+    };
+    process.on("SIGINT", shutdown);
+    process.on("SIGTERM", shutdown);
+}
+
+main().catch(err => {
+    console.error("❌ Server failed:", err.message);
+    process.exit(1);
+});
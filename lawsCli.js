@@ -0,0 +1,350 @@
+#!/usr/bin/env node
+// lawsCli.js
+"use strict";
+
+// One entry point for the ingestion workflow. Each command runs the script
+// that does the work (separater.js, directorymaker.js, extractText.js, ...)
+// as a child process, so the scripts keep working on their own; this file
+// only gives them one set of flags and help texts:
+//
+//   node lawsCli.js pipeline ./incoming --db laws.db
+//
+// runs raw PDFs through classify → split → ocr → structure → ingest.
+
+const fs = require("fs");
+const path = require("path");
+const { spawn } = require("child_process");
+
+const CLI = `node ${path.basename(__filename)}`;
+const CATEGORY_DIRS = ["Acts", "Regulations", "Amendments"];
+// options that take a value; every other --flag is a switch
+const VALUE_OPTIONS = ["--db", "--out", "--limit", "--xsd", "--as-of", "--type", "--id"];
+
+const GLOBAL_OPTIONS = {
+    "--db <file>": "SQLite database to use (overrides DB_PATH from .env)",
+    "--help": "show help for the command",
+};
+
+// ─────────────────────────────────────────────
+// Steps
+// ─────────────────────────────────────────────
+
+// a script run; skipped (not failed) when `requires` does not exist at the time it is reached
+function step(script, args, requires = null) {
+    return { script, args: args.filter(a => a !== undefined && a !== null), requires };
+}
+
+function switches(flags, names) {
+    return names.filter(n => flags[n]);
+}
+
+// --all on a path command: the same step over <root>/Acts, Regulations, Amendments
+function perCategory(root, categories, build) {
+    return categories.map(c => build(path.join(root, c), c));
+}
+
+// ─────────────────────────────────────────────
+// Commands
+// ─────────────────────────────────────────────
+const COMMANDS = {
+    classify: {
+        summary: "Sort the PDFs of a directory into Acts/, Regulations/ and Amendments/ by file name",
+        usage: ["classify <dir> [--dry-run]"],
+        options: { "--dry-run": "list the moves without making them" },
+        positional: [1, 1],
+        steps: ({ positional: [dir], flags }) => [step("separater.js", [dir, ...switches(flags, ["--dry-run"])])],
+    },
+    split: {
+        summary: "Move each PDF of a directory into a directory of its own",
+        usage: ["split <dir> [--dry-run]", "split <documentsDir> --all [--dry-run]"],
+        options: {
+            "--all": "split Acts/, Regulations/ and Amendments/ of <documentsDir>",
+            "--dry-run": "list the moves without making them",
+        },
+        positional: [1, 1],
+        steps: ({ positional: [dir], flags }) => {
+            const build = d => step("directorymaker.js", [d, ...switches(flags, ["--dry-run"])], d);
+            return flags["--all"] ? perCategory(dir, CATEGORY_DIRS, build) : [build(dir)];
+        },
+    },
+    ocr: {
+        summary: "Extract the text of a PDF or scan, or of every document directory below a directory",
+        usage: ["ocr <file|dir> [--layout]", "ocr <documentsDir> --all [--layout]"],
+        options: {
+            "--all": "run on Acts/, Regulations/ and Amendments/ of <documentsDir>",
+            "--layout": "also write the page layout (<name>.layout.json)",
+        },
+        positional: [1, 1],
+        steps: ({ positional: [target], flags }) => {
+            const build = d => step("extractText.js", [d, ...switches(flags, ["--layout"])], d);
+            return flags["--all"] ? perCategory(target, CATEGORY_DIRS, build) : [build(target)];
+        },
+    },
+    structure: {
+        summary: "Parse extracted text into the act/regulation JSON files ingest reads",
+        usage: [
+            "structure <file.txt> [--type act|regulation] [--id <id>] [--force]",
+            "structure <dir> [--type act|regulation] [--force]",
+            "structure <documentsDir> --all [--force]",
+        ],
+        options: {
+            "--all": "structure Acts/ as acts and Regulations/ as regulations",
+            "--type <act|regulation>": "document type, when it cannot be told from the text",
+            "--id <id>": "document id for a single file (default: the file name)",
+            "--force": "overwrite JSON files that already exist",
+        },
+        positional: [1, 1],
+        validate: ({ flags, values }) => {
+            if (values["--type"] && !["act", "regulation"].includes(values["--type"])) return "--type must be act or regulation";
+            if (flags["--all"] && (values["--type"] || values["--id"])) return "--all takes the type from the folder; drop --type/--id";
+            return null;
+        },
+        steps: ({ positional: [target], flags, values }) => {
+            const force = switches(flags, ["--force"]);
+            if (flags["--all"]) {
+                // amendments are written by hand, there is nothing to structure
+                return perCategory(target, ["Acts", "Regulations"], (d, c) =>
+                    step("structureText.js", [d, "--type", c === "Acts" ? "act" : "regulation", ...force], d));
+            }
+            const typeArgs = values["--type"] ? ["--type", values["--type"]] : [];
+            const idArgs = values["--id"] ? ["--id", values["--id"]] : [];
+            return [step("structureText.js", [target, ...typeArgs, ...idArgs, ...force])];
+        },
+    },
+    ingest: {
+        summary: "Load structured documents into the DB",
+        usage: [
+            "ingest act|regulation|amendment <dir> [--dry-run] [--force]",
+            "ingest act|regulation|amendment <masterDir> --all [--dry-run] [--force]",
+            "ingest all <documentsDir> [--dry-run] [--force]",
+        ],
+        options: {
+            "--all": "ingest every document directory below <masterDir>",
+            "--dry-run": "validate and show what would change without writing",
+            "--force": "ingest directories that are unchanged since their last ingest",
+        },
+        positional: [2, 2],
+        validate: ({ positional: [kind], flags }) => {
+            if (!["act", "regulation", "amendment", "all"].includes(kind)) return `unknown document type: ${kind}`;
+            if (kind === "all" && flags["--all"]) return "ingest all already covers every directory; drop --all";
+            return null;
+        },
+        steps: ({ positional: [kind, dir], flags }) => {
+            if (kind === "all") return [step("ingestAllDocuments.js", [dir, ...switches(flags, ["--dry-run", "--force"])])];
+            const script = { act: "ingestAct.js", regulation: "ingestRegulation.js", amendment: "ingestAmendment.js" }[kind];
+            return [step(script, [dir, ...switches(flags, ["--all", "--dry-run", "--force"])])];
+        },
+    },
+    runs: {
+        summary: "List past ingest runs, or the document directories of one run",
+        usage: ["runs [--limit <n>] [--json]", "runs <run_id> [--json]"],
+        options: {
+            "--limit <n>": "how many runs to list, newest first (default 20)",
+            "--json": "print the runs as JSON",
+        },
+        positional: [0, 1],
+        steps: ({ positional, flags, values }) => {
+            const limit = values["--limit"] ? ["--limit", values["--limit"]] : [];
+            return [step("listIngestRuns.js", [...positional, ...limit, ...switches(flags, ["--json"])])];
+        },
+    },
+    report: {
+        summary: "Count the PDFs of five document trees and list content duplicates",
+        usage: ["report <dir1> <dir2> <dir3> <dir4> <dir5> [--json]"],
+        options: { "--json": "print the report as JSON" },
+        positional: [5, 5],
+        steps: ({ positional, flags }) => [step("reportDocumentUniqueness.js", [...positional, ...switches(flags, ["--json"])])],
+    },
+    export: {
+        summary: "Write acts and regulations from the DB as JSON, Akoma Ntoso, Markdown or HTML",
+        usage: [
+            "export json act|regulation|amendment <id> --out <dir>",
+            "export json --all --out <dir>",
+            "export akn act|regulation <id> [--out <file.xml>] [--xsd <schema.xsd>]",
+            "export akn --all --out <dir> [--xsd <schema.xsd>]",
+            "export md|html|both act|regulation <id> [--out <dir>] [--as-of <date>]",
+            "export md|html|both --all [--out <dir>] [--as-of <date>]",
+        ],
+        options: {
+            "--all": "every act and regulation in the DB (and, for json, every amendment)",
+            "--out <path>": "output directory (or file, for a single akn export)",
+            "--xsd <schema.xsd>": "akn only: validate against the Akoma Ntoso schema",
+            "--as-of <date>": "md/html only: render the text in force on that date",
+        },
+        positional: [1, 3],
+        validate: ({ positional: [format, ...target], flags, values }) => {
+            if (!["json", "akn", "md", "html", "both"].includes(format)) return `unknown export format: ${format}`;
+            if (flags["--all"] ? target.length !== 0 : target.length !== 2) return "give act|regulation <id> or --all";
+            if (target[0] === "amendment" && format !== "json") return "only json exports amendments";
+            if (values["--xsd"] && format !== "akn") return "--xsd only applies to akn";
+            if (values["--as-of"] && !["md", "html", "both"].includes(format)) return "--as-of only applies to md/html";
+            return null;
+        },
+        steps: ({ positional: [format, ...target], flags, values }) => {
+            const common = [...target, ...switches(flags, ["--all"])];
+            if (values["--out"]) common.push("--out", values["--out"]);
+            if (format === "json") return [step("exportJsonDocuments.js", common)];
+            if (format === "akn") {
+                return [step("exportAkomaNtoso.js", [...common, ...(values["--xsd"] ? ["--xsd", values["--xsd"]] : [])])];
+            }
+            const asOf = values["--as-of"] ? ["--as-of", values["--as-of"]] : [];
+            return [step("renderDocument.js", [...common, "--format", format, ...asOf])];
+        },
+    },
+    pipeline: {
+        summary: "Run raw PDFs all the way to the DB: classify, split, ocr, structure, ingest",
+        usage: ["pipeline <dir> [--layout] [--force] [--dry-run]"],
+        options: {
+            "--layout": "also write the page layout during ocr",
+            "--force": "re-structure documents that already have JSON files and re-ingest unchanged ones",
+            "--dry-run": "print the steps without running them",
+        },
+        positional: [1, 1],
+        steps: ({ positional: [dir], flags }) => [
+            ...COMMANDS.classify.steps({ positional: [dir], flags: {} }),
+            ...COMMANDS.split.steps({ positional: [dir], flags: { "--all": true } }),
+            ...COMMANDS.ocr.steps({ positional: [dir], flags: { "--all": true, "--layout": flags["--layout"] } }),
+            ...COMMANDS.structure.steps({ positional: [dir], flags: { "--all": true, "--force": flags["--force"] }, values: {} }),
+            ...COMMANDS.ingest.steps({ positional: ["all", dir], flags: { "--force": flags["--force"] } }),
+        ],
+    },
+};
+
+// ─────────────────────────────────────────────
+// Help
+// ─────────────────────────────────────────────
+function printOptions(options) {
+    const width = Math.max(...Object.keys(options).map(k => k.length));
+    for (const [name, text] of Object.entries(options)) console.log(`  ${name.padEnd(width)}  ${text}`);
+}
+
+function printHelp() {
+    console.log(`Usage: ${CLI} <command> [options]\n`);
+    console.log("Commands:");
+    const width = Math.max(...Object.keys(COMMANDS).map(k => k.length));
+    for (const [name, command] of Object.entries(COMMANDS)) console.log(`  ${name.padEnd(width)}  ${command.summary}`);
+    console.log("\nGlobal options:");
+    printOptions(GLOBAL_OPTIONS);
+    console.log(`\nRun "${CLI} <command> --help" for the options of a command.`);
+}
+
+function printCommandHelp(name) {
+    const command = COMMANDS[name];
+    console.log(`${command.summary}\n`);
+    command.usage.forEach((u, i) => console.log(`${i === 0 ? "Usage:" : "      "} ${CLI} ${u}`));
+    console.log("\nOptions:");
+    printOptions({ ...command.options, ...GLOBAL_OPTIONS });
+}
+
+function invalidArguments(name, reason) {
+    console.error("❌ Invalid arguments.");
+    if (reason) console.error(`   ${reason}`);
+    if (name) {
+        COMMANDS[name].usage.forEach((u, i) => {
+            if (i > 0) console.error("--- OR ---");
+            console.error(`Usage: ${CLI} ${u}`);
+        });
+    } else {
+        console.error(`Usage: ${CLI} <command> [options]`);
+        console.error(`(commands: ${Object.keys(COMMANDS).join(", ")}; see ${CLI} --help)`);
+    }
+    process.exit(1);
+}
+
+// ─────────────────────────────────────────────
+// Args
+// ─────────────────────────────────────────────
+function parseArgs(name, args) {
+    const command = COMMANDS[name];
+    const allowed = new Set(Object.keys({ ...command.options, ...GLOBAL_OPTIONS }).map(o => o.split(" ")[0]));
+    const parsed = { positional: [], flags: {}, values: {} };
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (!arg.startsWith("--")) {
+            parsed.positional.push(arg);
+            continue;
+        }
+        if (!allowed.has(arg)) invalidArguments(name, `${arg} is not an option of ${name}`);
+        if (VALUE_OPTIONS.includes(arg)) {
+            if (i + 1 >= args.length || args[i + 1].startsWith("--")) invalidArguments(name, `${arg} needs a value`);
+            parsed.values[arg] = args[++i];
+        } else {
+            parsed.flags[arg] = true;
+        }
+    }
+
+    const [min, max] = command.positional;
+    if (!parsed.flags["--help"] && (parsed.positional.length < min || parsed.positional.length > max)) {
+        invalidArguments(name);
+    }
+    return parsed;
+}
+
+// ─────────────────────────────────────────────
+// Run
+// ─────────────────────────────────────────────
+function runCommand(command, args, env, { announce = true } = {}) {
+    return new Promise((resolve, reject) => {
+        if (announce) console.log(`\n🚀 Running: ${command} ${args.join(" ")}`);
+
+        const child = spawn(command, args, {
+            stdio: "inherit",
+            shell: false,
+            env,
+        });
+
+        child.on("error", reject);
+        child.on("close", code => {
+            if (code === 0) resolve();
+            else reject(new Error(`${command} exited with code ${code}`));
+        });
+    });
+}
+
+async function main() {
+    const [name, ...rest] = process.argv.slice(2);
+
+    if (!name || name === "--help" || name === "help") {
+        if (rest[0] && COMMANDS[rest[0]]) printCommandHelp(rest[0]);
+        else printHelp();
+        return;
+    }
+    if (!COMMANDS[name]) invalidArguments(null, `unknown command: ${name}`);
+
+    const parsed = parseArgs(name, rest);
+    if (parsed.flags["--help"]) {
+        printCommandHelp(name);
+        return;
+    }
+    const problem = COMMANDS[name].validate && COMMANDS[name].validate(parsed);
+    if (problem) invalidArguments(name, problem);
+
+    const env = { ...process.env };
+    if (parsed.values["--db"]) env.DB_PATH = path.resolve(parsed.values["--db"]);
+
+    const steps = COMMANDS[name].steps(parsed);
+
+    if (name === "pipeline" && parsed.flags["--dry-run"]) {
+        console.log(`🔍 Dry run: ${steps.length} step(s), nothing run`);
+        for (const s of steps) {
+            console.log(`   node ${s.script} ${s.args.join(" ")}${s.requires ? "   (if the folder exists)" : ""}`);
+        }
+        return;
+    }
+
+    for (const s of steps) {
+        if (s.requires && !fs.existsSync(s.requires)) {
+            console.log(`\nℹ️ No ${path.basename(s.requires)} directory, skipping ${s.script}: ${s.requires}`);
+            continue;
+        }
+        // a single script is the command itself; announcing it would also spoil --json output
+        await runCommand("node", [path.join(__dirname, s.script), ...s.args], env, { announce: steps.length > 1 });
+    }
+    if (steps.length > 1) console.log(`\n✅ ${name} complete`);
+}
+
+main().catch(err => {
+    console.error(`❌ ${process.argv[2]} failed:`, err.message);
+    process.exitCode = 1;
+});
@@ -0,0 +1,531 @@
+// lawsMigrations.js
+"use strict";
+
+// Ordered schema migrations for lawsStorageSimple.js. Each entry runs once, in
+// its own transaction, and is recorded in SchemaMigrations. Never edit or
+// reorder a migration that has shipped: append a new one instead. They run
+// only through "node migrateDB.js up", or on a database that ingest creates;
+// opening an existing database never migrates it.
+//
+// The first migrations use CREATE ... IF NOT EXISTS on purpose: databases
+// created before migrations existed already have some of these tables and
+// simply get them recorded as applied.
+
+const path = require("path");
+const { WORD_BOUNDARY, THAI_COMBINING_MARKS } = require(path.join(__dirname, "./thaiText.js"));
+const { normalizeEffectiveDate } = require(path.join(__dirname, "./thaiDates.js"));
+const { provisionSortKey } = require(path.join(__dirname, "./thaiLegalParser.js"));
+
+const migrations = [
+    {
+        version: 1,
+        name: "baseline acts, regulations, chapters, sections, clauses",
+        up: db => db.exec(`
+            CREATE TABLE IF NOT EXISTS Acts (
+                act_id TEXT PRIMARY KEY,
+                act_name TEXT,
+                act_document_name TEXT,
+                act_ministry TEXT,
+                act_effective_date TEXT,
+                act_short_description TEXT,
+                act_long_description TEXT
+            );
+
+            CREATE TABLE IF NOT EXISTS Regulations (
+                regulation_id TEXT PRIMARY KEY,
+                regulation_name TEXT,
+                regulation_document_name TEXT,
+                regulation_ministry TEXT,
+                regulation_effective_date TEXT,
+                regulation_short_description TEXT,
+                regulation_long_description TEXT
+            );
+
+            CREATE TABLE IF NOT EXISTS Chapters (
+                chapter_id TEXT PRIMARY KEY,
+                chapter_title TEXT,
+                chapter_text TEXT,
+                chapter_summary TEXT,
+
+                act_id TEXT,
+                regulation_id TEXT,
+
+                FOREIGN KEY(act_id) REFERENCES Acts(act_id) ON DELETE CASCADE,
+                FOREIGN KEY(regulation_id) REFERENCES Regulations(regulation_id) ON DELETE CASCADE,
+
+                -- enforce exactly one owner
+                CHECK (
+                    (act_id IS NOT NULL AND regulation_id IS NULL)
+                    OR
+                    (act_id IS NULL AND regulation_id IS NOT NULL)
+                )
+            );
+
+            CREATE TABLE IF NOT EXISTS Sections (
+                section_id TEXT PRIMARY KEY,
+                section_title TEXT,
+                section_text TEXT,
+                section_summary TEXT,
+                chapter_id TEXT NOT NULL,
+                FOREIGN KEY(chapter_id) REFERENCES Chapters(chapter_id) ON DELETE CASCADE
+            );
+
+            CREATE TABLE IF NOT EXISTS Clauses (
+                clause_id TEXT PRIMARY KEY,
+                clause_title TEXT,
+                clause_text TEXT,
+                clause_summary TEXT,
+                chapter_id TEXT NOT NULL,
+                FOREIGN KEY(chapter_id) REFERENCES Chapters(chapter_id) ON DELETE CASCADE
+            );
+
+            CREATE TABLE IF NOT EXISTS ActRegulationMapping (
+                regulation_id TEXT PRIMARY KEY,
+                applicable_act_ids TEXT NOT NULL DEFAULT '[]' CHECK(json_valid(applicable_act_ids)),
+                FOREIGN KEY(regulation_id) REFERENCES Regulations(regulation_id) ON DELETE CASCADE
+            );
+        `),
+    },
+    {
+        version: 2,
+        name: "full-text search index",
+        up: db => db.exec(`
+            -- full-text search: SearchEntries maps each indexed chapter/section/clause
+            -- to the rowid of its word-segmented copy in LawsSearchIndex
+            CREATE TABLE IF NOT EXISTS SearchEntries (
+                search_rowid INTEGER PRIMARY KEY,
+                entity_type TEXT NOT NULL CHECK(entity_type IN ('chapter', 'section', 'clause')),
+                entity_id TEXT NOT NULL,
+                chapter_id TEXT NOT NULL,
+                UNIQUE(entity_type, entity_id)
+            );
+
+            CREATE VIRTUAL TABLE IF NOT EXISTS LawsSearchIndex USING fts5(
+                title,
+                body,
+                tokenize = "unicode61 separators '${WORD_BOUNDARY}' tokenchars '${THAI_COMBINING_MARKS}'"
+            );
+
+            CREATE TRIGGER IF NOT EXISTS Chapters_search_delete AFTER DELETE ON Chapters BEGIN
+                DELETE FROM LawsSearchIndex WHERE rowid IN (
+                    SELECT search_rowid FROM SearchEntries WHERE entity_type = 'chapter' AND entity_id = old.chapter_id
+                );
+                DELETE FROM SearchEntries WHERE entity_type = 'chapter' AND entity_id = old.chapter_id;
+            END;
+
+            CREATE TRIGGER IF NOT EXISTS Sections_search_delete AFTER DELETE ON Sections BEGIN
+                DELETE FROM LawsSearchIndex WHERE rowid IN (
+                    SELECT search_rowid FROM SearchEntries WHERE entity_type = 'section' AND entity_id = old.section_id
+                );
+                DELETE FROM SearchEntries WHERE entity_type = 'section' AND entity_id = old.section_id;
+            END;
+
+            CREATE TRIGGER IF NOT EXISTS Clauses_search_delete AFTER DELETE ON Clauses BEGIN
+                DELETE FROM LawsSearchIndex WHERE rowid IN (
+                    SELECT search_rowid FROM SearchEntries WHERE entity_type = 'clause' AND entity_id = old.clause_id
+                );
+                DELETE FROM SearchEntries WHERE entity_type = 'clause' AND entity_id = old.clause_id;
+            END;
+        `),
+    },
+    {
+        version: 3,
+        name: "amendments",
+        up: db => db.exec(`
+            CREATE TABLE IF NOT EXISTS Amendments (
+                amendment_id TEXT PRIMARY KEY,
+                amendment_name TEXT,
+                amendment_document_name TEXT,
+                amendment_ministry TEXT,
+                amendment_effective_date TEXT,
+                amendment_short_description TEXT,
+                amendment_long_description TEXT,
+
+                -- the act or regulation being amended
+                act_id TEXT,
+                regulation_id TEXT,
+
+                FOREIGN KEY(act_id) REFERENCES Acts(act_id) ON DELETE CASCADE,
+                FOREIGN KEY(regulation_id) REFERENCES Regulations(regulation_id) ON DELETE CASCADE,
+
+                CHECK (
+                    (act_id IS NOT NULL AND regulation_id IS NULL)
+                    OR
+                    (act_id IS NULL AND regulation_id IS NOT NULL)
+                )
+            );
+
+            -- one row per provision an amendment inserts, replaces or repeals;
+            -- target_id is not a foreign key because inserted provisions do not exist yet
+            CREATE TABLE IF NOT EXISTS AmendmentChanges (
+                amendment_id TEXT NOT NULL,
+                change_no INTEGER NOT NULL,
+                change_type TEXT NOT NULL CHECK(change_type IN ('insert', 'replace', 'repeal')),
+                target_type TEXT NOT NULL CHECK(target_type IN ('chapter', 'section', 'clause')),
+                target_id TEXT NOT NULL,
+                chapter_id TEXT,
+                new_title TEXT,
+                new_text TEXT,
+                PRIMARY KEY(amendment_id, change_no),
+                FOREIGN KEY(amendment_id) REFERENCES Amendments(amendment_id) ON DELETE CASCADE
+            );
+        `),
+    },
+    {
+        version: 4,
+        name: "point-in-time versions",
+        up: db => db.exec(`
+            -- point-in-time history: every distinct wording of a chapter/section/clause.
+            -- valid_from is inclusive, valid_to exclusive; valid_to IS NULL marks the
+            -- current version and valid_from IS NULL means "in force since before records began".
+            -- No foreign keys: the first version is written before its live row, and the
+            -- *_versions_delete triggers below drop the history with the row.
+            CREATE TABLE IF NOT EXISTS ChapterVersions (
+                chapter_id TEXT NOT NULL,
+                version_no INTEGER NOT NULL,
+                chapter_title TEXT,
+                chapter_text TEXT,
+                chapter_summary TEXT,
+                act_id TEXT,
+                regulation_id TEXT,
+                valid_from TEXT,
+                valid_to TEXT,
+                recorded_at TEXT NOT NULL DEFAULT (datetime('now')),
+                PRIMARY KEY(chapter_id, version_no)
+            );
+
+            CREATE TABLE IF NOT EXISTS SectionVersions (
+                section_id TEXT NOT NULL,
+                version_no INTEGER NOT NULL,
+                section_title TEXT,
+                section_text TEXT,
+                section_summary TEXT,
+                chapter_id TEXT NOT NULL,
+                valid_from TEXT,
+                valid_to TEXT,
+                recorded_at TEXT NOT NULL DEFAULT (datetime('now')),
+                PRIMARY KEY(section_id, version_no)
+            );
+
+            CREATE TABLE IF NOT EXISTS ClauseVersions (
+                clause_id TEXT NOT NULL,
+                version_no INTEGER NOT NULL,
+                clause_title TEXT,
+                clause_text TEXT,
+                clause_summary TEXT,
+                chapter_id TEXT NOT NULL,
+                valid_from TEXT,
+                valid_to TEXT,
+                recorded_at TEXT NOT NULL DEFAULT (datetime('now')),
+                PRIMARY KEY(clause_id, version_no)
+            );
+
+            CREATE TRIGGER IF NOT EXISTS Chapters_versions_delete AFTER DELETE ON Chapters BEGIN
+                DELETE FROM ChapterVersions WHERE chapter_id = old.chapter_id;
+            END;
+
+            CREATE TRIGGER IF NOT EXISTS Sections_versions_delete AFTER DELETE ON Sections BEGIN
+                DELETE FROM SectionVersions WHERE section_id = old.section_id;
+            END;
+
+            CREATE TRIGGER IF NOT EXISTS Clauses_versions_delete AFTER DELETE ON Clauses BEGIN
+                DELETE FROM ClauseVersions WHERE clause_id = old.clause_id;
+            END;
+
+            -- rows written before versioning existed become their own first version
+            INSERT INTO ChapterVersions (
+                chapter_id, chapter_title, chapter_text, chapter_summary, act_id, regulation_id,
+                version_no, valid_from
+            )
+            SELECT chapter_id, chapter_title, chapter_text, chapter_summary, act_id, regulation_id, 1, NULL
+            FROM Chapters live
+            WHERE NOT EXISTS (SELECT 1 FROM ChapterVersions v WHERE v.chapter_id = live.chapter_id);
+
+            INSERT INTO SectionVersions (
+                section_id, section_title, section_text, section_summary, chapter_id,
+                version_no, valid_from
+            )
+            SELECT section_id, section_title, section_text, section_summary, chapter_id, 1, NULL
+            FROM Sections live
+            WHERE NOT EXISTS (SELECT 1 FROM SectionVersions v WHERE v.section_id = live.section_id);
+
+            INSERT INTO ClauseVersions (
+                clause_id, clause_title, clause_text, clause_summary, chapter_id,
+                version_no, valid_from
+            )
+            SELECT clause_id, clause_title, clause_text, clause_summary, chapter_id, 1, NULL
+            FROM Clauses live
+            WHERE NOT EXISTS (SELECT 1 FROM ClauseVersions v WHERE v.clause_id = live.clause_id);
+        `),
+    },
+    {
+        version: 5,
+        name: "normalized effective and publication dates",
+        up: async db => {
+            // *_effective_date keeps the phrase as written; *_effective_date_iso is
+            // what date-range queries compare against
+            await db.exec(`
+                ALTER TABLE Acts ADD COLUMN act_publication_date TEXT;
+                ALTER TABLE Acts ADD COLUMN act_effective_date_iso TEXT;
+                ALTER TABLE Regulations ADD COLUMN regulation_publication_date TEXT;
+                ALTER TABLE Regulations ADD COLUMN regulation_effective_date_iso TEXT;
+
+                CREATE INDEX IF NOT EXISTS idx_acts_effective_date_iso ON Acts(act_effective_date_iso);
+                CREATE INDEX IF NOT EXISTS idx_regulations_effective_date_iso ON Regulations(regulation_effective_date_iso);
+            `);
+
+            // existing rows have no publication date, so only explicit dates resolve here;
+            // relative phrases are filled in when the document is ingested again
+            for (const [table, prefix] of [["Acts", "act"], ["Regulations", "regulation"]]) {
+                const rows = await db.all(`SELECT ${prefix}_id AS id, ${prefix}_effective_date AS raw FROM ${table}`);
+                for (const { id, raw } of rows) {
+                    const { iso } = normalizeEffectiveDate(raw);
+                    if (iso) await db.run(`UPDATE ${table} SET ${prefix}_effective_date_iso = ? WHERE ${prefix}_id = ?`, [iso, id]);
+                }
+            }
+        },
+    },
+    {
+        version: 6,
+        name: "cross-references between provisions",
+        up: db => db.exec(`
+            -- one row per reference found in a chapter/section/clause text (not called
+            -- "References", which is an SQL keyword). target_id is what the reference
+            -- resolves to and NULL when it cannot be resolved; a target_id with no row
+            -- behind it is a broken reference. Existing texts are indexed by
+            -- reportReferences.js --rebuild.
+            CREATE TABLE IF NOT EXISTS ProvisionReferences (
+                source_type TEXT NOT NULL CHECK(source_type IN ('chapter', 'section', 'clause')),
+                source_id TEXT NOT NULL,
+                ref_no INTEGER NOT NULL,
+                source_document_type TEXT NOT NULL CHECK(source_document_type IN ('act', 'regulation')),
+                source_document_id TEXT NOT NULL,
+
+                matched_text TEXT NOT NULL,
+                span_start INTEGER NOT NULL,
+                span_end INTEGER NOT NULL,
+
+                target_type TEXT NOT NULL CHECK(target_type IN ('act', 'regulation', 'section', 'clause')),
+                target_number TEXT,
+                target_document_type TEXT CHECK(target_document_type IN ('act', 'regulation')),
+                target_document_name TEXT,
+                target_document_id TEXT,
+                target_id TEXT,
+
+                PRIMARY KEY(source_type, source_id, ref_no)
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_references_source_document ON ProvisionReferences(source_document_id);
+            CREATE INDEX IF NOT EXISTS idx_references_target ON ProvisionReferences(target_id);
+            CREATE INDEX IF NOT EXISTS idx_references_target_document ON ProvisionReferences(target_document_id);
+
+            CREATE TRIGGER IF NOT EXISTS Chapters_references_delete AFTER DELETE ON Chapters BEGIN
+                DELETE FROM ProvisionReferences WHERE source_type = 'chapter' AND source_id = old.chapter_id;
+            END;
+
+            CREATE TRIGGER IF NOT EXISTS Sections_references_delete AFTER DELETE ON Sections BEGIN
+                DELETE FROM ProvisionReferences WHERE source_type = 'section' AND source_id = old.section_id;
+            END;
+
+            CREATE TRIGGER IF NOT EXISTS Clauses_references_delete AFTER DELETE ON Clauses BEGIN
+                DELETE FROM ProvisionReferences WHERE source_type = 'clause' AND source_id = old.clause_id;
+            END;
+        `),
+    },
+    {
+        version: 7,
+        name: "act mappings inferred from enabling clauses",
+        up: db => db.exec(`
+            -- what a regulation's "อาศัยอำนาจตามความใน..." clause cites: one row per
+            -- empowering section (section_id NULL when only the act is named). act_id is
+            -- NULL when the cited act could not be identified; needs_review marks rows
+            -- that were not confidently matched and are not applied to ActRegulationMapping.
+            CREATE TABLE IF NOT EXISTS InferredActMappings (
+                regulation_id TEXT NOT NULL,
+                entry_no INTEGER NOT NULL,
+                act_id TEXT,
+                section_id TEXT,
+                cited_act_name TEXT,
+                cited_text TEXT,
+                confidence TEXT NOT NULL CHECK(confidence IN ('high', 'low', 'none')),
+                needs_review INTEGER NOT NULL DEFAULT 0 CHECK(needs_review IN (0, 1)),
+                review_reason TEXT,
+                PRIMARY KEY(regulation_id, entry_no),
+                FOREIGN KEY(regulation_id) REFERENCES Regulations(regulation_id) ON DELETE CASCADE
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_inferred_act_mappings_act ON InferredActMappings(act_id);
+        `),
+    },
+    {
+        version: 8,
+        name: "relational act-regulation links",
+        up: async db => {
+            // replaces ActRegulationMapping's JSON array: one row per regulation → act
+            // link, plus one per empowering section when it is known. Manual links come
+            // from regulation.json's applicable_act_ids, inferred ones from the enabling
+            // clause (enablingActs.js); each provenance is replaced on its own.
+            await db.exec(`
+                CREATE TABLE IF NOT EXISTS RegulationActLinks (
+                    link_id INTEGER PRIMARY KEY,
+                    regulation_id TEXT NOT NULL,
+                    act_id TEXT NOT NULL,
+                    section_id TEXT,
+                    provenance TEXT NOT NULL CHECK(provenance IN ('manual', 'inferred')),
+                    FOREIGN KEY(regulation_id) REFERENCES Regulations(regulation_id) ON DELETE CASCADE,
+                    FOREIGN KEY(act_id) REFERENCES Acts(act_id) ON DELETE CASCADE,
+                    FOREIGN KEY(section_id) REFERENCES Sections(section_id) ON DELETE CASCADE
+                );
+
+                CREATE UNIQUE INDEX IF NOT EXISTS idx_regulation_act_links
+                    ON RegulationActLinks(regulation_id, act_id, COALESCE(section_id, ''), provenance);
+                CREATE INDEX IF NOT EXISTS idx_regulation_act_links_act ON RegulationActLinks(act_id);
+            `);
+
+            // confident inferences first, so acts they had merged into the JSON array
+            // keep their inferred provenance
+            await db.exec(`
+                INSERT OR IGNORE INTO RegulationActLinks (regulation_id, act_id, section_id, provenance)
+                SELECT i.regulation_id, i.act_id, NULL, 'inferred'
+                FROM InferredActMappings i
+                WHERE i.needs_review = 0 AND i.act_id IN (SELECT act_id FROM Acts)
+                GROUP BY i.regulation_id, i.act_id
+                ORDER BY i.regulation_id, MIN(i.entry_no);
+
+                INSERT OR IGNORE INTO RegulationActLinks (regulation_id, act_id, section_id, provenance)
+                SELECT i.regulation_id, i.act_id, i.section_id, 'inferred'
+                FROM InferredActMappings i
+                WHERE i.needs_review = 0 AND i.section_id IN (SELECT section_id FROM Sections)
+                ORDER BY i.regulation_id, i.entry_no;
+
+                INSERT OR IGNORE INTO RegulationActLinks (regulation_id, act_id, section_id, provenance)
+                SELECT m.regulation_id, j.value, NULL, 'manual'
+                FROM ActRegulationMapping m, json_each(m.applicable_act_ids) j
+                WHERE j.value IN (SELECT act_id FROM Acts)
+                AND m.regulation_id IN (SELECT regulation_id FROM Regulations)
+                AND NOT EXISTS (
+                    SELECT 1 FROM RegulationActLinks l
+                    WHERE l.regulation_id = m.regulation_id AND l.act_id = j.value
+                )
+                ORDER BY m.regulation_id, j.key;
+            `);
+
+            // ids of acts that were never ingested cannot be kept under a foreign key
+            const { dropped } = await db.get(`
+                SELECT COUNT(*) AS dropped
+                FROM ActRegulationMapping m, json_each(m.applicable_act_ids) j
+                WHERE j.value NOT IN (SELECT act_id FROM Acts)
+            `);
+            // on stderr: a migration can run when a --json script opens the DB
+            if (dropped) console.error(`⚠️ Dropped ${dropped} act mapping(s) to acts that are not in the DB`);
+
+            await db.exec(`DROP TABLE ActRegulationMapping`);
+        },
+    },
+    {
+        version: 9,
+        name: "ingest run ledger",
+        up: db => db.exec(`
+            -- one row per ingest invocation (ingestAllDocuments.js opens one run for the
+            -- three scripts it starts); outcome stays 'running' if the process died
+            CREATE TABLE IF NOT EXISTS IngestRuns (
+                run_id INTEGER PRIMARY KEY,
+                command TEXT NOT NULL,
+                root_path TEXT NOT NULL,
+                forced INTEGER NOT NULL DEFAULT 0 CHECK(forced IN (0, 1)),
+                started_at TEXT NOT NULL DEFAULT (datetime('now')),
+                finished_at TEXT,
+                outcome TEXT NOT NULL DEFAULT 'running'
+                    CHECK(outcome IN ('running', 'succeeded', 'partial', 'failed')),
+                error TEXT
+            );
+
+            -- every document directory a run looked at, with the sha256 of the JSON
+            -- files it read and of the source PDF; the last 'ingested' row of a document
+            -- is what an unchanged directory is compared against
+            CREATE TABLE IF NOT EXISTS IngestRunDocuments (
+                run_id INTEGER NOT NULL,
+                document_dir TEXT NOT NULL,
+                document_type TEXT NOT NULL CHECK(document_type IN ('act', 'regulation', 'amendment')),
+                document_id TEXT,
+                json_sha256 TEXT NOT NULL,
+                pdf_sha256 TEXT,
+                row_counts TEXT,
+                outcome TEXT NOT NULL CHECK(outcome IN ('ingested', 'skipped', 'failed')),
+                error TEXT,
+                processed_at TEXT NOT NULL DEFAULT (datetime('now')),
+                PRIMARY KEY(run_id, document_dir),
+                FOREIGN KEY(run_id) REFERENCES IngestRuns(run_id) ON DELETE CASCADE
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_ingest_run_documents_document
+                ON IngestRunDocuments(document_type, document_id);
+        `),
+    },
+    {
+        version: 10,
+        name: "substring search index",
+        up: db => db.exec(`
+            -- word matching misses a term that is only part of a segmented word
+            -- ("จำคุก" in "ต้องระวางโทษจำคุก", segmented "โทษจำ|คุก"); this trigram index of
+            -- the unsegmented texts, keyed like LawsSearchIndex by SearchEntries.search_rowid,
+            -- answers those queries
+            CREATE VIRTUAL TABLE IF NOT EXISTS LawsSubstringIndex USING fts5(
+                title,
+                body,
+                tokenize = "trigram"
+            );
+
+            CREATE TRIGGER IF NOT EXISTS SearchEntries_substring_delete AFTER DELETE ON SearchEntries BEGIN
+                DELETE FROM LawsSubstringIndex WHERE rowid = old.search_rowid;
+            END;
+
+            INSERT INTO LawsSubstringIndex (rowid, title, body)
+            SELECT e.search_rowid, c.chapter_title, c.chapter_text
+            FROM SearchEntries e INNER JOIN Chapters c ON e.entity_type = 'chapter' AND c.chapter_id = e.entity_id;
+
+            INSERT INTO LawsSubstringIndex (rowid, title, body)
+            SELECT e.search_rowid, s.section_title, s.section_text
+            FROM SearchEntries e INNER JOIN Sections s ON e.entity_type = 'section' AND s.section_id = e.entity_id;
+
+            INSERT INTO LawsSubstringIndex (rowid, title, body)
+            SELECT e.search_rowid, c.clause_title, c.clause_text
+            FROM SearchEntries e INNER JOIN Clauses c ON e.entity_type = 'clause' AND c.clause_id = e.entity_id;
+        `),
+    },
+    {
+        version: 11,
+        name: "document order of sections and clauses",
+        up: async db => {
+            // ids sort as strings (act1_s10 before act1_s2), so lists that SQL pages
+            // through order by this key instead (thaiLegalParser.provisionSortKey)
+            for (const [table, key] of [["Sections", "section_id"], ["Clauses", "clause_id"]]) {
+                await db.exec(`
+                    ALTER TABLE ${table} ADD COLUMN sort_key TEXT;
+                    CREATE INDEX IF NOT EXISTS idx_${table.toLowerCase()}_chapter_order ON ${table}(chapter_id, sort_key);
+                `);
+                const rows = await db.all(`SELECT ${key} AS id FROM ${table}`);
+                for (const { id } of rows) {
+                    await db.run(`UPDATE ${table} SET sort_key = ? WHERE ${key} = ?`, [provisionSortKey(id), id]);
+                }
+            }
+        },
+    },
+    {
+        version: 12,
+        name: "keep the history of deleted provisions",
+        up: db => db.exec(`
+            -- deleting a chapter/section/clause dropped its versions with it, so the law as
+            -- of a date before the repeal lost it; the delete functions now end the open
+            -- versions on the repeal date instead (lawsStorageSimple.js deleteSection, ...)
+            DROP TRIGGER IF EXISTS Chapters_versions_delete;
+            DROP TRIGGER IF EXISTS Sections_versions_delete;
+            DROP TRIGGER IF EXISTS Clauses_versions_delete;
+        `),
+    },
+];
+
+module.exports = {
+    migrations,
+    LATEST_SCHEMA_VERSION: migrations[migrations.length - 1].version,
+};
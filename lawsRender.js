@@ -0,0 +1,326 @@
+// lawsRender.js
+"use strict";
+
+// Renders an act or regulation from the laws database as one readable
+// document, Markdown or standalone HTML:
+//
+//   title, metadata table, table of contents
+//   links to the regulations issued under an act (or the acts a regulation applies to)
+//   preamble, then chapters (หมวด) with their parts (ส่วนที่) and sections/clauses
+//
+// Every chapter, part, section and clause gets an anchor named after its id
+// (#act1_ch01, #act1_s5_1), so links into a document stay stable between
+// renders. Summaries are collapsible notes under the provision they describe.
+//
+// Links to other documents assume the layout written by renderDocument.js:
+// <out>/acts/<id>.<ext> and <out>/regulations/<id>.<ext>.
+
+const path = require("path");
+const lawsStorage = require(path.join(__dirname, "./lawsStorageSimple.js"));
+const { parentChapterId } = require(path.join(__dirname, "./thaiLegalParser.js"));
+
+const PROVISION = { act: "section", regulation: "clause" };
+
+/* ======================================================
+   Loading
+   ====================================================== */
+const toProvision = (row, child) => ({
+    id: row[`${child}_id`],
+    title: row[`${child}_title`],
+    text: row[`${child}_text`],
+    summary: row[`${child}_summary`],
+});
+
+async function relatedDocuments(kind, doc) {
+    if (kind === "act") {
+        const regulations = await lawsStorage.getRegulationsByAct(doc.act_id);
+        return regulations.map(r => ({ kind: "regulation", id: r.regulation_id, name: r.regulation_name }));
+    }
+    const related = [];
+    for (const actId of doc.applicable_act_ids || []) {
+        const act = await lawsStorage.getAct(actId);
+        related.push({ kind: "act", id: actId, name: act ? act.act_name : null, missing: !act });
+    }
+    return related;
+}
+
+/**
+ * The act or regulation as one tree, or null when it does not exist:
+ * { kind, id, name, ministry, ..., preamble, provisions, chapters, related }
+ * where chapters nest their parts. With asOf (ISO date) the chapters and
+ * provisions are the versions in force on that day.
+ */
+async function loadDocumentTree(kind, id, { asOf = null } = {}) {
+    const child = PROVISION[kind];
+    if (!child) throw new Error(`Unknown document kind: ${kind}`);
+
+    let doc;
+    let chapters;
+    if (asOf) {
+        doc = kind === "act"
+            ? await lawsStorage.getActConsolidatedAsOf(id, asOf)
+            : await lawsStorage.getRegulationConsolidatedAsOf(id, asOf);
+        if (!doc) return null;
+        chapters = doc.chapters.map(c => ({ ...c, provisions: c[`${child}s`] }));
+    } else {
+        doc = kind === "act" ? await lawsStorage.getAct(id) : await lawsStorage.getRegulation(id);
+        if (!doc) return null;
+        const rows = kind === "act" ? await lawsStorage.getChaptersByAct(id) : await lawsStorage.getChaptersByRegulation(id);
+        chapters = [];
+        for (const c of rows) {
+            chapters.push({
+                ...c,
+                provisions: kind === "act"
+                    ? await lawsStorage.getSectionsByChapter(c.chapter_id)
+                    : await lawsStorage.getClausesByChapter(c.chapter_id),
+            });
+        }
+    }
+
+    const tree = {
+        kind,
+        id,
+        name: doc[`${kind}_name`] || id,
+        ministry: doc[`${kind}_ministry`],
+        publication_date: doc[`${kind}_publication_date`],
+        effective_date: doc[`${kind}_effective_date`],
+        effective_date_iso: doc[`${kind}_effective_date_iso`],
+        short_description: doc[`${kind}_short_description`],
+        long_description: doc[`${kind}_long_description`],
+        as_of: asOf,
+        preamble: null,
+        provisions: [],
+        chapters: [],
+        related: await relatedDocuments(kind, doc),
+    };
+
+    const nodes = new Map(chapters.map(c => [c.chapter_id, {
+        id: c.chapter_id,
+        title: c.chapter_title,
+        text: c.chapter_text,
+        summary: c.chapter_summary,
+        provisions: c.provisions.map(p => toProvision(p, child)),
+        parts: [],
+    }]));
+    for (const node of nodes.values()) {
+        // the parser's untitled leading chapter holds the preamble and the provisions before หมวด ๑
+        if (!node.title) {
+            tree.preamble = [tree.preamble, node.text].filter(Boolean).join("\n") || null;
+            tree.provisions.push(...node.provisions);
+            continue;
+        }
+        const parent = nodes.get(parentChapterId(node.id));
+        if (parent && parent.title) {
+            if (node.title.startsWith(parent.title)) node.heading = node.title.slice(parent.title.length).trim();
+            parent.parts.push(node);
+        } else {
+            tree.chapters.push(node);
+        }
+    }
+    return tree;
+}
+
+const documentHref = (from, to, ext) =>
+    `${from.kind === to.kind ? "" : `../${to.kind}s/`}${encodeURIComponent(to.id)}.${ext}`;
+
+function metadataRows(tree) {
+    const inForce = tree.effective_date_iso
+        ? `${tree.effective_date_iso}${tree.effective_date ? ` (${tree.effective_date})` : ""}`
+        : tree.effective_date;
+    return [
+        ["Ministry", tree.ministry],
+        ["Published", tree.publication_date],
+        ["In force", inForce],
+        ["Consolidated as of", tree.as_of],
+        ["Document id", tree.id],
+    ].filter(([, v]) => v);
+}
+
+const relatedTitle = tree => tree.kind === "act" ? "Regulations under this act" : "Applicable acts";
+
+/* ======================================================
+   Markdown
+   ====================================================== */
+// keeps legal text literal: no accidental emphasis, headings, lists or HTML
+const escapeMarkdown = text => String(text ?? "")
+    .replace(/([\\`*_[\]<>|])/g, "\\$1")
+    .replace(/^(\s*)([#+-]|\d+\.)(?=\s)/gm, "$1\\$2");
+
+const markdownText = text => String(text || "").split(/\r?\n/).map(l => escapeMarkdown(l.trim())).filter(Boolean).join("\n");
+
+function markdownSummary(summary) {
+    return summary ? ["<details><summary>Summary</summary>", "", markdownText(summary), "", "</details>", ""] : [];
+}
+
+function markdownToc(tree) {
+    const lines = [];
+    const item = (depth, node) => lines.push(`${"  ".repeat(depth)}- [${escapeMarkdown(node.heading || node.title || node.id)}](#${node.id})`);
+    tree.provisions.forEach(p => item(0, p));
+    const walk = (node, depth) => {
+        item(depth, node);
+        node.provisions.forEach(p => item(depth + 1, p));
+        node.parts.forEach(part => walk(part, depth + 1));
+    };
+    tree.chapters.forEach(c => walk(c, 0));
+    return lines;
+}
+
+function markdownProvision(p) {
+    return [
+        `<a id="${p.id}"></a>`,
+        "",
+        `#### ${escapeMarkdown(p.title || p.id)}`,
+        "",
+        ...(p.text ? [markdownText(p.text), ""] : []),
+        ...markdownSummary(p.summary),
+    ];
+}
+
+function markdownChapter(node, level) {
+    return [
+        `<a id="${node.id}"></a>`,
+        "",
+        `${"#".repeat(level)} ${escapeMarkdown(node.heading || node.title)}`,
+        "",
+        ...(node.text ? [markdownText(node.text), ""] : []),
+        ...markdownSummary(node.summary),
+        ...node.provisions.flatMap(markdownProvision),
+        ...node.parts.flatMap(part => markdownChapter(part, level + 1)),
+    ];
+}
+
+function renderMarkdown(tree) {
+    const lines = [`# ${escapeMarkdown(tree.name)}`, "", "| | |", "|---|---|"];
+    for (const [label, value] of metadataRows(tree)) lines.push(`| ${label} | ${escapeMarkdown(value)} |`);
+    lines.push("");
+
+    if (tree.short_description) lines.push(markdownText(tree.short_description), "");
+    if (tree.long_description) {
+        lines.push("<details><summary>Description</summary>", "", markdownText(tree.long_description), "", "</details>", "");
+    }
+
+    lines.push("## Contents", "", ...markdownToc(tree), "");
+
+    if (tree.related.length) {
+        lines.push(`## ${relatedTitle(tree)}`, "");
+        for (const r of tree.related) {
+            lines.push(r.missing
+                ? `- ${escapeMarkdown(r.id)} (not in the database)`
+                : `- [${escapeMarkdown(r.name || r.id)}](${documentHref(tree, r, "md")})`);
+        }
+        lines.push("");
+    }
+
+    lines.push("---", "");
+    if (tree.preamble) lines.push(markdownText(tree.preamble), "");
+    lines.push(...tree.provisions.flatMap(markdownProvision));
+    lines.push(...tree.chapters.flatMap(c => markdownChapter(c, 2)));
+
+    return lines.join("\n").replace(/\n{3,}/g, "\n\n").trimEnd() + "\n";
+}
+
+/* ======================================================
+   HTML
+   ====================================================== */
+const escapeHtml = text => String(text ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+const htmlText = text => {
+    const lines = String(text || "").split(/\r?\n/).map(l => l.trim()).filter(Boolean);
+    return lines.length ? `<p>${lines.map(escapeHtml).join("<br>\n")}</p>` : "";
+};
+
+const htmlSummary = (summary, label = "Summary") =>
+    summary ? `<details class="summary"><summary>${label}</summary>${htmlText(summary)}</details>` : "";
+
+const HTML_STYLE = `
+body { font-family: "Sarabun", "TH Sarabun New", "Noto Sans Thai", "Leelawadee UI", sans-serif; line-height: 1.7; max-width: 52rem; margin: 2rem auto; padding: 0 1rem; color: #222; }
+h1 { font-size: 1.6rem; } h2 { font-size: 1.35rem; margin-top: 2.5rem; } h3 { font-size: 1.15rem; } h4 { font-size: 1rem; margin-bottom: .25rem; }
+table.meta { border-collapse: collapse; margin: 1rem 0; } table.meta th { text-align: left; padding: .2rem 1rem .2rem 0; color: #555; font-weight: normal; }
+nav.toc ul { list-style: none; padding-left: 1.2rem; } nav.toc > ul { padding-left: 0; }
+details.summary { background: #f5f7fa; border-left: 3px solid #8aa; padding: .3rem .8rem; margin: .5rem 0; }
+.preamble { font-style: italic; }
+a { color: #1a5a96; } :target { background: #fff6d5; }
+`.trim();
+
+function htmlToc(tree) {
+    const item = node => `<li><a href="#${escapeHtml(node.id)}">${escapeHtml(node.heading || node.title || node.id)}</a>`;
+    const walk = node => {
+        const children = [...node.provisions.map(p => `${item(p)}</li>`), ...node.parts.map(walk)];
+        return `${item(node)}${children.length ? `<ul>${children.join("")}</ul>` : ""}</li>`;
+    };
+    return `<ul>${[...tree.provisions.map(p => `${item(p)}</li>`), ...tree.chapters.map(walk)].join("\n")}</ul>`;
+}
+
+function htmlProvision(p) {
+    return `<article id="${escapeHtml(p.id)}" class="provision">
+<h4>${escapeHtml(p.title || p.id)}</h4>
+${htmlText(p.text)}
+${htmlSummary(p.summary)}
+</article>`;
+}
+
+function htmlChapter(node, level) {
+    return `<section id="${escapeHtml(node.id)}">
+<h${level}>${escapeHtml(node.heading || node.title)}</h${level}>
+${htmlText(node.text)}
+${htmlSummary(node.summary)}
+${node.provisions.map(htmlProvision).join("\n")}
+${node.parts.map(part => htmlChapter(part, Math.min(level + 1, 4))).join("\n")}
+</section>`;
+}
+
+function renderHtml(tree) {
+    const meta = metadataRows(tree)
+        .map(([label, value]) => `<tr><th>${label}</th><td>${escapeHtml(value)}</td></tr>`)
+        .join("\n");
+    const related = tree.related.length ? `<h2>${relatedTitle(tree)}</h2>
+<ul>
+${tree.related.map(r => r.missing
+        ? `<li>${escapeHtml(r.id)} (not in the database)</li>`
+        : `<li><a href="${escapeHtml(documentHref(tree, r, "html"))}">${escapeHtml(r.name || r.id)}</a></li>`).join("\n")}
+</ul>` : "";
+
+    const html = `<!DOCTYPE html>
+<html lang="th">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(tree.name)}</title>
+<style>
+${HTML_STYLE}
+</style>
+</head>
+<body>
+<header>
+<h1>${escapeHtml(tree.name)}</h1>
+<table class="meta">
+${meta}
+</table>
+${htmlText(tree.short_description)}
+${htmlSummary(tree.long_description, "Description")}
+</header>
+<nav class="toc">
+<h2>Contents</h2>
+${htmlToc(tree)}
+</nav>
+${related}
+<main>
+${tree.preamble ? `<div class="preamble">${htmlText(tree.preamble)}</div>` : ""}
+${tree.provisions.map(htmlProvision).join("\n")}
+${tree.chapters.map(c => htmlChapter(c, 2)).join("\n")}
+</main>
+</body>
+</html>
+`;
+    return html.replace(/\n{2,}/g, "\n");
+}
+
+module.exports = {
+    loadDocumentTree,
+    renderMarkdown,
+    renderHtml,
+};
@@ -0,0 +1,62 @@
+// lawsRender.test.js
+"use strict";
+
+// node --test lawsRender.test.js
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "laws-render-"));
+process.env.DB_PATH = path.join(tmpDir, "laws.db");
+const lawsStorage = require(path.join(__dirname, "./lawsStorageSimple.js"));
+const { loadDocumentTree, renderMarkdown, renderHtml } = require(path.join(__dirname, "./lawsRender.js"));
+
+// มาตรา 1-12 and 5 ทวิ in one chapter, stored out of order
+const NUMBERS = ["12", "5_bis", "1", "10", "2", "11", "3", "4", "5", "6", "7", "8", "9"];
+const IN_ORDER = ["1", "2", "3", "4", "5", "5_bis", "6", "7", "8", "9", "10", "11", "12"].map(n => `a1_s${n}`);
+const label = n => n.replace("_bis", " ทวิ");
+
+before(async () => {
+    await lawsStorage.initDB({ create: true });
+    await lawsStorage.addOrUpdateAct({ act_id: "a1", act_name: "พระราชบัญญัติทดสอบ พ.ศ. ๒๕๖๐" });
+    await lawsStorage.addOrUpdateChapterByAct({
+        chapter_id: "a1_ch01", chapter_title: "หมวด ๑ บททั่วไป", chapter_text: "", act_id: "a1",
+        valid_from: "2017-01-01",
+    });
+    for (const n of NUMBERS) {
+        await lawsStorage.addOrUpdateSection({
+            section_id: `a1_s${n}`,
+            section_title: `มาตรา ${label(n)}`,
+            section_text: `ข้อความมาตรา ${label(n)} จบ`,
+            chapter_id: "a1_ch01",
+            valid_from: "2017-01-01",
+        });
+    }
+});
+
+after(async () => {
+    await lawsStorage.closeDB();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+const provisionIds = tree => tree.chapters[0].provisions.map(p => p.id);
+
+test("a chapter with more than ten sections keeps them in legal order", async () => {
+    assert.deepStrictEqual(provisionIds(await loadDocumentTree("act", "a1")), IN_ORDER);
+});
+
+test("the --as-of tree keeps them in legal order too", async () => {
+    assert.deepStrictEqual(provisionIds(await loadDocumentTree("act", "a1", { asOf: "2020-01-01" })), IN_ORDER);
+});
+
+test("Markdown and HTML put มาตรา 2 before มาตรา 10", async () => {
+    const tree = await loadDocumentTree("act", "a1");
+    for (const output of [renderMarkdown(tree), renderHtml(tree)]) {
+        const positions = IN_ORDER.map(id => output.indexOf(`ข้อความมาตรา ${label(id.slice("a1_s".length))} จบ`));
+        assert.ok(positions.every(p => p >= 0));
+        assert.deepStrictEqual(positions, [...positions].sort((a, b) => a - b));
+    }
+});
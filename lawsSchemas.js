@@ -0,0 +1,407 @@
+// lawsSchemas.js
+"use strict";
+
+// JSON Schemas (draft-07) for the JSON directories consumed by ingestAct.js,
+// ingestRegulation.js and ingestAmendment.js, plus a validator that reports
+// every problem in a directory at once instead of stopping at the first.
+// Only the schema keywords used below are implemented by validateAgainstSchema.
+
+const fs = require("fs");
+const path = require("path");
+const { parseThaiDate } = require(path.join(__dirname, "./thaiDates.js"));
+
+const SCHEMA_BASE = "https://tekmonks.com/schemas/nt-laws";
+
+const ID = { type: "string", minLength: 1 };
+const TEXT = { type: ["string", "null"] };
+const ISO_DATE = { type: ["string", "null"], pattern: "^\\d{4}-\\d{2}-\\d{2}$" };
+
+function recordSchema(name, title, properties, required) {
+    return {
+        $schema: "http://json-schema.org/draft-07/schema#",
+        $id: `${SCHEMA_BASE}/${name}.schema.json`,
+        title,
+        type: "object",
+        required,
+        properties,
+        additionalProperties: false,
+    };
+}
+
+// array files may also hold a single record, which ingestion wraps in an array
+function arraySchema(name, title, item) {
+    const { $schema, $id, ...itemSchema } = item;
+    return {
+        $schema,
+        $id: `${SCHEMA_BASE}/${name}.schema.json`,
+        title,
+        type: "array",
+        items: itemSchema,
+    };
+}
+
+const actSchema = recordSchema("act", "act.json", {
+    act_id: ID,
+    act_name: TEXT,
+    act_ministry: TEXT,
+    act_effective_date: TEXT,
+    act_publication_date: TEXT,
+    act_document_name: TEXT,
+    short_description: TEXT,
+    long_description: TEXT,
+    valid_from: ISO_DATE,
+}, ["act_id"]);
+
+const regulationSchema = recordSchema("regulation", "regulation.json", {
+    regulation_id: ID,
+    regulation_name: TEXT,
+    regulation_ministry: TEXT,
+    regulation_effective_date: TEXT,
+    regulation_publication_date: TEXT,
+    regulation_document_name: TEXT,
+    short_description: TEXT,
+    long_description: TEXT,
+    valid_from: ISO_DATE,
+    // the acts the regulation is issued under (its manual RegulationActLinks)
+    applicable_act_ids: { type: "array", items: ID },
+}, ["regulation_id"]);
+
+const chapterProperties = {
+    chapter_id: ID,
+    chapter_title: TEXT,
+    chapter_text: TEXT,
+    chapter_summary: TEXT,
+    valid_from: ISO_DATE,
+};
+
+const actChaptersSchema = arraySchema("act-chapters", "chapters.json (act)",
+    recordSchema("act-chapter", "chapter", { ...chapterProperties, act_id: ID }, ["chapter_id", "act_id"]));
+
+const regulationChaptersSchema = arraySchema("regulation-chapters", "chapters.json (regulation)",
+    recordSchema("regulation-chapter", "chapter", { ...chapterProperties, regulation_id: ID },
+        ["chapter_id", "regulation_id"]));
+
+const sectionsSchema = arraySchema("sections", "sections.json",
+    recordSchema("section", "section", {
+        section_id: ID,
+        section_title: TEXT,
+        section_text: TEXT,
+        section_summary: TEXT,
+        chapter_id: ID,
+        valid_from: ISO_DATE,
+    }, ["section_id", "chapter_id"]));
+
+const clausesSchema = arraySchema("clauses", "clauses.json",
+    recordSchema("clause", "clause", {
+        clause_id: ID,
+        clause_title: TEXT,
+        clause_text: TEXT,
+        clause_summary: TEXT,
+        chapter_id: ID,
+        valid_from: ISO_DATE,
+    }, ["clause_id", "chapter_id"]));
+
+const amendmentSchema = recordSchema("amendment", "amendment.json", {
+    amendment_id: ID,
+    amendment_name: TEXT,
+    amendment_ministry: TEXT,
+    amendment_effective_date: TEXT,
+    amendment_document_name: TEXT,
+    short_description: TEXT,
+    long_description: TEXT,
+    act_id: ID,
+    regulation_id: ID,
+}, ["amendment_id"]);
+
+const changesSchema = arraySchema("changes", "changes.json",
+    recordSchema("change", "change", {
+        change_no: { type: "integer" },
+        change_type: { type: "string", enum: ["insert", "replace", "repeal"] },
+        target_type: { type: "string", enum: ["chapter", "section", "clause"] },
+        target_id: ID,
+        chapter_id: ID,
+        new_title: TEXT,
+        new_text: TEXT,
+    }, ["change_type", "target_type", "target_id"]));
+
+// document kind → file name → schema
+const DOCUMENT_SCHEMAS = {
+    act: {
+        "act.json": actSchema,
+        "chapters.json": actChaptersSchema,
+        "sections.json": sectionsSchema,
+    },
+    regulation: {
+        "regulation.json": regulationSchema,
+        "chapters.json": regulationChaptersSchema,
+        "clauses.json": clausesSchema,
+    },
+    amendment: {
+        "amendment.json": amendmentSchema,
+        "changes.json": changesSchema,
+    },
+};
+
+// fields people commonly use that ingestion silently ignores
+const FIELD_HINTS = {
+    act_short_description: "short_description",
+    act_long_description: "long_description",
+    regulation_short_description: "short_description",
+    regulation_long_description: "long_description",
+    amendment_short_description: "short_description",
+    amendment_long_description: "long_description",
+    title: "chapter_title / section_title / clause_title",
+    text: "chapter_text / section_text / clause_text",
+};
+
+/* ===========================
+   VALIDATOR
+   =========================== */
+
+function typeOf(value) {
+    if (value === null) return "null";
+    if (Array.isArray(value)) return "array";
+    if (Number.isInteger(value)) return "integer";
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    const types = Array.isArray(type) ? type : [type];
+    return types.some(t => t === actual || (t === "number" && actual === "integer"));
+}
+
+/**
+ * Validates value against the keyword subset used in this file and pushes
+ * { index, field, message } entries into errors. index is the record index for
+ * array files and null otherwise.
+ */
+function validateAgainstSchema(value, schema, errors, index = null, field = null) {
+    if (schema.type && !matchesType(value, schema.type)) {
+        const expected = [].concat(schema.type).join(" or ");
+        errors.push({ index, field, message: `expected ${expected}, got ${typeOf(value)}` });
+        return;
+    }
+
+    if (typeof value === "string") {
+        if (schema.minLength && value.length < schema.minLength) {
+            errors.push({ index, field, message: "must not be empty" });
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            errors.push({ index, field, message: `"${value}" does not match ${schema.pattern}` });
+        }
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push({ index, field, message: `must be one of ${schema.enum.join(", ")}` });
+    }
+
+    if (Array.isArray(value) && schema.items) {
+        // a file's records are indexed; an array inside a record is reported as field[i]
+        value.forEach((item, i) => field === null && index === null
+            ? validateAgainstSchema(item, schema.items, errors, i, null)
+            : validateAgainstSchema(item, schema.items, errors, index, `${field}[${i}]`));
+    }
+
+    if (typeOf(value) === "object" && schema.properties) {
+        for (const name of schema.required || []) {
+            if (value[name] === undefined) errors.push({ index, field: name, message: "is required" });
+        }
+        for (const [name, child] of Object.entries(value)) {
+            const childSchema = schema.properties[name];
+            if (childSchema) {
+                validateAgainstSchema(child, childSchema, errors, index, name);
+            } else if (schema.additionalProperties === false) {
+                const hint = FIELD_HINTS[name] ? ` (did you mean ${FIELD_HINTS[name]}?)` : "";
+                errors.push({ index, field: name, message: `unknown field, ignored by ingestion${hint}` });
+            }
+        }
+    }
+}
+
+/* ===========================
+   DIRECTORY VALIDATION
+   =========================== */
+
+function detectDocumentKind(dirPath) {
+    for (const [kind, files] of Object.entries(DOCUMENT_SCHEMAS)) {
+        const complete = Object.keys(files).every(f => {
+            const p = path.join(dirPath, f);
+            return fs.existsSync(p) && fs.statSync(p).isFile();
+        });
+        if (complete) return kind;
+    }
+    return null;
+}
+
+async function loadJsonFile(filePath, errors) {
+    try {
+        return JSON.parse(await fs.promises.readFile(filePath, "utf8"));
+    } catch (err) {
+        errors.push({ file: filePath, index: null, field: null, message: `cannot load: ${err.message}` });
+        return undefined;
+    }
+}
+
+function checkUnique(records, key, file, errors) {
+    const seen = new Map();
+    records.forEach((r, i) => {
+        const id = r && r[key];
+        if (!id) return;
+        if (seen.has(id)) {
+            const message = `duplicate ${key} "${id}" (first at [${seen.get(id)}])`;
+            errors.push({ file, index: i, field: key, message });
+        } else {
+            seen.set(id, i);
+        }
+    });
+}
+
+/**
+ * Validates one act/regulation/amendment JSON directory: each file against its
+ * schema, then the references between files. Returns { kind, errors, ids } where
+ * every error is { file, index, field, message } and ids lists the record ids
+ * by file (used for cross-directory checks).
+ */
+async function validateJsonDirectory(dirPath, kind = detectDocumentKind(dirPath)) {
+    const errors = [];
+    if (!kind) {
+        errors.push({
+            file: dirPath,
+            index: null,
+            field: null,
+            message: "not an act, regulation or amendment directory (required JSON files missing)",
+        });
+        return { kind, errors, ids: {} };
+    }
+
+    const data = {};
+    for (const [fileName, schema] of Object.entries(DOCUMENT_SCHEMAS[kind])) {
+        const file = path.join(dirPath, fileName);
+        let value = await loadJsonFile(file, errors);
+        if (value === undefined) continue;
+
+        if (schema.type === "array" && typeOf(value) === "object") value = [value];
+
+        const fileErrors = [];
+        validateAgainstSchema(value, schema, fileErrors);
+        errors.push(...fileErrors.map(e => ({ file, ...e })));
+        data[fileName] = value;
+    }
+
+    const ids = {};
+    const list = name => (Array.isArray(data[name]) ? data[name] : []);
+    const at = name => path.join(dirPath, name);
+
+    if (kind === "act" || kind === "regulation") {
+        const owner = data[`${kind}.json`];
+        const ownerKey = `${kind}_id`;
+        const childFile = kind === "act" ? "sections.json" : "clauses.json";
+        const childKey = kind === "act" ? "section_id" : "clause_id";
+        const chapters = list("chapters.json");
+        const children = list(childFile);
+
+        checkUnique(chapters, "chapter_id", at("chapters.json"), errors);
+        checkUnique(children, childKey, at(childFile), errors);
+
+        // ISO or Thai ("๒๔ มกราคม ๒๕๖๐"); relative effective dates are resolved against it
+        const publication = owner && owner[`${kind}_publication_date`];
+        if (typeof publication === "string" && publication.trim() && !parseThaiDate(publication)) {
+            errors.push({
+                file: at(`${kind}.json`),
+                index: null,
+                field: `${kind}_publication_date`,
+                message: `"${publication}" is not a date`,
+            });
+        }
+
+        if (owner && owner[ownerKey]) {
+            chapters.forEach((c, i) => {
+                if (c && c[ownerKey] && c[ownerKey] !== owner[ownerKey]) {
+                    errors.push({
+                        file: at("chapters.json"),
+                        index: i,
+                        field: ownerKey,
+                        message: `"${c[ownerKey]}" does not match ${kind}.json ${ownerKey} "${owner[ownerKey]}"`,
+                    });
+                }
+            });
+        }
+
+        const chapterIds = new Set(chapters.map(c => c && c.chapter_id).filter(Boolean));
+        children.forEach((c, i) => {
+            if (c && c.chapter_id && !chapterIds.has(c.chapter_id)) {
+                errors.push({
+                    file: at(childFile),
+                    index: i,
+                    field: "chapter_id",
+                    message: `"${c.chapter_id}" is not a chapter in chapters.json`,
+                });
+            }
+        });
+
+        ids[`${kind}.json`] = owner && owner[ownerKey] ? [owner[ownerKey]] : [];
+        ids["chapters.json"] = [...chapterIds];
+        ids[childFile] = children.map(c => c && c[childKey]).filter(Boolean);
+    }
+
+    if (kind === "amendment") {
+        const amendment = data["amendment.json"];
+        if (amendment && !amendment.act_id === !amendment.regulation_id) {
+            errors.push({
+                file: at("amendment.json"),
+                index: null,
+                field: "act_id",
+                message: "exactly one of act_id or regulation_id is required",
+            });
+        }
+        list("changes.json").forEach((c, i) => {
+            if (!c) return;
+            const file = at("changes.json");
+            if (c.change_type && c.change_type !== "repeal" && !c.new_text) {
+                errors.push({ file, index: i, field: "new_text", message: `required for ${c.change_type}` });
+            }
+            if (c.change_type === "insert" && c.target_type && c.target_type !== "chapter" && !c.chapter_id) {
+                errors.push({ file, index: i, field: "chapter_id", message: `required to insert a ${c.target_type}` });
+            }
+            // acts are divided into sections, regulations into clauses
+            if (amendment && amendment.act_id && c.target_type === "clause") {
+                errors.push({ file, index: i, field: "target_type", message: "an act amendment cannot target a clause" });
+            }
+            if (amendment && amendment.regulation_id && c.target_type === "section") {
+                errors.push({ file, index: i, field: "target_type", message: "a regulation amendment cannot target a section" });
+            }
+        });
+        ids["amendment.json"] = amendment && amendment.amendment_id ? [amendment.amendment_id] : [];
+    }
+
+    return { kind, errors, ids };
+}
+
+function formatError({ file, index, field, message }) {
+    const where = [index !== null && index !== undefined ? `[${index}]` : "", field ? `.${field}` : ""].join("");
+    return `${file}${where}: ${message}`;
+}
+
+function writeSchemas(outDir) {
+    fs.mkdirSync(outDir, { recursive: true });
+    const written = new Set();
+    for (const files of Object.values(DOCUMENT_SCHEMAS)) {
+        for (const schema of Object.values(files)) {
+            const file = path.join(outDir, path.basename(schema.$id));
+            if (written.has(file)) continue;
+            fs.writeFileSync(file, JSON.stringify(schema, null, 2) + "\n");
+            written.add(file);
+        }
+    }
+    return [...written];
+}
+
+module.exports = {
+    DOCUMENT_SCHEMAS,
+    validateAgainstSchema,
+    detectDocumentKind,
+    validateJsonDirectory,
+    formatError,
+    writeSchemas,
+};
@@ -3,6 +3,15 @@ const fs = require("fs");
 const path = require("path");
 const sqlite3 = require("sqlite3");
 const { open } = require("sqlite"); // wrapper for async open()
+const {
+    segmentThaiText,
+    segmentThaiWords,
+    stripWordBoundaries,
+} = require(path.join(__dirname, "./thaiText.js"));
+const { parseThaiDate, normalizeEffectiveDate } = require(path.join(__dirname, "./thaiDates.js"));
+const { extractReferences, normalizeDocumentName } = require(path.join(__dirname, "./thaiReferences.js"));
+const { provisionSortKey, compareProvisionIds } = require(path.join(__dirname, "./thaiLegalParser.js"));
+const { migrations, LATEST_SCHEMA_VERSION } = require(path.join(__dirname, "./lawsMigrations.js"));
 const dotenv = require("dotenv");
 dotenv.config({path: path.join(__dirname, ".env")});
 
@@ -10,91 +19,123 @@ const DB_PATH = process.env.DB_PATH;
 
 let db = null;
 
-async function initDB() {
-    try {
-        await fs.promises.access(DB_PATH, fs.constants.R_OK | fs.constants.W_OK);
-    } catch {
-        try {
-            await fs.promises.mkdir(path.dirname(DB_PATH), { recursive: true });
-        } catch (_) {}
-
-        await fs.promises.writeFile(DB_PATH, Buffer.alloc(0));
+// Progress messages here and in lawsMigrations.js go to stderr: stdout belongs
+// to the calling script (--json output, XML on stdout).
+
+/**
+ * Opens DB_PATH without changing it: the file must exist and be at the schema
+ * version this code expects. Migrations are applied only when asked for
+ * (migrateDB.js up), since some cannot be undone (8 drops ActRegulationMapping).
+ *
+ *   migrate         apply pending migrations
+ *   create          create the file when it is missing; a new database is migrated from scratch
+ *   readOnly        open with SQLITE_OPEN_READONLY
+ *   requireCurrent  false to open an older schema anyway (migrateDB.js status)
+ *
+ * Returns the migrations applied.
+ */
+async function initDB({ migrate = false, create = false, readOnly = false, requireCurrent = true } = {}) {
+    const exists = fs.existsSync(DB_PATH);
+    if (!exists && !create) {
+        throw new Error(`Database ${DB_PATH} does not exist. Run "node migrateDB.js up" to create it.`);
     }
+    if (!exists) await fs.promises.mkdir(path.dirname(DB_PATH), { recursive: true });
 
     db = await open({
         filename: DB_PATH,
         driver: sqlite3.Database,
-        mode: sqlite3.OPEN_READWRITE | sqlite3.OPEN_CREATE,
+        mode: readOnly ? sqlite3.OPEN_READONLY : sqlite3.OPEN_READWRITE | sqlite3.OPEN_CREATE,
     });
 
     await db.run("PRAGMA foreign_keys = ON");
 
-    await db.exec(`
-        CREATE TABLE IF NOT EXISTS Acts (
-            act_id TEXT PRIMARY KEY,
-            act_name TEXT,
-            act_document_name TEXT,
-            act_ministry TEXT,
-            act_effective_date TEXT,
-            act_short_description TEXT,
-            act_long_description TEXT
+    const current = await schemaVersion();
+    if (current > LATEST_SCHEMA_VERSION) {
+        await closeDB();
+        throw new Error(
+            `Database ${DB_PATH} is at schema version ${current}, newer than the ` +
+            `${LATEST_SCHEMA_VERSION} this code supports. Update the code before opening it.`
         );
+    }
+
+    if (exists && !migrate) {
+        if (current < LATEST_SCHEMA_VERSION && requireCurrent) {
+            await closeDB();
+            throw new Error(
+                `Database ${DB_PATH} is at schema version ${current}, behind the ${LATEST_SCHEMA_VERSION} ` +
+                `this code expects. Back it up and run "node migrateDB.js up" first.`
+            );
+        }
+        console.error(`✅ DB opened (schema version ${current}${readOnly ? ", read-only" : ""})`);
+        return [];
+    }
 
-        CREATE TABLE IF NOT EXISTS Regulations (
-            regulation_id TEXT PRIMARY KEY,
-            regulation_name TEXT,
-            regulation_document_name TEXT,
-            regulation_ministry TEXT,
-            regulation_effective_date TEXT,
-            regulation_short_description TEXT,
-            regulation_long_description TEXT
+    // migration bookkeeping lives outside the migrations themselves
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS SchemaMigrations (
+            version INTEGER PRIMARY KEY,
+            name TEXT NOT NULL,
+            applied_at TEXT NOT NULL DEFAULT (datetime('now'))
         );
+    `);
 
-        CREATE TABLE IF NOT EXISTS Chapters (
-            chapter_id TEXT PRIMARY KEY,
-            chapter_title TEXT,
-            chapter_text TEXT,
-            chapter_summary TEXT,
+    const applied = await migrateDB();
 
-            act_id TEXT,
-            regulation_id TEXT,
+    // databases populated before the search index existed get indexed once
+    const { indexed } = await db.get(`SELECT COUNT(*) AS indexed FROM SearchEntries`);
+    const { chapters } = await db.get(`SELECT COUNT(*) AS chapters FROM Chapters`);
+    if (indexed === 0 && chapters > 0) await rebuildSearchIndex();
 
-            FOREIGN KEY(act_id) REFERENCES Acts(act_id) ON DELETE CASCADE,
-            FOREIGN KEY(regulation_id) REFERENCES Regulations(regulation_id) ON DELETE CASCADE,
+    console.error("✅ DB initialized");
+    return applied;
+}
 
-            -- enforce exactly one owner
-            CHECK (
-                (act_id IS NOT NULL AND regulation_id IS NULL)
-                OR
-                (act_id IS NULL AND regulation_id IS NOT NULL)
-            )
-        );
+/* ===========================
+   SCHEMA MIGRATIONS
+   =========================== */
 
-        CREATE TABLE IF NOT EXISTS Sections (
-            section_id TEXT PRIMARY KEY,
-            section_title TEXT,
-            section_text TEXT,
-            section_summary TEXT,
-            chapter_id TEXT NOT NULL,
-            FOREIGN KEY(chapter_id) REFERENCES Chapters(chapter_id) ON DELETE CASCADE
-        );
+async function hasSchemaMigrations() {
+    return Boolean(await db.get(`SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'SchemaMigrations'`));
+}
 
-        CREATE TABLE IF NOT EXISTS Clauses (
-            clause_id TEXT PRIMARY KEY,
-            clause_title TEXT,
-            clause_text TEXT,
-            clause_summary TEXT,
-            chapter_id TEXT NOT NULL,
-            FOREIGN KEY(chapter_id) REFERENCES Chapters(chapter_id) ON DELETE CASCADE
-        );
+// 0 for a database no migration has run on
+async function schemaVersion() {
+    if (!(await hasSchemaMigrations())) return 0;
+    const { current } = await db.get(`SELECT COALESCE(MAX(version), 0) AS current FROM SchemaMigrations`);
+    return current;
+}
 
-        CREATE TABLE IF NOT EXISTS ActRegulationMapping (
-            regulation_id TEXT PRIMARY KEY,
-            applicable_act_ids TEXT NOT NULL DEFAULT '[]' CHECK(json_valid(applicable_act_ids)),
-            FOREIGN KEY(regulation_id) REFERENCES Regulations(regulation_id) ON DELETE CASCADE
-        );
-    `);
-    console.log("✅ DB initialized");
+async function getSchemaStatus() {
+    const db = await ensureDB();
+    const applied = await hasSchemaMigrations()
+        ? await db.all(`SELECT * FROM SchemaMigrations ORDER BY version`)
+        : [];
+    const done = new Set(applied.map((m) => m.version));
+
+    return {
+        current: applied.length ? applied[applied.length - 1].version : 0,
+        latest: LATEST_SCHEMA_VERSION,
+        applied,
+        pending: migrations
+            .filter((m) => !done.has(m.version))
+            .map(({ version, name }) => ({ version, name })),
+    };
+}
+
+// applies pending migrations in order, each in its own transaction
+async function migrateDB() {
+    const { pending } = await getSchemaStatus();
+    const byVersion = new Map(migrations.map((m) => [m.version, m]));
+
+    for (const { version, name } of pending) {
+        await withTransaction(async (db) => {
+            await byVersion.get(version).up(db);
+            await db.run(`INSERT INTO SchemaMigrations (version, name) VALUES (?, ?)`, [version, name]);
+        });
+        console.error(`🛠️ Applied migration ${version}: ${name}`);
+    }
+
+    return pending;
 }
 
 // helper wrappers
@@ -103,31 +144,158 @@ async function ensureDB() {
     return db;
 }
 
+/* ===========================
+   VERSION HELPERS
+   =========================== */
+
+const VERSIONED = {
+    chapter: {
+        table: "ChapterVersions",
+        key: "chapter_id",
+        fields: ["chapter_title", "chapter_text", "chapter_summary", "act_id", "regulation_id"],
+    },
+    section: {
+        table: "SectionVersions",
+        key: "section_id",
+        fields: ["section_title", "section_text", "section_summary", "chapter_id"],
+    },
+    clause: {
+        table: "ClauseVersions",
+        key: "clause_id",
+        fields: ["clause_title", "clause_text", "clause_summary", "chapter_id"],
+    },
+};
+
+/**
+ * Records `values` as the wording of a chapter/section/clause from valid_from on.
+ * Unchanged content is a no-op; a change closes the current version the day the
+ * new one starts, and a change with the current version's own start date is a
+ * correction made in place. Without valid_from, a first version starts at
+ * initial_valid_from (typically the document's effective date, possibly unknown)
+ * and a later change is rejected: only the caller knows when it took effect.
+ * Called before the live row is written so that a rejected change leaves
+ * nothing behind.
+ */
+async function recordVersion(kind, id, values, valid_from = null, initial_valid_from = null) {
+    const db = await ensureDB();
+    const { table, key, fields } = VERSIONED[kind];
+
+    const current = await db.get(
+        `SELECT * FROM ${table} WHERE ${key} = ? AND valid_to IS NULL`,
+        [id]
+    );
+
+    const insertVersion = (version_no, from) =>
+        db.run(
+            `INSERT INTO ${table} (${key}, version_no, ${fields.join(", ")}, valid_from)
+            VALUES (?, ?, ${fields.map(() => "?").join(", ")}, ?)`,
+            [id, version_no, ...fields.map((f) => values[f] ?? null), from]
+        );
+
+    if (!current) {
+        const { last } = await db.get(
+            `SELECT COALESCE(MAX(version_no), 0) AS last FROM ${table} WHERE ${key} = ?`,
+            [id]
+        );
+        return insertVersion(last + 1, valid_from || initial_valid_from);
+    }
+
+    if (fields.every((f) => (values[f] ?? null) === current[f])) return null;
+
+    if (!valid_from) {
+        throw new Error(
+            `${kind} ${id}: the wording changed but no valid_from says when the new one took effect ` +
+            `(give the record or its document a valid_from; ${current.valid_from || "the current version's start"} ` +
+            `corrects the current version in place)`
+        );
+    }
+    const from = valid_from;
+
+    if (current.valid_from && from < current.valid_from) {
+        throw new Error(
+            `${kind} ${id}: new wording from ${from} predates current version ` +
+            `${current.version_no} (valid from ${current.valid_from})`
+        );
+    }
+
+    // same start date: a correction of the current wording, not a new version
+    if (from === current.valid_from) {
+        return db.run(
+            `UPDATE ${table} SET ${fields.map((f) => `${f} = ?`).join(", ")}, recorded_at = datetime('now')
+            WHERE ${key} = ? AND version_no = ?`,
+            [...fields.map((f) => values[f] ?? null), id, current.version_no]
+        );
+    }
+
+    await db.run(
+        `UPDATE ${table} SET valid_to = ? WHERE ${key} = ? AND version_no = ?`,
+        [from, id, current.version_no]
+    );
+    return insertVersion(current.version_no + 1, from);
+}
+
+async function getVersionAsOf(kind, id, date) {
+    const db = await ensureDB();
+    const { table, key } = VERSIONED[kind];
+    return db.get(`
+        SELECT * FROM ${table}
+        WHERE ${key} = ?
+        AND (valid_from IS NULL OR valid_from <= ?)
+        AND (valid_to IS NULL OR valid_to > ?)
+    `,
+        [id, date, date]
+    );
+}
+
+async function getVersionHistory(kind, id) {
+    const db = await ensureDB();
+    const { table, key } = VERSIONED[kind];
+    return db.all(`SELECT * FROM ${table} WHERE ${key} = ? ORDER BY version_no`, [id]);
+}
+
 /* ===========================
    UPSERT HELPERS
    =========================== */
 
+// publication date as ISO plus the effective-date phrase resolved against it;
+// a publication date that cannot be read is an error rather than a silent NULL
+function normalizeDocumentDates(kind, id, effective_date, publication_date) {
+    const publication_iso = parseThaiDate(publication_date);
+    if (publication_date != null && String(publication_date).trim() !== "" && !publication_iso) {
+        throw new Error(`Unrecognised ${kind} publication date for ${id}: "${publication_date}"`);
+    }
+    return {
+        publication_iso,
+        effective_iso: normalizeEffectiveDate(effective_date, publication_iso).iso,
+    };
+}
+
 async function addOrUpdateAct({
     act_id,
     act_name = null,
     act_ministry = null,
     act_effective_date = null,
+    act_publication_date = null,
     act_document_name = null,
     act_short_description = null,
     act_long_description = null,
 }) {
     const db = await ensureDB();
+    const { publication_iso, effective_iso } =
+        normalizeDocumentDates("act", act_id, act_effective_date, act_publication_date);
 
     await db.run(`
         INSERT INTO Acts (
-            act_id, act_name, act_ministry, act_effective_date,
-            act_document_name, act_short_description, act_long_description
+            act_id, act_name, act_ministry, act_effective_date, act_effective_date_iso,
+            act_publication_date, act_document_name, act_short_description, act_long_description
         )
-        VALUES (?, ?, ?, ?, ?, ?, ?)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
         ON CONFLICT(act_id) DO UPDATE SET
         act_name=excluded.act_name,
         act_ministry=excluded.act_ministry,
         act_effective_date=excluded.act_effective_date,
+        act_effective_date_iso=excluded.act_effective_date_iso,
+        act_publication_date=excluded.act_publication_date,
         act_document_name=excluded.act_document_name,
         act_short_description=excluded.act_short_description,
         act_long_description=excluded.act_long_description
@@ -137,6 +305,8 @@ async function addOrUpdateAct({
             act_name,
             act_ministry,
             act_effective_date,
+            effective_iso,
+            publication_iso,
             act_document_name,
             act_short_description,
             act_long_description,
@@ -152,23 +322,28 @@ async function addOrUpdateRegulation({
     regulation_document_name = null,
     regulation_ministry = null,
     regulation_effective_date = null,
+    regulation_publication_date = null,
     regulation_short_description = null,
     regulation_long_description = null,
 }) {
     const db = await ensureDB();
+    const { publication_iso, effective_iso } =
+        normalizeDocumentDates("regulation", regulation_id, regulation_effective_date, regulation_publication_date);
 
     await db.run(`
         INSERT INTO Regulations (
             regulation_id, regulation_name, regulation_document_name,
-            regulation_ministry, regulation_effective_date,
-            regulation_short_description, regulation_long_description
+            regulation_ministry, regulation_effective_date, regulation_effective_date_iso,
+            regulation_publication_date, regulation_short_description, regulation_long_description
         )
-        VALUES (?, ?, ?, ?, ?, ?, ?)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
         ON CONFLICT(regulation_id) DO UPDATE SET
         regulation_name=excluded.regulation_name,
         regulation_document_name=excluded.regulation_document_name,
         regulation_ministry=excluded.regulation_ministry,
         regulation_effective_date=excluded.regulation_effective_date,
+        regulation_effective_date_iso=excluded.regulation_effective_date_iso,
+        regulation_publication_date=excluded.regulation_publication_date,
         regulation_short_description=excluded.regulation_short_description,
         regulation_long_description=excluded.regulation_long_description
     `,
@@ -178,19 +353,13 @@ async function addOrUpdateRegulation({
             regulation_document_name,
             regulation_ministry,
             regulation_effective_date,
+            effective_iso,
+            publication_iso,
             regulation_short_description,
             regulation_long_description,
         ]
     );
 
-    await db.run(`
-        INSERT INTO ActRegulationMapping (regulation_id, applicable_act_ids)
-        VALUES (?, '[]')
-        ON CONFLICT(regulation_id) DO NOTHING
-    `,
-        [regulation_id]
-    );
-
     return getRegulation(regulation_id);
 }
 
@@ -200,11 +369,21 @@ async function addOrUpdateChapterByAct({
     chapter_text = null,
     chapter_summary = null,
     act_id,
+    valid_from = null,
+    initial_valid_from = null,
 }) {
     const db = await ensureDB();
 
     if (!act_id) throw new Error("addOrUpdateChapterByAct requires act_id");
 
+    await recordVersion(
+        "chapter",
+        chapter_id,
+        { chapter_title, chapter_text, chapter_summary, act_id, regulation_id: null },
+        valid_from,
+        initial_valid_from
+    );
+
     await db.run(`
         INSERT INTO Chapters (
             chapter_id, chapter_title, chapter_text, chapter_summary,
@@ -221,6 +400,8 @@ async function addOrUpdateChapterByAct({
         [chapter_id, chapter_title, chapter_text, chapter_summary, act_id]
     );
 
+    await indexSearchEntry("chapter", chapter_id, chapter_id, chapter_title, chapter_text);
+    await indexReferences("chapter", chapter_id, chapter_id, chapter_text);
     return getChapter(chapter_id);
 }
 
@@ -230,12 +411,22 @@ async function addOrUpdateChapterByRegulation({
     chapter_text = null,
     chapter_summary = null,
     regulation_id,
+    valid_from = null,
+    initial_valid_from = null,
 }) {
     const db = await ensureDB();
 
     if (!regulation_id)
         throw new Error("addOrUpdateChapterByRegulation requires regulation_id");
 
+    await recordVersion(
+        "chapter",
+        chapter_id,
+        { chapter_title, chapter_text, chapter_summary, act_id: null, regulation_id },
+        valid_from,
+        initial_valid_from
+    );
+
     await db.run(`
         INSERT INTO Chapters (
             chapter_id, chapter_title, chapter_text, chapter_summary,
@@ -252,6 +443,8 @@ async function addOrUpdateChapterByRegulation({
         [chapter_id, chapter_title, chapter_text, chapter_summary, regulation_id]
     );
 
+    await indexSearchEntry("chapter", chapter_id, chapter_id, chapter_title, chapter_text);
+    await indexReferences("chapter", chapter_id, chapter_id, chapter_text);
     return getChapter(chapter_id);
 }
 
@@ -261,22 +454,34 @@ async function addOrUpdateSection({
     section_text = null,
     section_summary = null,
     chapter_id,
+    valid_from = null,
+    initial_valid_from = null,
 }) {
     const db = await ensureDB();
     if (!chapter_id) throw new Error("addOrUpdateSection requires chapter_id");
 
+    await recordVersion(
+        "section",
+        section_id,
+        { section_title, section_text, section_summary, chapter_id },
+        valid_from,
+        initial_valid_from
+    );
+
     await db.run(`
-        INSERT INTO Sections (section_id, section_title, section_text, section_summary, chapter_id)
-        VALUES (?, ?, ?, ?, ?)
+        INSERT INTO Sections (section_id, section_title, section_text, section_summary, chapter_id, sort_key)
+        VALUES (?, ?, ?, ?, ?, ?)
         ON CONFLICT(section_id) DO UPDATE SET
         section_title=excluded.section_title,
         section_text=excluded.section_text,
         section_summary=excluded.section_summary,
         chapter_id=excluded.chapter_id
     `,
-        [section_id, section_title, section_text, section_summary, chapter_id]
+        [section_id, section_title, section_text, section_summary, chapter_id, provisionSortKey(section_id)]
     );
 
+    await indexSearchEntry("section", section_id, chapter_id, section_title, section_text);
+    await indexReferences("section", section_id, chapter_id, section_text);
     return getSection(section_id);
 }
 
@@ -286,39 +491,205 @@ async function addOrUpdateClause({
     clause_text = null,
     clause_summary = null,
     chapter_id,
+    valid_from = null,
+    initial_valid_from = null,
 }) {
     const db = await ensureDB();
     if (!chapter_id) throw new Error("addOrUpdateClause requires chapter_id");
 
+    await recordVersion(
+        "clause",
+        clause_id,
+        { clause_title, clause_text, clause_summary, chapter_id },
+        valid_from,
+        initial_valid_from
+    );
+
     await db.run(`
-        INSERT INTO Clauses (clause_id, clause_title, clause_text, clause_summary, chapter_id)
-        VALUES (?, ?, ?, ?, ?)
+        INSERT INTO Clauses (clause_id, clause_title, clause_text, clause_summary, chapter_id, sort_key)
+        VALUES (?, ?, ?, ?, ?, ?)
         ON CONFLICT(clause_id) DO UPDATE SET
         clause_title=excluded.clause_title,
         clause_text=excluded.clause_text,
         clause_summary=excluded.clause_summary,
         chapter_id=excluded.chapter_id
     `,
-        [clause_id, clause_title, clause_text, clause_summary, chapter_id]
+        [clause_id, clause_title, clause_text, clause_summary, chapter_id, provisionSortKey(clause_id)]
     );
 
+    await indexSearchEntry("clause", clause_id, chapter_id, clause_title, clause_text);
+    await indexReferences("clause", clause_id, chapter_id, clause_text);
     return getClause(clause_id);
 }
 
+// why links = [{ act_id, section_id }] cannot be stored: unknown acts, and
+// sections outside their act; empty when they all can
+async function findActRegulationLinkProblems(links) {
+    const db = await ensureDB();
+
+    const problems = [];
+    for (const { act_id, section_id = null } of links) {
+        if (!await getAct(act_id)) {
+            problems.push(`act ${act_id} is not in the DB`);
+            continue;
+        }
+        if (!section_id) continue;
+        const owner = await db.get(`
+            SELECT c.act_id FROM Sections s
+            INNER JOIN Chapters c ON c.chapter_id = s.chapter_id
+            WHERE s.section_id = ?
+        `,
+            [section_id]
+        );
+        if (!owner) problems.push(`section ${section_id} is not in the DB`);
+        else if (owner.act_id !== act_id) problems.push(`section ${section_id} belongs to ${owner.act_id}, not ${act_id}`);
+    }
+    return problems;
+}
+
+// Replaces the regulation's links of one provenance ("manual" or "inferred");
+// links = [{ act_id, section_id }] with section_id optional. Unknown acts, and
+// sections outside their act, are rejected rather than stored.
+async function setActRegulationLinks(regulation_id, links = [], provenance = "manual") {
+    const db = await ensureDB();
+
+    const problems = await findActRegulationLinkProblems(links);
+    if (problems.length) {
+        throw new Error(`Cannot link regulation ${regulation_id}: ${problems.join("; ")}`);
+    }
+
+    await db.run(`DELETE FROM RegulationActLinks WHERE regulation_id = ? AND provenance = ?`, [
+        regulation_id,
+        provenance,
+    ]);
+    for (const { act_id, section_id = null } of links) {
+        await db.run(`
+            INSERT OR IGNORE INTO RegulationActLinks (regulation_id, act_id, section_id, provenance)
+            VALUES (?, ?, ?, ?)
+        `,
+            [regulation_id, act_id, section_id, provenance]
+        );
+    }
+
+    return getActRegulationLinks(regulation_id);
+}
+
+// the manual act-level links, i.e. regulation.json's applicable_act_ids
 async function addOrUpdateActRegulationMapping(regulation_id, applicable_act_ids = []) {
+    await setActRegulationLinks(regulation_id, applicable_act_ids.map(act_id => ({ act_id })), "manual");
+    return getActRegulationMapping(regulation_id);
+}
+
+async function addOrUpdateAmendment({
+    amendment_id,
+    amendment_name = null,
+    amendment_document_name = null,
+    amendment_ministry = null,
+    amendment_effective_date = null,
+    amendment_short_description = null,
+    amendment_long_description = null,
+    act_id = null,
+    regulation_id = null,
+}) {
     const db = await ensureDB();
-    const jsonActs = JSON.stringify(applicable_act_ids);
+
+    if (!act_id === !regulation_id)
+        throw new Error("addOrUpdateAmendment requires exactly one of act_id or regulation_id");
 
     await db.run(`
-        INSERT INTO ActRegulationMapping (regulation_id, applicable_act_ids)
-        VALUES (?, ?)
-        ON CONFLICT(regulation_id) DO UPDATE SET
-        applicable_act_ids = excluded.applicable_act_ids
+        INSERT INTO Amendments (
+            amendment_id, amendment_name, amendment_document_name,
+            amendment_ministry, amendment_effective_date,
+            amendment_short_description, amendment_long_description,
+            act_id, regulation_id
+        )
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT(amendment_id) DO UPDATE SET
+        amendment_name=excluded.amendment_name,
+        amendment_document_name=excluded.amendment_document_name,
+        amendment_ministry=excluded.amendment_ministry,
+        amendment_effective_date=excluded.amendment_effective_date,
+        amendment_short_description=excluded.amendment_short_description,
+        amendment_long_description=excluded.amendment_long_description,
+        act_id=excluded.act_id,
+        regulation_id=excluded.regulation_id
     `,
-        [regulation_id, jsonActs]
+        [
+            amendment_id,
+            amendment_name,
+            amendment_document_name,
+            amendment_ministry,
+            amendment_effective_date,
+            amendment_short_description,
+            amendment_long_description,
+            act_id,
+            regulation_id,
+        ]
     );
 
-    return getActRegulationMapping(regulation_id);
+    return getAmendment(amendment_id);
+}
+
+// Replaces the whole change list of an amendment, so re-ingesting a corrected
+// changes.json never leaves stale rows behind.
+async function setAmendmentChanges(amendment_id, changes = []) {
+    const db = await ensureDB();
+
+    await db.run(`DELETE FROM AmendmentChanges WHERE amendment_id = ?`, [amendment_id]);
+
+    for (const [idx, change] of changes.entries()) {
+        await db.run(`
+            INSERT INTO AmendmentChanges (
+                amendment_id, change_no, change_type, target_type, target_id,
+                chapter_id, new_title, new_text
+            )
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `,
+            [
+                amendment_id,
+                change.change_no || idx + 1,
+                change.change_type,
+                change.target_type,
+                change.target_id,
+                change.chapter_id || null,
+                change.new_title || null,
+                change.new_text || null,
+            ]
+        );
+    }
+
+    return getAmendmentChanges(amendment_id);
+}
+
+// Replaces what was inferred from a regulation's enabling clause (see enablingActs.js).
+async function setInferredActMappings(regulation_id, entries = []) {
+    const db = await ensureDB();
+
+    await db.run(`DELETE FROM InferredActMappings WHERE regulation_id = ?`, [regulation_id]);
+
+    for (const [idx, entry] of entries.entries()) {
+        await db.run(`
+            INSERT INTO InferredActMappings (
+                regulation_id, entry_no, act_id, section_id, cited_act_name, cited_text,
+                confidence, needs_review, review_reason
+            )
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `,
+            [
+                regulation_id,
+                idx + 1,
+                entry.act_id || null,
+                entry.section_id || null,
+                entry.cited_act_name || null,
+                entry.cited_text || null,
+                entry.confidence,
+                entry.needs_review ? 1 : 0,
+                entry.review_reason || null,
+            ]
+        );
+    }
+
+    return getInferredActMappings(regulation_id);
 }
 
 /* ===========================
@@ -330,9 +701,18 @@ async function getAct(act_id) {
     return db.get(`SELECT * FROM Acts WHERE act_id = ?`, [act_id]);
 }
 
-async function getAllActs() {
+// list getters take an optional { limit, offset } page; without one they return every row
+const PAGE = "LIMIT ? OFFSET ?";
+const pageParams = ({ limit = -1, offset = 0 } = {}) => [limit, offset];
+
+async function getAllActs(page) {
+    const db = await ensureDB();
+    return db.all(`SELECT * FROM Acts ORDER BY act_id ${PAGE}`, pageParams(page));
+}
+
+async function countActs() {
     const db = await ensureDB();
-    return db.all(`SELECT * FROM Acts`);
+    return (await db.get(`SELECT COUNT(*) AS total FROM Acts`)).total;
 }
 
 async function getAllChapters() {
@@ -345,27 +725,55 @@ async function getAllSections() {
     return db.all(`SELECT * FROM Sections`);
 }
 
-async function getAllRegulations() {
+// each regulation's linked acts, manual links first, then in the order they were linked
+const linkedActsQuery = (where = "") => `
+    SELECT regulation_id, act_id
+    FROM RegulationActLinks
+    ${where}
+    GROUP BY regulation_id, act_id
+    ORDER BY regulation_id, MIN(provenance = 'inferred'), MIN(link_id)
+`;
+
+async function getAllRegulations(page) {
     const db = await ensureDB();
-    const regulations = await db.all(`SELECT * FROM Regulations ORDER BY regulation_id`);
-    const mappings = await db.all(`SELECT * FROM ActRegulationMapping`);
+    const regulations = await db.all(`SELECT * FROM Regulations ORDER BY regulation_id ${PAGE}`, pageParams(page));
+    const links = page
+        ? await db.all(
+            linkedActsQuery(`WHERE regulation_id IN (${regulations.map(() => "?").join(", ")})`),
+            regulations.map(r => r.regulation_id)
+        )
+        : await db.all(linkedActsQuery());
 
-    const map = new Map(mappings.map((m) => [m.regulation_id, m.applicable_act_ids]));
+    const map = new Map();
+    for (const { regulation_id, act_id } of links) {
+        if (!map.has(regulation_id)) map.set(regulation_id, []);
+        map.get(regulation_id).push(act_id);
+    }
 
     return regulations.map((r) => ({
         ...r,
-        applicable_act_ids: JSON.parse(map.get(r.regulation_id) || "[]"),
+        applicable_act_ids: map.get(r.regulation_id) || [],
     }));
 }
 
+async function countRegulations() {
+    const db = await ensureDB();
+    return (await db.get(`SELECT COUNT(*) AS total FROM Regulations`)).total;
+}
+
 async function getChapter(chapter_id) {
     const db = await ensureDB();
     return db.get(`SELECT * FROM Chapters WHERE chapter_id = ?`, [chapter_id]);
 }
 
-async function getChaptersByAct(act_id) {
+async function getChaptersByAct(act_id, page) {
+    const db = await ensureDB();
+    return db.all(`SELECT * FROM Chapters WHERE act_id = ? ORDER BY chapter_id ${PAGE}`, [act_id, ...pageParams(page)]);
+}
+
+async function countChaptersByAct(act_id) {
     const db = await ensureDB();
-    return db.all(`SELECT * FROM Chapters WHERE act_id = ? ORDER BY chapter_id`, [act_id]);
+    return (await db.get(`SELECT COUNT(*) AS total FROM Chapters WHERE act_id = ?`, [act_id])).total;
 }
 
 async function getChaptersByRegulation(regulation_id) {
@@ -381,11 +789,18 @@ async function getSection(section_id) {
     return db.get(`SELECT * FROM Sections WHERE section_id = ?`, [section_id]);
 }
 
-async function getSectionsByChapter(chapter_id) {
+// provisions come back in document order: sort_key, not the id, which sorts act1_s10 before act1_s2
+async function getSectionsByChapter(chapter_id, page) {
     const db = await ensureDB();
-    return db.all(`SELECT * FROM Sections WHERE chapter_id = ? ORDER BY section_id`, [
-        chapter_id,
-    ]);
+    return db.all(
+        `SELECT * FROM Sections WHERE chapter_id = ? ORDER BY sort_key, section_id ${PAGE}`,
+        [chapter_id, ...pageParams(page)]
+    );
+}
+
+async function countSectionsByChapter(chapter_id) {
+    const db = await ensureDB();
+    return (await db.get(`SELECT COUNT(*) AS total FROM Sections WHERE chapter_id = ?`, [chapter_id])).total;
 }
 
 async function getClause(clause_id) {
@@ -393,11 +808,17 @@ async function getClause(clause_id) {
     return db.get(`SELECT * FROM Clauses WHERE clause_id = ?`, [clause_id]);
 }
 
-async function getClausesByChapter(chapter_id) {
+async function getClausesByChapter(chapter_id, page) {
     const db = await ensureDB();
-    return db.all(`SELECT * FROM Clauses WHERE chapter_id = ? ORDER BY clause_id`, [
-        chapter_id,
-    ]);
+    return db.all(
+        `SELECT * FROM Clauses WHERE chapter_id = ? ORDER BY sort_key, clause_id ${PAGE}`,
+        [chapter_id, ...pageParams(page)]
+    );
+}
+
+async function countClausesByChapter(chapter_id) {
+    const db = await ensureDB();
+    return (await db.get(`SELECT COUNT(*) AS total FROM Clauses WHERE chapter_id = ?`, [chapter_id])).total;
 }
 
 async function getRegulation(regulation_id) {
@@ -407,97 +828,774 @@ async function getRegulation(regulation_id) {
     ]);
     if (!regulation) return null;
 
-    const mapping = await db.get(
-        `SELECT applicable_act_ids FROM ActRegulationMapping WHERE regulation_id = ?`,
-        [regulation_id]
-    );
-
-    regulation.applicable_act_ids = mapping?.applicable_act_ids
-        ? JSON.parse(mapping.applicable_act_ids)
-        : [];
+    const links = await db.all(linkedActsQuery("WHERE regulation_id = ?"), [regulation_id]);
+    regulation.applicable_act_ids = links.map((l) => l.act_id);
 
     return regulation;
 }
 
-async function getRegulationsByAct(act_id) {
+async function getRegulationsByAct(act_id, page) {
     const db = await ensureDB();
     return db.all(`
         SELECT r.*
         FROM Regulations r
-        INNER JOIN ActRegulationMapping m
-        ON r.regulation_id = m.regulation_id
         WHERE EXISTS (
             SELECT 1
-            FROM json_each(m.applicable_act_ids)
-            WHERE json_each.value = ?
+            FROM RegulationActLinks l
+            WHERE l.regulation_id = r.regulation_id AND l.act_id = ?
         )
         ORDER BY r.regulation_id
+        ${PAGE}
     `,
+        [act_id, ...pageParams(page)]
+    );
+}
+
+async function countRegulationsByAct(act_id) {
+    const db = await ensureDB();
+    const { total } = await db.get(
+        `SELECT COUNT(DISTINCT regulation_id) AS total FROM RegulationActLinks WHERE act_id = ?`,
         [act_id]
     );
+    return total;
 }
 
+// { regulation_id, applicable_act_ids } with the ids as a JSON array, as the
+// mapping was stored before it had its own table; undefined when nothing is linked
 async function getActRegulationMapping(regulation_id) {
+    const regulation = await getRegulation(regulation_id);
+    if (!regulation || regulation.applicable_act_ids.length === 0) return undefined;
+    return { regulation_id, applicable_act_ids: JSON.stringify(regulation.applicable_act_ids) };
+}
+
+// every link of a regulation, act-level and section-level, with its provenance
+async function getActRegulationLinks(regulation_id) {
+    const db = await ensureDB();
+    return db.all(`SELECT * FROM RegulationActLinks WHERE regulation_id = ? ORDER BY link_id`, [
+        regulation_id,
+    ]);
+}
+
+async function getAmendment(amendment_id) {
+    const db = await ensureDB();
+    return db.get(`SELECT * FROM Amendments WHERE amendment_id = ?`, [amendment_id]);
+}
+
+async function getAllAmendments() {
+    const db = await ensureDB();
+    return db.all(`SELECT * FROM Amendments ORDER BY amendment_id`);
+}
+
+async function getAmendmentsByAct(act_id) {
+    const db = await ensureDB();
+    return db.all(`SELECT * FROM Amendments WHERE act_id = ? ORDER BY amendment_id`, [act_id]);
+}
+
+async function getAmendmentsByRegulation(regulation_id) {
+    const db = await ensureDB();
+    return db.all(`SELECT * FROM Amendments WHERE regulation_id = ? ORDER BY amendment_id`, [
+        regulation_id,
+    ]);
+}
+
+async function getAmendmentChanges(amendment_id) {
+    const db = await ensureDB();
+    return db.all(`SELECT * FROM AmendmentChanges WHERE amendment_id = ? ORDER BY change_no`, [
+        amendment_id,
+    ]);
+}
+
+// every recorded change touching one chapter/section/clause, oldest amendment first
+async function getAmendmentChangesForTarget(target_type, target_id) {
+    const db = await ensureDB();
+    return db.all(`
+        SELECT ac.*, a.amendment_name, a.amendment_effective_date
+        FROM AmendmentChanges ac
+        INNER JOIN Amendments a ON a.amendment_id = ac.amendment_id
+        WHERE ac.target_type = ? AND ac.target_id = ?
+        ORDER BY a.amendment_effective_date, ac.amendment_id, ac.change_no
+    `,
+        [target_type, target_id]
+    );
+}
+
+async function getInferredActMappings(regulation_id) {
     const db = await ensureDB();
-    return db.get(`SELECT * FROM ActRegulationMapping WHERE regulation_id = ?`, [
+    return db.all(`SELECT * FROM InferredActMappings WHERE regulation_id = ? ORDER BY entry_no`, [
         regulation_id,
     ]);
 }
 
+// inferred mappings nobody has confirmed yet, per regulation in document order
+async function getActMappingsForReview() {
+    const db = await ensureDB();
+    return db.all(`
+        SELECT * FROM InferredActMappings
+        WHERE needs_review = 1
+        ORDER BY regulation_id, entry_no
+    `);
+}
+
+// regulations whose enabling act has not been matched yet: no inferred mapping
+// at all, or one that names an act missing from the DB when it was inferred
+async function getRegulationsAwaitingEnablingActs() {
+    const db = await ensureDB();
+    const rows = await db.all(`
+        SELECT r.regulation_id FROM Regulations r
+        WHERE NOT EXISTS (SELECT 1 FROM InferredActMappings m WHERE m.regulation_id = r.regulation_id)
+           OR EXISTS (
+                SELECT 1 FROM InferredActMappings m
+                WHERE m.regulation_id = r.regulation_id AND m.act_id IS NULL AND m.cited_act_name IS NOT NULL
+           )
+        ORDER BY r.regulation_id
+    `);
+    return rows.map(r => r.regulation_id);
+}
+
 /* ===========================
-   DELETE HELPERS
+   INGEST LEDGER
    =========================== */
-async function deleteAct(act_id) {
+
+async function startIngestRun({ command, root_path, forced = false }) {
+    const db = await ensureDB();
+    const { lastID } = await db.run(
+        `INSERT INTO IngestRuns (command, root_path, forced) VALUES (?, ?, ?)`,
+        [command, root_path, forced ? 1 : 0]
+    );
+    return lastID;
+}
+
+// Closes a run. Without a fatal error its outcome follows from its documents:
+// succeeded when none failed, failed when all did, partial otherwise.
+async function finishIngestRun(run_id, error = null) {
+    const db = await ensureDB();
+    const { total, failed } = await db.get(`
+        SELECT COUNT(*) AS total, COALESCE(SUM(outcome = 'failed'), 0) AS failed
+        FROM IngestRunDocuments WHERE run_id = ?
+    `, [run_id]);
+    let outcome = "succeeded";
+    if (error || (failed > 0 && failed === total)) outcome = "failed";
+    else if (failed > 0) outcome = "partial";
+
+    await db.run(
+        `UPDATE IngestRuns SET finished_at = datetime('now'), outcome = ?, error = ? WHERE run_id = ?`,
+        [outcome, error, run_id]
+    );
+    return getIngestRun(run_id);
+}
+
+async function addIngestRunDocument(run_id, {
+    document_dir,
+    document_type,
+    document_id = null,
+    json_sha256,
+    pdf_sha256 = null,
+    row_counts = null,
+    outcome,
+    error = null,
+}) {
     const db = await ensureDB();
     await db.run(`
-        UPDATE ActRegulationMapping
-        SET applicable_act_ids =
-        COALESCE(
-            (SELECT json_group_array(value)
-            FROM json_each(applicable_act_ids)
-            WHERE value != ?),
-            '[]'
-        )
-        WHERE EXISTS (
-            SELECT 1
-            FROM json_each(applicable_act_ids)
-            WHERE value = ?
+        INSERT OR REPLACE INTO IngestRunDocuments (
+            run_id, document_dir, document_type, document_id, json_sha256, pdf_sha256,
+            row_counts, outcome, error
         )
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `,
+        [
+            run_id,
+            document_dir,
+            document_type,
+            document_id,
+            json_sha256,
+            pdf_sha256,
+            row_counts ? JSON.stringify(row_counts) : null,
+            outcome,
+            error,
+        ]
+    );
+}
+
+function parseRowCounts(row) {
+    return row && { ...row, row_counts: row.row_counts ? JSON.parse(row.row_counts) : null };
+}
+
+// the most recent successful ingest of a document, whichever directory it came from
+async function getLastIngest(document_type, document_id) {
+    const db = await ensureDB();
+    return parseRowCounts(await db.get(`
+        SELECT * FROM IngestRunDocuments
+        WHERE document_type = ? AND document_id = ? AND outcome = 'ingested'
+        ORDER BY run_id DESC
+        LIMIT 1
+    `, [document_type, document_id]));
+}
+
+const INGEST_RUN_SELECT = `
+    SELECT r.*,
+        COUNT(d.document_dir) AS documents,
+        COALESCE(SUM(d.outcome = 'ingested'), 0) AS ingested,
+        COALESCE(SUM(d.outcome = 'skipped'), 0) AS skipped,
+        COALESCE(SUM(d.outcome = 'failed'), 0) AS failed
+    FROM IngestRuns r
+    LEFT JOIN IngestRunDocuments d ON d.run_id = r.run_id
+`;
+
+async function getIngestRun(run_id) {
+    const db = await ensureDB();
+    return db.get(`${INGEST_RUN_SELECT} WHERE r.run_id = ? GROUP BY r.run_id`, [run_id]);
+}
+
+// newest first
+async function getIngestRuns({ limit = 20 } = {}) {
+    const db = await ensureDB();
+    return db.all(`${INGEST_RUN_SELECT} GROUP BY r.run_id ORDER BY r.run_id DESC LIMIT ?`, [limit]);
+}
+
+async function getIngestRunDocuments(run_id) {
+    const db = await ensureDB();
+    const rows = await db.all(`
+        SELECT * FROM IngestRunDocuments WHERE run_id = ? ORDER BY processed_at, rowid
+    `, [run_id]);
+    return rows.map(parseRowCounts);
+}
+
+/* ===========================
+   POINT-IN-TIME HELPERS
+   =========================== */
+
+async function getChapterAsOf(chapter_id, date) {
+    return getVersionAsOf("chapter", chapter_id, date);
+}
+
+async function getSectionAsOf(section_id, date) {
+    return getVersionAsOf("section", section_id, date);
+}
+
+async function getClauseAsOf(clause_id, date) {
+    return getVersionAsOf("clause", clause_id, date);
+}
+
+async function getChapterHistory(chapter_id) {
+    return getVersionHistory("chapter", chapter_id);
+}
+
+async function getSectionHistory(section_id) {
+    return getVersionHistory("section", section_id);
+}
+
+async function getClauseHistory(clause_id) {
+    return getVersionHistory("clause", clause_id);
+}
+
+// chapters in force on `date` for an act or regulation, each with its provisions as of that date
+async function getConsolidatedChaptersAsOf(owner_column, owner_id, child, date) {
+    const db = await ensureDB();
+    const { table, key } = VERSIONED[child];
+    const inForce = `(valid_from IS NULL OR valid_from <= ?) AND (valid_to IS NULL OR valid_to > ?)`;
+
+    const chapters = await db.all(
+        `SELECT * FROM ChapterVersions WHERE ${owner_column} = ? AND ${inForce} ORDER BY chapter_id`,
+        [owner_id, date, date]
+    );
+
+    for (const chapter of chapters) {
+        // version rows have no sort_key; SQL would order their ids as strings
+        chapter[`${child}s`] = (await db.all(
+            `SELECT * FROM ${table} WHERE chapter_id = ? AND ${inForce}`,
+            [chapter.chapter_id, date, date]
+        )).sort((a, b) => compareProvisionIds(a[key], b[key]));
+    }
+
+    return chapters;
+}
+
+async function getActConsolidatedAsOf(act_id, date) {
+    const act = await getAct(act_id);
+    if (!act) return null;
+    return { ...act, as_of: date, chapters: await getConsolidatedChaptersAsOf("act_id", act_id, "section", date) };
+}
+
+async function getRegulationConsolidatedAsOf(regulation_id, date) {
+    const regulation = await getRegulation(regulation_id);
+    if (!regulation) return null;
+    return {
+        ...regulation,
+        as_of: date,
+        chapters: await getConsolidatedChaptersAsOf("regulation_id", regulation_id, "clause", date),
+    };
+}
+
+/* ===========================
+   SEARCH HELPERS
+   =========================== */
+
+const SEARCH_HIGHLIGHT_START = "<mark>";
+const SEARCH_HIGHLIGHT_END = "</mark>";
+
+async function indexSearchEntry(entity_type, entity_id, chapter_id, title, body) {
+    const db = await ensureDB();
+
+    await db.run(`
+        INSERT INTO SearchEntries (entity_type, entity_id, chapter_id)
+        VALUES (?, ?, ?)
+        ON CONFLICT(entity_type, entity_id) DO UPDATE SET
+        chapter_id=excluded.chapter_id
+    `,
+        [entity_type, entity_id, chapter_id]
+    );
+
+    const { search_rowid } = await db.get(
+        `SELECT search_rowid FROM SearchEntries WHERE entity_type = ? AND entity_id = ?`,
+        [entity_type, entity_id]
+    );
+
+    await db.run(`DELETE FROM LawsSearchIndex WHERE rowid = ?`, [search_rowid]);
+    await db.run(`INSERT INTO LawsSearchIndex (rowid, title, body) VALUES (?, ?, ?)`, [
+        search_rowid,
+        segmentThaiText(title),
+        segmentThaiText(body),
+    ]);
+
+    await db.run(`DELETE FROM LawsSubstringIndex WHERE rowid = ?`, [search_rowid]);
+    await db.run(`INSERT INTO LawsSubstringIndex (rowid, title, body) VALUES (?, ?, ?)`, [search_rowid, title, body]);
+}
+
+async function rebuildSearchIndex() {
+    const db = await ensureDB();
+
+    await db.run(`DELETE FROM LawsSearchIndex`);
+    await db.run(`DELETE FROM LawsSubstringIndex`);
+    await db.run(`DELETE FROM SearchEntries`);
+
+    const chapters = await db.all(`SELECT chapter_id, chapter_title, chapter_text FROM Chapters`);
+    for (const c of chapters) {
+        await indexSearchEntry("chapter", c.chapter_id, c.chapter_id, c.chapter_title, c.chapter_text);
+    }
+
+    const sections = await db.all(`SELECT section_id, section_title, section_text, chapter_id FROM Sections`);
+    for (const s of sections) {
+        await indexSearchEntry("section", s.section_id, s.chapter_id, s.section_title, s.section_text);
+    }
+
+    const clauses = await db.all(`SELECT clause_id, clause_title, clause_text, chapter_id FROM Clauses`);
+    for (const c of clauses) {
+        await indexSearchEntry("clause", c.clause_id, c.chapter_id, c.clause_title, c.clause_text);
+    }
+
+    return chapters.length + sections.length + clauses.length;
+}
+
+// Every whitespace-separated term of the query becomes an FTS5 phrase of its
+// Thai word segments, so "โทษจำคุก" matches wherever those words are adjacent.
+function buildSearchMatchExpression(query) {
+    return String(query || "")
+        .split(/\s+/)
+        .map((term) => segmentThaiWords(term))
+        .filter((words) => words.length)
+        .map((words) => `"${words.map((w) => w.replace(/"/g, '""')).join(" ")}"`)
+        .join(" ");
+}
+
+// The same terms as plain substrings, for LawsSubstringIndex. A trigram index
+// cannot match fewer than three characters, so shorter terms are left out.
+function buildSubstringMatchExpression(query) {
+    return String(query || "")
+        .split(/\s+/)
+        .filter((term) => [...term].length >= 3)
+        .map((term) => `"${term.replace(/"/g, '""')}"`)
+        .join(" ");
+}
+
+// how each index is queried: its table, match expression and snippet length in tokens
+const SEARCH_INDEXES = [
+    { table: "LawsSearchIndex", buildMatch: buildSearchMatchExpression, snippetTokens: 24 },
+    // trigram tokens are single characters wide
+    { table: "LawsSubstringIndex", buildMatch: buildSubstringMatchExpression, snippetTokens: 64 },
+];
+
+/**
+ * Ranked full-text search over chapter, section and clause titles and texts.
+ *
+ * filters:
+ *   document_type  - "act" or "regulation"
+ *   entity_types   - subset of ["chapter", "section", "clause"]
+ *   ministry       - exact act_ministry / regulation_ministry
+ *   effective_from - lower bound (inclusive) on the normalized effective date
+ *   effective_to   - upper bound (inclusive) on the normalized effective date
+ *                    (ISO or Thai dates; documents whose date is unknown never match)
+ *   limit, offset  - paging (default 20, 0)
+ *
+ * Terms are matched as Thai words first; when that finds nothing, as
+ * substrings of the text, which also finds a term inside a longer compound.
+ */
+async function searchLaws(query, {
+    document_type = null,
+    entity_types = null,
+    ministry = null,
+    effective_from = null,
+    effective_to = null,
+    limit = 20,
+    offset = 0,
+} = {}) {
+    const db = await ensureDB();
+
+    const where = [];
+    const params = [];
+
+    if (document_type === "act") where.push("c.act_id IS NOT NULL");
+    else if (document_type === "regulation") where.push("c.regulation_id IS NOT NULL");
+    else if (document_type) throw new Error(`searchLaws: unknown document_type "${document_type}"`);
+
+    if (entity_types && entity_types.length) {
+        where.push(`e.entity_type IN (${entity_types.map(() => "?").join(", ")})`);
+        params.push(...entity_types);
+    }
+    if (ministry) {
+        where.push("COALESCE(a.act_ministry, r.regulation_ministry) = ?");
+        params.push(ministry);
+    }
+    for (const [bound, value, op] of [["effective_from", effective_from, ">="], ["effective_to", effective_to, "<="]]) {
+        if (!value) continue;
+        const iso = parseThaiDate(value);
+        if (!iso) throw new Error(`searchLaws: ${bound} is not a date: "${value}"`);
+        where.push(`COALESCE(a.act_effective_date_iso, r.regulation_effective_date_iso) ${op} ?`);
+        params.push(iso);
+    }
+
+    const search = ({ table, snippetTokens }, match, page) => db.all(`
+        SELECT
+            e.entity_type,
+            e.entity_id,
+            e.chapter_id,
+            c.act_id,
+            c.regulation_id,
+            COALESCE(a.act_name, r.regulation_name) AS document_name,
+            COALESCE(a.act_ministry, r.regulation_ministry) AS ministry,
+            COALESCE(a.act_effective_date, r.regulation_effective_date) AS effective_date,
+            COALESCE(a.act_effective_date_iso, r.regulation_effective_date_iso) AS effective_date_iso,
+            bm25(${table}, 5.0, 1.0) AS rank,
+            highlight(${table}, 0, ?, ?) AS title,
+            snippet(${table}, 1, ?, ?, '…', ${snippetTokens}) AS snippet
+        FROM ${table}
+        INNER JOIN SearchEntries e ON e.search_rowid = ${table}.rowid
+        INNER JOIN Chapters c ON c.chapter_id = e.chapter_id
+        LEFT JOIN Acts a ON a.act_id = c.act_id
+        LEFT JOIN Regulations r ON r.regulation_id = c.regulation_id
+        WHERE ${[`${table} MATCH ?`, ...where].join(" AND ")}
+        ORDER BY rank
+        LIMIT ? OFFSET ?
     `,
-        [act_id, act_id]
+        [
+            SEARCH_HIGHLIGHT_START, SEARCH_HIGHLIGHT_END, SEARCH_HIGHLIGHT_START, SEARCH_HIGHLIGHT_END,
+            match, ...params, page.limit, page.offset,
+        ]
     );
 
-    await db.run(`DELETE FROM ActRegulationMapping WHERE json_array_length(applicable_act_ids) = 0`);
+    // the first index with any hit answers every page of the query
+    let rows = [];
+    for (const index of SEARCH_INDEXES) {
+        const match = index.buildMatch(query);
+        if (!match) continue;
+        if (!(await search(index, match, { limit: 1, offset: 0 })).length) continue;
+        rows = await search(index, match, { limit, offset });
+        break;
+    }
+
+    return rows.map((row) => ({
+        ...row,
+        title: stripWordBoundaries(row.title),
+        snippet: stripWordBoundaries(row.snippet),
+    }));
+}
+
+/* ===========================
+   CROSS-REFERENCES
+   =========================== */
+
+const PROVISION_PREFIX = { section: "s", clause: "c" };
+
+// reference rows with whether their target is stored
+const REFERENCE_SELECT = `
+    SELECT r.*,
+        CASE r.target_type
+            WHEN 'section' THEN EXISTS (SELECT 1 FROM Sections s WHERE s.section_id = r.target_id)
+            WHEN 'clause' THEN EXISTS (SELECT 1 FROM Clauses c WHERE c.clause_id = r.target_id)
+            WHEN 'act' THEN EXISTS (SELECT 1 FROM Acts a WHERE a.act_id = r.target_id)
+            ELSE EXISTS (SELECT 1 FROM Regulations g WHERE g.regulation_id = r.target_id)
+        END AS target_exists
+    FROM ProvisionReferences r
+`;
+
+// The document a reference points into: a title is looked up by name, an
+// unqualified provision belongs to the citing document, and an unqualified
+// มาตรา in a regulation to its enabling act when it has exactly one.
+async function findReferencedDocument({ source_document_type, source_document_id, target_document_type, target_document_name }) {
+    const db = await ensureDB();
+
+    if (target_document_name) {
+        const [table, prefix] = target_document_type === "act" ? ["Acts", "act"] : ["Regulations", "regulation"];
+        const wanted = normalizeDocumentName(target_document_name);
+        const rows = await db.all(`SELECT ${prefix}_id AS id, ${prefix}_name AS name FROM ${table} ORDER BY ${prefix}_id`);
+        const match = rows.find(r => normalizeDocumentName(r.name) === wanted);
+        return match ? match.id : null;
+    }
+    if (target_document_type === source_document_type) return source_document_id;
+    if (source_document_type === "regulation" && target_document_type === "act") {
+        const mapping = await getActRegulationMapping(source_document_id);
+        const act_ids = mapping ? JSON.parse(mapping.applicable_act_ids) : [];
+        return act_ids.length === 1 ? act_ids[0] : null;
+    }
+    return null;
+}
+
+function referenceTargetId(target_type, target_number, target_document_id) {
+    if (!target_document_id) return null;
+    return target_number === null ? target_document_id : `${target_document_id}_${PROVISION_PREFIX[target_type]}${target_number}`;
+}
+
+async function indexReferences(source_type, source_id, chapter_id, text) {
+    const db = await ensureDB();
+    await db.run(`DELETE FROM ProvisionReferences WHERE source_type = ? AND source_id = ?`, [source_type, source_id]);
+
+    const chapter = await getChapter(chapter_id);
+    if (!chapter) return 0;
+    const source = chapter.act_id
+        ? { source_document_type: "act", source_document_id: chapter.act_id }
+        : { source_document_type: "regulation", source_document_id: chapter.regulation_id };
+
+    let ref_no = 0;
+    for (const ref of extractReferences(text)) {
+        const target_document_type = ref.document
+            ? ref.document.document_type
+            : (ref.target_type === "section" ? "act" : "regulation");
+        const target_document_name = ref.document && ref.document.name ? ref.document.name : null;
+
+        let target_document_id;
+        if (ref.document && ref.document.self) {
+            target_document_id = target_document_type === source.source_document_type ? source.source_document_id : null;
+        } else {
+            target_document_id = await findReferencedDocument({ ...source, target_document_type, target_document_name });
+        }
+        // a law naming itself ("พระราชบัญญัตินี้เรียกว่า ...") is not a citation
+        if (ref.target_number === null && target_document_id === source.source_document_id) continue;
+
+        await db.run(`
+            INSERT INTO ProvisionReferences (
+                source_type, source_id, ref_no, source_document_type, source_document_id,
+                matched_text, span_start, span_end,
+                target_type, target_number, target_document_type, target_document_name,
+                target_document_id, target_id
+            )
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `,
+            [
+                source_type, source_id, ++ref_no, source.source_document_type, source.source_document_id,
+                ref.matched_text, ref.span_start, ref.span_end,
+                ref.target_type, ref.target_number, target_document_type, target_document_name,
+                target_document_id, referenceTargetId(ref.target_type, ref.target_number, target_document_id),
+            ]
+        );
+    }
+    return ref_no;
+}
+
+// References are resolved when their text is stored, so a law cited before it
+// was ingested (or a regulation whose act mapping came later) stays unresolved
+// until the cited document arrives. Called once a document is stored, this
+// resolves the pending references that name it, and the document's own
+// unqualified ones (which depend on its act mapping); references to laws that
+// are not in the DB are left alone. Returns how many references it resolved.
+async function resolveReferences(document_type, document_id) {
+    const db = await ensureDB();
+    const [table, prefix] = document_type === "act" ? ["Acts", "act"] : ["Regulations", "regulation"];
+    const document = await db.get(`SELECT ${prefix}_name AS name FROM ${table} WHERE ${prefix}_id = ?`, [document_id]);
+    if (!document) return 0;
+
+    // each pending title is normalized once, and only those naming this document are loaded
+    const wanted = normalizeDocumentName(document.name);
+    const titles = await db.all(`
+        SELECT DISTINCT target_document_name AS name FROM ProvisionReferences
+        WHERE target_document_id IS NULL AND target_document_type = ? AND target_document_name IS NOT NULL
+    `, [document_type]);
+    const naming = titles.map(t => t.name).filter(name => normalizeDocumentName(name) === wanted);
+
+    const pending = await db.all(`
+        SELECT * FROM ProvisionReferences
+        WHERE target_document_id IS NULL AND (
+            (target_document_type = ? AND target_document_name IN (${naming.map(() => "?").join(", ") || "NULL"}))
+            OR (target_document_name IS NULL AND source_document_type = ? AND source_document_id = ?)
+        )
+    `, [document_type, ...naming, document_type, document_id]);
+
+    let resolved = 0;
+    for (const row of pending) {
+        const target_document_id = row.target_document_name ? document_id : await findReferencedDocument(row);
+        if (!target_document_id) continue;
+        await db.run(`
+            UPDATE ProvisionReferences SET target_document_id = ?, target_id = ?
+            WHERE source_type = ? AND source_id = ? AND ref_no = ?
+        `,
+            [
+                target_document_id, referenceTargetId(row.target_type, row.target_number, target_document_id),
+                row.source_type, row.source_id, row.ref_no,
+            ]
+        );
+        resolved++;
+    }
+    return resolved;
+}
+
+async function rebuildReferences() {
+    const db = await ensureDB();
+    await db.run(`DELETE FROM ProvisionReferences`);
+
+    let count = 0;
+    const chapters = await db.all(`SELECT chapter_id, chapter_text FROM Chapters`);
+    for (const c of chapters) count += await indexReferences("chapter", c.chapter_id, c.chapter_id, c.chapter_text);
+
+    const sections = await db.all(`SELECT section_id, section_text, chapter_id FROM Sections`);
+    for (const s of sections) count += await indexReferences("section", s.section_id, s.chapter_id, s.section_text);
+
+    const clauses = await db.all(`SELECT clause_id, clause_text, chapter_id FROM Clauses`);
+    for (const c of clauses) count += await indexReferences("clause", c.clause_id, c.chapter_id, c.clause_text);
+
+    return count;
+}
+
+// what a chapter/section/clause cites; given an act or regulation id, what all of its texts cite
+async function getReferencesFrom(id) {
+    const db = await ensureDB();
+    return db.all(
+        `${REFERENCE_SELECT} WHERE r.source_id = ? OR r.source_document_id = ? ORDER BY r.source_id, r.ref_no`,
+        [id, id]
+    );
+}
+
+// what cites a provision; given an act or regulation id, what cites it or any of its provisions
+async function getReferencesTo(id) {
+    const db = await ensureDB();
+    return db.all(
+        `${REFERENCE_SELECT} WHERE r.target_id = ? OR r.target_document_id = ? ORDER BY r.source_id, r.ref_no`,
+        [id, id]
+    );
+}
+
+// unresolved references and references to provisions that are not stored
+async function getBrokenReferences() {
+    const db = await ensureDB();
+    return db.all(
+        `SELECT * FROM (${REFERENCE_SELECT}) WHERE target_exists = 0 ORDER BY source_document_id, source_id, ref_no`
+    );
+}
+
+/* ===========================
+   DELETE HELPERS
+   =========================== */
+// regulation links to the act go with it (ON DELETE CASCADE)
+// Deleting an act, regulation, chapter, section or clause keeps its history:
+// the open versions of the row and of every row deleted with it end on
+// repealed_on (ISO date, exclusive like every valid_to), which is required.
+// Like the other multi-statement writes, callers wrap it in withTransaction.
+async function endOpenVersions(kind, where, params, repealed_on) {
+    const db = await ensureDB();
+    const { table, key } = VERSIONED[kind];
+    const later = await db.get(
+        `SELECT ${key} AS id, valid_from FROM ${table} WHERE valid_to IS NULL AND valid_from > ? AND ${where}`,
+        [repealed_on, ...params]
+    );
+    if (later) {
+        throw new Error(`${kind} ${later.id}: cannot end on ${repealed_on}, its current version starts ${later.valid_from}`);
+    }
+    await db.run(`UPDATE ${table} SET valid_to = ? WHERE valid_to IS NULL AND ${where}`, [repealed_on, ...params]);
+}
+
+function requireRepealDate(what, repealed_on) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(repealed_on || "")) {
+        throw new Error(`Deleting ${what} needs the ISO date its provisions stop being in force`);
+    }
+}
+
+const CHAPTERS_OF = owner_column => `SELECT chapter_id FROM Chapters WHERE ${owner_column} = ?`;
+
+async function deleteAct(act_id, repealed_on) {
+    const db = await ensureDB();
+    requireRepealDate(`act ${act_id}`, repealed_on);
+    await endOpenVersions("chapter", `chapter_id IN (${CHAPTERS_OF("act_id")})`, [act_id], repealed_on);
+    await endOpenVersions(
+        "section",
+        `section_id IN (SELECT section_id FROM Sections WHERE chapter_id IN (${CHAPTERS_OF("act_id")}))`,
+        [act_id],
+        repealed_on
+    );
     return db.run(`DELETE FROM Acts WHERE act_id = ?`, [act_id]);
 }
 
-async function deleteChapter(chapter_id) {
+async function deleteChapter(chapter_id, repealed_on) {
     const db = await ensureDB();
+    requireRepealDate(`chapter ${chapter_id}`, repealed_on);
+    await endOpenVersions("chapter", `chapter_id = ?`, [chapter_id], repealed_on);
+    for (const [kind, table] of [["section", "Sections"], ["clause", "Clauses"]]) {
+        const where = `${kind}_id IN (SELECT ${kind}_id FROM ${table} WHERE chapter_id = ?)`;
+        await endOpenVersions(kind, where, [chapter_id], repealed_on);
+    }
     return db.run(`DELETE FROM Chapters WHERE chapter_id = ?`, [chapter_id]);
 }
 
-async function deleteSection(section_id) {
+async function deleteSection(section_id, repealed_on) {
     const db = await ensureDB();
+    requireRepealDate(`section ${section_id}`, repealed_on);
+    await endOpenVersions("section", `section_id = ?`, [section_id], repealed_on);
     return db.run(`DELETE FROM Sections WHERE section_id = ?`, [section_id]);
 }
 
-async function deleteRegulation(regulation_id) {
+async function deleteRegulation(regulation_id, repealed_on) {
     const db = await ensureDB();
+    requireRepealDate(`regulation ${regulation_id}`, repealed_on);
+    await endOpenVersions("chapter", `chapter_id IN (${CHAPTERS_OF("regulation_id")})`, [regulation_id], repealed_on);
+    await endOpenVersions(
+        "clause",
+        `clause_id IN (SELECT clause_id FROM Clauses WHERE chapter_id IN (${CHAPTERS_OF("regulation_id")}))`,
+        [regulation_id],
+        repealed_on
+    );
     return db.run(`DELETE FROM Regulations WHERE regulation_id = ?`, [regulation_id]);
 }
 
-async function deleteClause(clause_id) {
+async function deleteClause(clause_id, repealed_on) {
     const db = await ensureDB();
+    requireRepealDate(`clause ${clause_id}`, repealed_on);
+    await endOpenVersions("clause", `clause_id = ?`, [clause_id], repealed_on);
     return db.run(`DELETE FROM Clauses WHERE clause_id = ?`, [clause_id]);
 }
 
+async function deleteAmendment(amendment_id) {
+    const db = await ensureDB();
+    return db.run(`DELETE FROM Amendments WHERE amendment_id = ?`, [amendment_id]);
+}
+
 async function deleteActRegulationMapping(regulation_id) {
     const db = await ensureDB();
-    return db.run(`DELETE FROM ActRegulationMapping WHERE regulation_id = ?`, [
+    return db.run(`DELETE FROM RegulationActLinks WHERE regulation_id = ?`, [
         regulation_id,
     ]);
 }
 
+// Runs fn inside one SQLite transaction on the shared connection: everything
+// fn writes is committed together, or rolled back if it throws.
+async function withTransaction(fn) {
+    const db = await ensureDB();
+    await db.run("BEGIN IMMEDIATE");
+    try {
+        const result = await fn(db);
+        await db.run("COMMIT");
+        return result;
+    } catch (err) {
+        await db.run("ROLLBACK");
+        throw err;
+    }
+}
+
 async function closeDB() {
     if (db) {
         await db.close();
@@ -510,6 +1608,9 @@ module.exports = {
     initDB,
     ensureDB,
     closeDB,
+    withTransaction,
+    getSchemaStatus,
+    migrateDB,
 
     // add or update
     addOrUpdateAct,
@@ -519,17 +1620,36 @@ module.exports = {
     addOrUpdateRegulation,
     addOrUpdateClause,
     addOrUpdateActRegulationMapping,
+    setActRegulationLinks,
+    findActRegulationLinkProblems,
+    addOrUpdateAmendment,
+    setAmendmentChanges,
+    setInferredActMappings,
 
     // get / fetch
     getAllActs,
+    countActs,
     getAllChapters,
     getAllSections,
     getAllRegulations,
+    countRegulations,
     getChaptersByAct,
+    countChaptersByAct,
     getChaptersByRegulation,
     getSectionsByChapter,
+    countSectionsByChapter,
     getClausesByChapter,
+    countClausesByChapter,
     getRegulationsByAct,
+    countRegulationsByAct,
+    getAllAmendments,
+    getAmendmentsByAct,
+    getAmendmentsByRegulation,
+    getAmendmentChanges,
+    getAmendmentChangesForTarget,
+    getInferredActMappings,
+    getActMappingsForReview,
+    getRegulationsAwaitingEnablingActs,
 
     // single-item fetches
     getAct,
@@ -538,6 +1658,38 @@ module.exports = {
     getRegulation,
     getClause,
     getActRegulationMapping,
+    getActRegulationLinks,
+    getAmendment,
+
+    // point-in-time
+    getChapterAsOf,
+    getSectionAsOf,
+    getClauseAsOf,
+    getChapterHistory,
+    getSectionHistory,
+    getClauseHistory,
+    getActConsolidatedAsOf,
+    getRegulationConsolidatedAsOf,
+
+    // search
+    searchLaws,
+    rebuildSearchIndex,
+
+    // cross-references
+    getReferencesFrom,
+    getReferencesTo,
+    getBrokenReferences,
+    resolveReferences,
+    rebuildReferences,
+
+    // ingest ledger
+    startIngestRun,
+    finishIngestRun,
+    addIngestRunDocument,
+    getLastIngest,
+    getIngestRun,
+    getIngestRuns,
+    getIngestRunDocuments,
 
     // deletions
     deleteAct,
@@ -546,4 +1698,5 @@ module.exports = {
     deleteRegulation,
     deleteClause,
     deleteActRegulationMapping,
+    deleteAmendment,
 };
\ No newline at end of file
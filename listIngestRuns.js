@@ -0,0 +1,105 @@
+// listIngestRuns.js
+"use strict";
+
+// Lists past ingest runs from the ledger (see ingestRuns.js), newest first, or
+// the document directories one run processed.
+
+const path = require("path");
+const lawsStorage = require(path.join(__dirname, "./lawsStorageSimple.js"));
+const dotenv = require("dotenv");
+dotenv.config({path: path.join(__dirname, ".env")});
+
+// ─────────────────────────────────────────────
+// Args
+// ─────────────────────────────────────────────
+const args = process.argv.slice(2);
+const options = { limit: 20 };
+const positional = [];
+
+for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === "--json") options.json = true;
+    else if (arg === "--limit") options.limit = Number(args[++i]);
+    else positional.push(arg);
+}
+
+const [runId] = positional;
+
+if (positional.length > 1 || (runId && !/^\d+$/.test(runId)) || !(Number.isInteger(options.limit) && options.limit > 0)) {
+    console.log("❌ Invalid arguments.");
+    console.error(`Usage: node ${path.basename(__filename)} [--limit <n>] [--json]`);
+    console.error("--- OR ---");
+    console.error(`Usage: node ${path.basename(__filename)} <run_id> [--json]`);
+    process.exit(1);
+}
+if(!process.env.DB_PATH) {
+    console.error("❌ Environment variable DB_PATH is not set.");
+    console.log("⚠️ Env file must be present the working directory with DB_PATH defined.");
+    process.exit(1);
+}
+
+// ─────────────────────────────────────────────
+// Output
+// ─────────────────────────────────────────────
+const OUTCOME_ICONS = {
+    running: "⏳", succeeded: "✅", partial: "⚠️", failed: "❌",
+    ingested: "✅", skipped: "⏭️",
+};
+
+function printRun(run) {
+    console.log(
+        `${OUTCOME_ICONS[run.outcome]} #${run.run_id}  ${run.started_at} → ${run.finished_at || "…"}  ${run.outcome}` +
+        `${run.forced ? " (--force)" : ""}`
+    );
+    console.log(`   ${run.command}`);
+    console.log(`   ${run.ingested} ingested, ${run.skipped} skipped, ${run.failed} failed` +
+        (run.error ? `  ${run.error}` : ""));
+}
+
+function printDocument(d) {
+    const counts = d.row_counts ? "  " + Object.entries(d.row_counts).map(([k, n]) => `${k}: ${n}`).join(", ") : "";
+    console.log(`${OUTCOME_ICONS[d.outcome]} ${d.document_type} ${d.document_id || "?"}  ${d.outcome}${counts}`);
+    console.log(`   ${d.document_dir}`);
+    console.log(`   json ${d.json_sha256}`);
+    console.log(`   pdf  ${d.pdf_sha256 || "none"}`);
+    if (d.error) console.log(`   ${d.error.split("\n").join("\n   ")}`);
+}
+
+// ─────────────────────────────────────────────
+// Main
+// ─────────────────────────────────────────────
+async function main() {
+    await lawsStorage.initDB({ readOnly: true });
+
+    if (runId) {
+        const run = await lawsStorage.getIngestRun(Number(runId));
+        if (!run) throw new Error(`Ingest run not found: ${runId}`);
+        const documents = await lawsStorage.getIngestRunDocuments(run.run_id);
+        if (options.json) {
+            process.stdout.write(JSON.stringify({ ...run, documents }, null, 2) + "\n");
+            return;
+        }
+        printRun(run);
+        console.log("");
+        documents.forEach(printDocument);
+        return;
+    }
+
+    const runs = await lawsStorage.getIngestRuns({ limit: options.limit });
+    if (options.json) {
+        process.stdout.write(JSON.stringify(runs, null, 2) + "\n");
+        return;
+    }
+    if (runs.length === 0) {
+        console.log("No ingest runs recorded yet");
+        return;
+    }
+    runs.forEach(printRun);
+}
+
+main()
+    .catch(err => {
+        console.error("❌ Listing runs failed:", err.message);
+        process.exitCode = 1;
+    })
+    .finally(() => lawsStorage.closeDB());
@@ -0,0 +1,62 @@
+// migrateDB.js
+"use strict";
+
+const path = require("path");
+const lawsStorage = require(path.join(__dirname, "./lawsStorageSimple.js"));
+const dotenv = require("dotenv");
+dotenv.config({path: path.join(__dirname, ".env")});
+
+// ─────────────────────────────────────────────
+// Args
+// ─────────────────────────────────────────────
+const command = process.argv[2] || "status";
+
+if (!["status", "up"].includes(command)) {
+    console.log("❌ Invalid arguments.");
+    console.error(`Usage: node ${path.basename(__filename)} status   (show applied and pending migrations)`);
+    console.error(`Usage: node ${path.basename(__filename)} up       (apply pending migrations)`);
+    process.exit(1);
+}
+if(!process.env.DB_PATH) {
+    console.error("❌ Environment variable DB_PATH is not set.");
+    console.log("⚠️ Env file must be present the working directory with DB_PATH defined.");
+    process.exit(1);
+}
+
+// ─────────────────────────────────────────────
+// Main
+// ─────────────────────────────────────────────
+function printStatus({ current, latest, applied, pending }) {
+    console.log(`\n📦 Database: ${process.env.DB_PATH}`);
+    console.log(`Schema version: ${current} (code supports ${latest})`);
+
+    console.log("\n--- Applied ---");
+    if (applied.length === 0) console.log("none");
+    applied.forEach(m => console.log(`  ${String(m.version).padStart(3)}  ${m.name}  (${m.applied_at})`));
+
+    console.log("\n--- Pending ---");
+    if (pending.length === 0) console.log("none");
+    pending.forEach(m => console.log(`  ${String(m.version).padStart(3)}  ${m.name}`));
+}
+
+async function main() {
+    if (command === "up") {
+        // a missing database is created at the latest schema
+        const applied = await lawsStorage.initDB({ migrate: true, create: true });
+        console.log(applied.length
+            ? `✅ Applied ${applied.length} migration(s)`
+            : "✅ Schema already up to date");
+    } else {
+        // "status" never changes the file
+        await lawsStorage.initDB({ readOnly: true, requireCurrent: false });
+    }
+
+    printStatus(await lawsStorage.getSchemaStatus());
+}
+
+main()
+    .catch(err => {
+        console.error("❌ Migration failed:", err.message);
+        process.exitCode = 1;
+    })
+    .finally(() => lawsStorage.closeDB());
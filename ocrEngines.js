@@ -0,0 +1,220 @@
+// OCR engines for thaiOcrSimple.js
+// by TekMonks Ltd - https://tekmonks.com
+"use strict";
+
+// Every engine exposes the same interface:
+//
+//   engine.name                       "documentai" | "tesseract"
+//   engine.settings                   everything that changes the output (cache key)
+//   await engine.recognize(imagePath) → { text, confidences, layout }
+//
+// confidences are the engine's per-word (token) confidences scaled to 0..1,
+// empty when the engine reports none; layout is the page in the
+// engine-neutral format of ocrLayout.js.
+//
+// Engines are created lazily and only touch their own dependencies
+// (credentials, npm packages, binaries) on the first recognize() call, so a
+// machine that only has Tesseract never needs the Google packages or a
+// service account, and vice versa.
+
+const os = require("os");
+const fs = require("fs");
+const fsp = fs.promises;
+const path = require("path");
+const crypto = require("crypto");
+const { execFile } = require("child_process");
+const { layoutFromDocumentAi, layoutFromTesseractTsv } = require(path.join(__dirname, "./ocrLayout.js"));
+
+const DEFAULT_ENGINE = "documentai";
+
+const execFilep = (file, args, desc = "Command") =>
+    new Promise((res, rej) =>
+        execFile(file, args, { maxBuffer: 1024 * 1024 * 100 }, (e, o, s) =>
+            e ? rej(Object.assign(new Error(`${desc} failed: ${s || e.message}`), { code: e.code, signal: e.signal }))
+              : res(o || ""))
+    );
+
+/* ======================================================
+   Failure classification and retries
+   ====================================================== */
+// gRPC status codes (Document AI) worth retrying: UNKNOWN, DEADLINE_EXCEEDED,
+// RESOURCE_EXHAUSTED, ABORTED, INTERNAL, UNAVAILABLE
+const TRANSIENT_GRPC_CODES = new Set([2, 4, 8, 10, 13, 14]);
+const TRANSIENT_NETWORK_CODES = new Set([
+    "ECONNRESET", "ECONNREFUSED", "ETIMEDOUT", "ESOCKETTIMEDOUT", "EAI_AGAIN", "EPIPE", "ENETUNREACH"
+]);
+
+/**
+ * true when retrying the same request may succeed (timeouts, quota, outages),
+ * false for failures that will repeat (bad credentials, invalid image,
+ * missing binary). Engines may decide for themselves by setting err.transient.
+ */
+function isTransientOcrError(err) {
+    if (typeof err.transient === "boolean") return err.transient;
+    if (typeof err.code === "number") return TRANSIENT_GRPC_CODES.has(err.code);
+    if (typeof err.code === "string") return TRANSIENT_NETWORK_CODES.has(err.code);
+    const status = err.status || (err.response && err.response.status);
+    if (status) return status === 429 || status >= 500;
+    return false;
+}
+
+/**
+ * engine.recognize(image) retried on transient errors with exponential backoff
+ * and jitter: attempt n waits retryDelayMs * 2^(n-1), scaled by 0.5..1.5.
+ * The error finally thrown carries .transient and .attempts.
+ */
+async function recognizeWithRetry(engine, image, { maxRetries = 3, retryDelayMs = 2000, onRetry = null } = {}) {
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await engine.recognize(image);
+        } catch (e) {
+            e.transient = isTransientOcrError(e);
+            e.attempts = attempt;
+            if (!e.transient || attempt > maxRetries) throw e;
+
+            const delay = Math.round(retryDelayMs * 2 ** (attempt - 1) * (0.5 + Math.random()));
+            if (onRetry) onRetry(e, attempt, delay);
+            await new Promise(r => setTimeout(r, delay));
+        }
+    }
+}
+
+/* ======================================================
+   Google Document AI
+   ====================================================== */
+function createDocumentAiEngine({ keyFile, processor }) {
+    let client = null;
+
+    async function getClient() {
+        if (client) return client;
+        if (!processor) throw new Error("Document AI processor is not configured (DOC_AI_PROCESSOR or conf processor)");
+        try { await fsp.access(keyFile, fs.constants.R_OK); }
+        catch { throw new Error(`Credentials not found: ${keyFile}`); }
+
+        const { DocumentProcessorServiceClient } = require("@google-cloud/documentai");
+        client = new DocumentProcessorServiceClient({ keyFilename: keyFile });
+        return client;
+    }
+
+    return {
+        name: "documentai",
+        settings: { engine: "documentai", processor },
+        async recognize(image) {
+            const documentAi = await getClient();
+            const bytes = await fsp.readFile(image);
+            const [res] = await documentAi.processDocument({
+                name: processor,
+                rawDocument: {
+                    content: bytes.toString("base64"),
+                    mimeType: "image/png"
+                }
+            });
+            const confidences = (res.document.pages || [])
+                .flatMap(p => p.tokens || [])
+                .map(t => t.layout && t.layout.confidence)
+                .filter(c => typeof c === "number");
+            return {
+                text: res.document.text || "",
+                confidences,
+                layout: layoutFromDocumentAi(res.document),
+                document: res.document
+            };
+        }
+    };
+}
+
+/* ======================================================
+   Local Tesseract (CLI)
+   ====================================================== */
+// word rows (level 5) carry a 0..100 confidence; other levels report -1
+function parseTesseractTsvConfidences(tsv) {
+    const [header, ...rows] = tsv.split(/\r?\n/).filter(Boolean).map(l => l.split("\t"));
+    if (!header) return [];
+    const level = header.indexOf("level");
+    const conf = header.indexOf("conf");
+    const text = header.indexOf("text");
+    return rows
+        .filter(r => r[level] === "5" && (r[text] || "").trim() && Number(r[conf]) >= 0)
+        .map(r => Number(r[conf]) / 100);
+}
+
+function createTesseractEngine({ binary = "tesseract", lang = "tha+eng", psm = null }) {
+    let checked = false;
+
+    async function checkInstallation() {
+        if (checked) return;
+        let langs;
+        try {
+            langs = await execFilep(binary, ["--list-langs"], "Tesseract language check");
+        } catch (e) {
+            throw Object.assign(new Error(`Tesseract not available (${binary}): ${e.message}`), { transient: false });
+        }
+        const installed = new Set(langs.split(/\r?\n/).map(l => l.trim()));
+        const missing = lang.split("+").filter(l => !installed.has(l));
+        if (missing.length) {
+            throw Object.assign(
+                new Error(`Tesseract language data missing: ${missing.join(", ")} (install tesseract-ocr-${missing[0]})`),
+                { transient: false }
+            );
+        }
+        checked = true;
+    }
+
+    return {
+        name: "tesseract",
+        settings: { engine: "tesseract", lang, psm },
+        async recognize(image) {
+            await checkInstallation();
+            // one run writes both the plain text and the per-word TSV (with confidences)
+            const outBase = path.join(os.tmpdir(), `tesseract-${crypto.randomBytes(8).toString("hex")}`);
+            const args = [image, outBase, "-l", lang];
+            if (psm) args.push("--psm", String(psm));
+            args.push("txt", "tsv");
+            try {
+                try {
+                    await execFilep(binary, args, "Tesseract OCR");
+                } catch (e) {
+                    // killed (e.g. out of memory) may pass on a retry; a non-zero exit will not
+                    e.transient = Boolean(e.signal);
+                    throw e;
+                }
+                const text = await fsp.readFile(`${outBase}.txt`, "utf8");
+                const tsv = await fsp.readFile(`${outBase}.tsv`, "utf8");
+                return { text, confidences: parseTesseractTsvConfidences(tsv), layout: layoutFromTesseractTsv(tsv) };
+            } finally {
+                await fsp.rm(`${outBase}.txt`, { force: true });
+                await fsp.rm(`${outBase}.tsv`, { force: true });
+            }
+        }
+    };
+}
+
+/* ======================================================
+   Registry
+   ====================================================== */
+const ENGINES = {
+    documentai: createDocumentAiEngine,
+    tesseract: createTesseractEngine,
+};
+
+/**
+ * Creates the OCR engine `name` ("documentai" or "tesseract") with its options:
+ *
+ *   documentai - { keyFile, processor }
+ *   tesseract  - { binary, lang, psm }
+ */
+function createOcrEngine(name = DEFAULT_ENGINE, options = {}) {
+    const factory = ENGINES[String(name).toLowerCase()];
+    if (!factory) {
+        throw new Error(`Unknown OCR engine "${name}" (available: ${Object.keys(ENGINES).join(", ")})`);
+    }
+    return factory(options);
+}
+
+module.exports = {
+    DEFAULT_ENGINE,
+    OCR_ENGINES: Object.keys(ENGINES),
+    createOcrEngine,
+    isTransientOcrError,
+    recognizeWithRetry,
+};
@@ -0,0 +1,206 @@
+// Engine-neutral page layout for the OCR pipeline
+// by TekMonks Ltd - https://tekmonks.com
+"use strict";
+
+// Every source (Document AI, Tesseract TSV, a PDF's own text layer via
+// mutool stext) is converted to the same shape:
+//
+//   page   { blocks: [block], tables: [table] }
+//   block  { bbox, confidence, paragraphs: [paragraph] }
+//   paragraph { bbox, confidence, lines: [line] }
+//   line   { bbox, confidence, text }
+//   table  { bbox, confidence, header_rows, rows: [[cell text]] }
+//
+// bbox is { x, y, w, h } as fractions of the page (0..1, origin top left), so
+// positions do not depend on render DPI or image resizing. confidence is 0..1,
+// or null when the source has none (text layers are exact).
+
+const LAYOUT_FORMAT = "nt-ocr-layout/1";
+
+const round4 = n => Math.round(n * 10000) / 10000;
+
+function bbox(x0, y0, x1, y1) {
+    return { x: round4(x0), y: round4(y0), w: round4(x1 - x0), h: round4(y1 - y0) };
+}
+
+function unionBbox(boxes) {
+    const list = boxes.filter(Boolean);
+    if (!list.length) return null;
+    return bbox(
+        Math.min(...list.map(b => b.x)),
+        Math.min(...list.map(b => b.y)),
+        Math.max(...list.map(b => b.x + b.w)),
+        Math.max(...list.map(b => b.y + b.h))
+    );
+}
+
+function mean(values) {
+    const list = values.filter(v => typeof v === "number");
+    return list.length ? round4(list.reduce((a, b) => a + b, 0) / list.length) : null;
+}
+
+/* ======================================================
+   Google Document AI
+   ====================================================== */
+function documentAiText(document, layout) {
+    const segments = (layout && layout.textAnchor && layout.textAnchor.textSegments) || [];
+    return segments
+        .map(s => (document.text || "").slice(Number(s.startIndex || 0), Number(s.endIndex || 0)))
+        .join("");
+}
+
+function documentAiStart(layout) {
+    const segments = (layout && layout.textAnchor && layout.textAnchor.textSegments) || [];
+    return segments.length ? Number(segments[0].startIndex || 0) : -1;
+}
+
+function documentAiEnd(layout) {
+    const segments = (layout && layout.textAnchor && layout.textAnchor.textSegments) || [];
+    return segments.length ? Number(segments[segments.length - 1].endIndex || 0) : -1;
+}
+
+function documentAiBbox(layout, dimension) {
+    const poly = layout && layout.boundingPoly;
+    if (!poly) return null;
+    let points = (poly.normalizedVertices || []).map(v => ({ x: v.x || 0, y: v.y || 0 }));
+    if (!points.length && poly.vertices && dimension && dimension.width && dimension.height) {
+        points = poly.vertices.map(v => ({ x: (v.x || 0) / dimension.width, y: (v.y || 0) / dimension.height }));
+    }
+    if (!points.length) return null;
+    return bbox(
+        Math.min(...points.map(p => p.x)),
+        Math.min(...points.map(p => p.y)),
+        Math.max(...points.map(p => p.x)),
+        Math.max(...points.map(p => p.y))
+    );
+}
+
+// Document AI lists blocks, paragraphs and lines side by side; nesting follows
+// from the ranges they cover in document.text
+function layoutFromDocumentAi(document) {
+    const page = (document.pages || [])[0];
+    if (!page) return { blocks: [], tables: [] };
+
+    const dim = page.dimension;
+    const within = (outer, inner) =>
+        documentAiStart(inner.layout) >= documentAiStart(outer.layout) &&
+        documentAiEnd(inner.layout) <= documentAiEnd(outer.layout);
+    const node = (el, extra) => ({
+        bbox: documentAiBbox(el.layout, dim),
+        confidence: typeof el.layout.confidence === "number" ? round4(el.layout.confidence) : null,
+        ...extra
+    });
+
+    const lines = (page.lines || []).filter(l => l.layout);
+    const paragraphs = (page.paragraphs || []).filter(p => p.layout);
+
+    const blocks = (page.blocks || []).filter(b => b.layout).map(b => node(b, {
+        paragraphs: paragraphs.filter(p => within(b, p)).map(p => node(p, {
+            lines: lines.filter(l => within(p, l)).map(l => node(l, {
+                text: documentAiText(document, l.layout).replace(/\n$/, "")
+            }))
+        }))
+    }));
+
+    const tables = (page.tables || []).filter(t => t.layout).map(t => node(t, {
+        header_rows: (t.headerRows || []).length,
+        rows: [...(t.headerRows || []), ...(t.bodyRows || [])].map(r =>
+            (r.cells || []).map(c => documentAiText(document, c.layout).trim()))
+    }));
+
+    return { blocks, tables };
+}
+
+/* ======================================================
+   Tesseract TSV
+   ====================================================== */
+// levels: 1 page, 2 block, 3 paragraph, 4 line, 5 word; conf is 0..100, -1 on non-words
+function layoutFromTesseractTsv(tsv) {
+    const [header, ...rows] = tsv.split(/\r?\n/).filter(Boolean).map(l => l.split("\t"));
+    if (!header || !header.includes("level")) return { blocks: [], tables: [] };
+    const records = rows.map(r => Object.fromEntries(header.map((h, i) => [h, r[i]])));
+
+    const pageRow = records.find(r => r.level === "1");
+    const width = Number(pageRow && pageRow.width) || 1;
+    const height = Number(pageRow && pageRow.height) || 1;
+    const boxOf = r => bbox(
+        Number(r.left) / width,
+        Number(r.top) / height,
+        (Number(r.left) + Number(r.width)) / width,
+        (Number(r.top) + Number(r.height)) / height
+    );
+
+    const blocks = new Map();
+    for (const r of records) {
+        if (r.level !== "5" || !(r.text || "").trim()) continue;
+        if (!blocks.has(r.block_num)) blocks.set(r.block_num, new Map());
+        const paragraphs = blocks.get(r.block_num);
+        if (!paragraphs.has(r.par_num)) paragraphs.set(r.par_num, new Map());
+        const lines = paragraphs.get(r.par_num);
+        if (!lines.has(r.line_num)) lines.set(r.line_num, []);
+        lines.get(r.line_num).push({ text: r.text.trim(), bbox: boxOf(r), conf: Number(r.conf) / 100 });
+    }
+
+    const toLine = words => ({
+        bbox: unionBbox(words.map(w => w.bbox)),
+        confidence: mean(words.map(w => w.conf)),
+        // Tesseract's "words" are space-delimited runs (whole Thai phrases), as in its .txt output
+        text: words.map(w => w.text).join(" ")
+    });
+    const group = (children, key) => ({
+        bbox: unionBbox(children.map(c => c.bbox)),
+        confidence: mean(children.map(c => c.confidence)),
+        [key]: children
+    });
+
+    return {
+        blocks: [...blocks.values()].map(paragraphs =>
+            group([...paragraphs.values()].map(lines =>
+                group([...lines.values()].map(toLine), "lines")), "paragraphs")),
+        tables: []
+    };
+}
+
+/* ======================================================
+   PDF text layer (mutool draw -F stext)
+   ====================================================== */
+const XML_ENTITIES = { "&amp;": "&", "&lt;": "<", "&gt;": ">", "&quot;": "\"", "&apos;": "'" };
+const unescapeXml = s => s.replace(/&(amp|lt|gt|quot|apos);|&#(\d+);|&#x([0-9a-f]+);/gi, (m, _n, dec, hex) =>
+    dec ? String.fromCodePoint(Number(dec)) : hex ? String.fromCodePoint(parseInt(hex, 16)) : XML_ENTITIES[m]);
+
+// stext blocks carry no paragraph level, so each block is one paragraph
+function layoutFromMutoolStext(xml) {
+    const pageMatch = /<page\b[^>]*\bwidth="([\d.]+)"[^>]*\bheight="([\d.]+)"/.exec(xml);
+    const width = pageMatch ? Number(pageMatch[1]) : 1;
+    const height = pageMatch ? Number(pageMatch[2]) : 1;
+    const boxOf = attr => {
+        const [x0, y0, x1, y1] = attr.split(/\s+/).map(Number);
+        return bbox(x0 / width, y0 / height, x1 / width, y1 / height);
+    };
+
+    const blocks = [];
+    for (const [, blockAttrs, blockBody] of xml.matchAll(/<block\b([^>]*)>([\s\S]*?)<\/block>/g)) {
+        const lines = [];
+        for (const [, lineAttrs, lineBody] of blockBody.matchAll(/<line\b([^>]*)>([\s\S]*?)<\/line>/g)) {
+            const text = [...lineBody.matchAll(/<char\b[^>]*\bc="([^"]*)"/g)].map(m => unescapeXml(m[1])).join("");
+            const box = /\bbbox="([^"]+)"/.exec(lineAttrs);
+            if (text.trim()) lines.push({ bbox: box ? boxOf(box[1]) : null, confidence: null, text: text.trim() });
+        }
+        if (!lines.length) continue;
+        const box = /\bbbox="([^"]+)"/.exec(blockAttrs);
+        const blockBox = box ? boxOf(box[1]) : unionBbox(lines.map(l => l.bbox));
+        blocks.push({
+            bbox: blockBox,
+            confidence: null,
+            paragraphs: [{ bbox: blockBox, confidence: null, lines }]
+        });
+    }
+    return { blocks, tables: [] };
+}
+
+module.exports = {
+    LAYOUT_FORMAT,
+    layoutFromDocumentAi,
+    layoutFromTesseractTsv,
+    layoutFromMutoolStext,
+};
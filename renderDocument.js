@@ -0,0 +1,92 @@
+// renderDocument.js
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const lawsStorage = require(path.join(__dirname, "./lawsStorageSimple.js"));
+const { loadDocumentTree, renderMarkdown, renderHtml } = require(path.join(__dirname, "./lawsRender.js"));
+const { parseThaiDate } = require(path.join(__dirname, "./thaiDates.js"));
+const dotenv = require("dotenv");
+dotenv.config({path: path.join(__dirname, ".env")});
+
+const FORMATS = {
+    md: { ext: "md", render: renderMarkdown },
+    html: { ext: "html", render: renderHtml },
+};
+
+// ─────────────────────────────────────────────
+// Args
+// ─────────────────────────────────────────────
+const args = process.argv.slice(2);
+const options = { all: false, out: "rendered", format: "both", asOf: null };
+const positional = [];
+
+for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === "--all") options.all = true;
+    else if (arg === "--out") options.out = args[++i];
+    else if (arg === "--format") options.format = args[++i];
+    else if (arg === "--as-of") options.asOf = args[++i];
+    else positional.push(arg);
+}
+
+const [kind, documentId] = positional;
+const formats = options.format === "both" ? Object.keys(FORMATS) : [options.format];
+const asOfIso = options.asOf ? parseThaiDate(options.asOf) : null;
+const validTarget = options.all
+    ? positional.length === 0
+    : ["act", "regulation"].includes(kind) && documentId && positional.length === 2;
+
+if (!validTarget || !options.out || !formats.every(f => FORMATS[f]) || (options.asOf && !asOfIso)) {
+    console.log("❌ Invalid arguments.");
+    console.error(`Usage: node ${path.basename(__filename)} act|regulation <id> [--format md|html|both] [--out dir] [--as-of date]`);
+    console.error("--- OR ---");
+    console.error(`Usage: node ${path.basename(__filename)} --all [--format md|html|both] [--out dir] [--as-of date]`);
+    console.error("(writes <out>/acts/<id>.md|html and <out>/regulations/<id>.md|html; --out defaults to ./rendered,");
+    console.error(" --as-of renders the versions in force on that date, e.g. 2024-01-01 or ๑ มกราคม ๒๕๖๗)");
+    process.exit(1);
+}
+if(!process.env.DB_PATH) {
+    console.error("❌ Environment variable DB_PATH is not set.");
+    console.log("⚠️ Env file must be present the working directory with DB_PATH defined.");
+    process.exit(1);
+}
+
+// ─────────────────────────────────────────────
+// Main
+// ─────────────────────────────────────────────
+async function renderOne(docKind, id) {
+    const tree = await loadDocumentTree(docKind, id, { asOf: asOfIso });
+    if (!tree) throw new Error(`${docKind === "act" ? "Act" : "Regulation"} not found: ${id}`);
+
+    const dir = path.join(options.out, `${docKind}s`);
+    await fs.promises.mkdir(dir, { recursive: true });
+    for (const format of formats) {
+        const { ext, render } = FORMATS[format];
+        const outPath = path.join(dir, `${id}.${ext}`);
+        await fs.promises.writeFile(outPath, render(tree));
+        console.log(`📄 ${docKind} ${id} → ${outPath}`);
+    }
+}
+
+async function main() {
+    await lawsStorage.initDB({ readOnly: true });
+
+    if (!options.all) {
+        await renderOne(kind, documentId);
+        return;
+    }
+
+    const acts = await lawsStorage.getAllActs();
+    const regulations = await lawsStorage.getAllRegulations();
+    for (const a of acts) await renderOne("act", a.act_id);
+    for (const r of regulations) await renderOne("regulation", r.regulation_id);
+    console.log(`✅ Rendered ${acts.length} act(s) and ${regulations.length} regulation(s) to ${options.out}`);
+}
+
+main()
+    .catch(err => {
+        console.error("❌ Render failed:", err.message);
+        process.exitCode = 1;
+    })
+    .finally(() => lawsStorage.closeDB());
@@ -38,11 +38,13 @@ async function walkDir(rootDir, onFile) {
 }
 
 async function main() {
-    const inputDirs = process.argv.slice(2).map(d => path.resolve(d));
+    const args = process.argv.slice(2);
+    const asJson = args.includes("--json");
+    const inputDirs = args.filter(a => !a.startsWith("--")).map(d => path.resolve(d));
 
     if (inputDirs.length !== 5) {
         console.error("❌ Invalid arguments.");
-        console.error(`Usage: node ${path.basename(__filename)} <dir1> <dir2> <dir3> <dir4> <dir5>`);
+        console.error(`Usage: node ${path.basename(__filename)} <dir1> <dir2> <dir3> <dir4> <dir5> [--json]`);
         process.exit(1);
     }
 
@@ -100,6 +102,21 @@ async function main() {
         ([_, paths]) => paths.length > 1
     );
 
+    if (asJson) {
+        console.log(JSON.stringify({
+            input_directories: inputDirs,
+            total_pdfs: totalFiles,
+            unique_pdfs: uniqueFiles,
+            duplicate_pdfs: totalFiles - uniqueFiles,
+            per_directory: Object.fromEntries(dirCounts),
+            per_category: Object.fromEntries(
+                [...dirCategoryCounts].map(([dir, catMap]) => [dir, Object.fromEntries(catMap)])
+            ),
+            duplicate_groups: duplicateGroups.map(([hash, paths]) => ({ hash, paths })),
+        }, null, 2));
+        return;
+    }
+
     // ================= REPORT =================
     console.log("\n========== PDF UNIQUENESS REPORT ==========\n");
 
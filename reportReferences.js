@@ -0,0 +1,102 @@
+// reportReferences.js
+"use strict";
+
+const path = require("path");
+const lawsStorage = require(path.join(__dirname, "./lawsStorageSimple.js"));
+const dotenv = require("dotenv");
+dotenv.config({path: path.join(__dirname, ".env")});
+
+// ─────────────────────────────────────────────
+// Args
+// ─────────────────────────────────────────────
+const args = process.argv.slice(2);
+const options = {};
+const positional = [];
+
+for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === "--rebuild") options.rebuild = true;
+    else if (arg === "--broken") options.broken = true;
+    else if (arg === "--json") options.json = true;
+    else positional.push(arg);
+}
+
+const [id] = positional;
+
+if (positional.length > 1 || (!id && !options.broken && !options.rebuild) || (id && options.broken)) {
+    console.log("❌ Invalid arguments.");
+    console.error(`Usage: node ${path.basename(__filename)} <act|regulation|chapter|section|clause id> [--json]`);
+    console.error("(what the document or provision cites, and what cites it)");
+    console.error("--- OR ---");
+    console.error(`Usage: node ${path.basename(__filename)} --broken [--json]`);
+    console.error("--- OR ---");
+    console.error(`Usage: node ${path.basename(__filename)} --rebuild`);
+    process.exit(1);
+}
+if(!process.env.DB_PATH) {
+    console.error("❌ Environment variable DB_PATH is not set.");
+    console.log("⚠️ Env file must be present the working directory with DB_PATH defined.");
+    process.exit(1);
+}
+
+// ─────────────────────────────────────────────
+// Output
+// ─────────────────────────────────────────────
+function describeTarget(r) {
+    if (r.target_id) return r.target_exists ? r.target_id : `${r.target_id} (not in DB)`;
+    return `unresolved${r.target_document_name ? ` (${r.target_document_name})` : ""}`;
+}
+
+function printReferences(label, rows, { showSource = true } = {}) {
+    console.log(`\n${label} (${rows.length})`);
+    for (const r of rows) {
+        const source = showSource ? `${r.source_id}: ` : "";
+        console.log(`   ${r.target_exists ? "  " : "⚠️"} ${source}"${r.matched_text}" → ${describeTarget(r)}`);
+    }
+}
+
+// ─────────────────────────────────────────────
+// Main
+// ─────────────────────────────────────────────
+async function main() {
+    await lawsStorage.initDB({ readOnly: !options.rebuild });
+
+    if (options.rebuild) {
+        const count = await lawsStorage.rebuildReferences();
+        // on stderr, like the storage's own messages: stdout may carry --json results
+        console.error(`🔗 Cross-references rebuilt (${count} references)`);
+        if (!id && !options.broken) return;
+    }
+
+    if (options.broken) {
+        const broken = await lawsStorage.getBrokenReferences();
+        if (options.json) {
+            process.stdout.write(JSON.stringify(broken, null, 2) + "\n");
+            return;
+        }
+        if (broken.length === 0) {
+            console.log("✅ No broken references");
+            return;
+        }
+        printReferences("Broken references", broken);
+        return;
+    }
+
+    const from = await lawsStorage.getReferencesFrom(id);
+    const to = await lawsStorage.getReferencesTo(id);
+    if (options.json) {
+        process.stdout.write(JSON.stringify({ id, cites: from, cited_by: to }, null, 2) + "\n");
+        return;
+    }
+
+    printReferences(`${id} cites`, from);
+    console.log(`\n${id} is cited by (${to.length})`);
+    for (const r of to) console.log(`      ${r.source_id}: "${r.matched_text}"`);
+}
+
+main()
+    .catch(err => {
+        console.error("❌ Reference report failed:", err.message);
+        process.exitCode = 1;
+    })
+    .finally(() => lawsStorage.closeDB());
@@ -0,0 +1,92 @@
+// searchLaws.js
+"use strict";
+
+const path = require("path");
+const lawsStorage = require(path.join(__dirname, "./lawsStorageSimple.js"));
+const dotenv = require("dotenv");
+dotenv.config({path: path.join(__dirname, ".env")});
+
+// ─────────────────────────────────────────────
+// Args
+// ─────────────────────────────────────────────
+const args = process.argv.slice(2);
+const options = {};
+const terms = [];
+
+for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === "--rebuild") options.rebuild = true;
+    else if (arg === "--json") options.json = true;
+    else if (arg === "--type") options.document_type = args[++i];
+    else if (arg === "--in") options.entity_types = (args[++i] || "").split(",").filter(Boolean);
+    else if (arg === "--ministry") options.ministry = args[++i];
+    else if (arg === "--from") options.effective_from = args[++i];
+    else if (arg === "--to") options.effective_to = args[++i];
+    else if (arg === "--limit") options.limit = Number(args[++i]);
+    else if (arg === "--offset") options.offset = Number(args[++i]);
+    else terms.push(arg);
+}
+
+const query = terms.join(" ");
+
+if (!query && !options.rebuild) {
+    console.log("❌ Invalid arguments.");
+    console.error(`Usage: node ${path.basename(__filename)} <query> [--type act|regulation] [--in chapter,section,clause]`);
+    console.error("         [--ministry <name>] [--from <date>] [--to <date>] [--limit N] [--offset N] [--json]");
+    console.error("--- OR ---");
+    console.error(`Usage: node ${path.basename(__filename)} --rebuild`);
+    process.exit(1);
+}
+if(!process.env.DB_PATH) {
+    console.error("❌ Environment variable DB_PATH is not set.");
+    console.log("⚠️ Env file must be present the working directory with DB_PATH defined.");
+    process.exit(1);
+}
+
+// ─────────────────────────────────────────────
+// Main
+// ─────────────────────────────────────────────
+async function main() {
+    await lawsStorage.initDB({ readOnly: !options.rebuild });
+
+    if (options.rebuild) {
+        const count = await lawsStorage.rebuildSearchIndex();
+        // on stderr, like the storage's own messages: stdout may carry --json results
+        console.error(`🔎 Search index rebuilt (${count} entries)`);
+        if (!query) return;
+    }
+
+    const results = await lawsStorage.searchLaws(query, {
+        document_type: options.document_type || null,
+        entity_types: options.entity_types || null,
+        ministry: options.ministry || null,
+        effective_from: options.effective_from || null,
+        effective_to: options.effective_to || null,
+        limit: options.limit || 20,
+        offset: options.offset || 0,
+    });
+
+    if (options.json) {
+        process.stdout.write(JSON.stringify(results, null, 2) + "\n");
+        return;
+    }
+
+    if (results.length === 0) {
+        console.log(`No results for: ${query}`);
+        return;
+    }
+
+    results.forEach((r, idx) => {
+        const owner = r.act_id ? `act ${r.act_id}` : `regulation ${r.regulation_id}`;
+        console.log(`\n${idx + 1}. [${r.entity_type}] ${r.entity_id} (${owner}) ${r.document_name || ""}`);
+        if (r.title) console.log(`   ${r.title}`);
+        console.log(`   ${r.snippet}`);
+    });
+}
+
+main()
+    .catch(err => {
+        console.error("❌ Search failed:", err.message);
+        process.exitCode = 1;
+    })
+    .finally(() => lawsStorage.closeDB());
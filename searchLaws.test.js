@@ -0,0 +1,55 @@
+// searchLaws.test.js
+"use strict";
+
+// node --test searchLaws.test.js
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "laws-search-"));
+process.env.DB_PATH = path.join(tmpDir, "laws.db");
+const lawsStorage = require(path.join(__dirname, "./lawsStorageSimple.js"));
+
+before(async () => {
+    await lawsStorage.initDB({ create: true });
+    await lawsStorage.addOrUpdateAct({ act_id: "a1", act_name: "พระราชบัญญัติทดสอบ พ.ศ. ๒๕๖๐" });
+    await lawsStorage.addOrUpdateChapterByAct({
+        chapter_id: "a1_ch01", chapter_title: "หมวด ๑ บทกำหนดโทษ", chapter_text: "", act_id: "a1",
+    });
+    await lawsStorage.addOrUpdateSection({
+        section_id: "a1_s1",
+        section_title: "มาตรา ๑",
+        section_text: "ผู้ใดฝ่าฝืนมาตรา ๕ ต้องระวางโทษจำคุกไม่เกินหนึ่งปี",
+        chapter_id: "a1_ch01",
+    });
+});
+
+after(async () => {
+    await lawsStorage.closeDB();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test("a term inside a segmented compound is found: จำคุก in โทษจำ|คุก", async () => {
+    const results = await lawsStorage.searchLaws("จำคุก");
+    assert.deepStrictEqual(results.map(r => r.entity_id), ["a1_s1"]);
+    assert.match(results[0].snippet, /จำคุก/);
+});
+
+test("whole words still match through the word index", async () => {
+    const results = await lawsStorage.searchLaws("ระวาง");
+    assert.deepStrictEqual(results.map(r => r.entity_id), ["a1_s1"]);
+});
+
+test("a term in no provision finds nothing", async () => {
+    assert.deepStrictEqual(await lawsStorage.searchLaws("ปรับ"), []);
+});
+
+test("the substring index follows re-indexing and deletion", async () => {
+    await lawsStorage.rebuildSearchIndex();
+    assert.strictEqual((await lawsStorage.searchLaws("จำคุก")).length, 1);
+    await lawsStorage.deleteSection("a1_s1", "2024-01-01");
+    assert.deepStrictEqual(await lawsStorage.searchLaws("จำคุก"), []);
+});
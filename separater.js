@@ -23,11 +23,12 @@ async function moveFile(src, dest) {
 }
 
 async function main() {
-    const dirPath = process.argv[2];
+    const dirPath = process.argv.slice(2).find(a => !a.startsWith("--"));
+    const dryRun = process.argv.includes("--dry-run");
 
     if (!dirPath) {
         console.error("❌ Invalid arguments.");
-        console.error(`Usage: node ${path.basename(__filename)} <directory-path>`);
+        console.error(`Usage: node ${path.basename(__filename)} <directory-path> [--dry-run]`);
         process.exit(1);
     }
 
@@ -69,15 +70,19 @@ async function main() {
                 targetDir = actsDir;
             }
 
-            await ensureDir(targetDir);
-
             const targetPath = path.join(targetDir, file);
 
+            if (dryRun) {
+                console.log(`Would move: ${file} → ${path.basename(targetDir)}/`);
+                continue;
+            }
+            await ensureDir(targetDir);
+
             console.log(`Moving: ${file} → ${path.basename(targetDir)}/`);
             await moveFile(fullPath, targetPath);
         }
 
-        console.log("✔ File organization complete");
+        console.log(dryRun ? "🔍 Dry run: no files moved" : "✔ File organization complete");
 
     } catch (err) {
         console.error("Error:", err.message);
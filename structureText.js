@@ -0,0 +1,166 @@
+#!/usr/bin/env node
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+
+const { parseLegalText } = require(path.join(__dirname, "./thaiLegalParser.js"));
+const { validateJsonDirectory, formatError } = require(path.join(__dirname, "./lawsSchemas.js"));
+
+const REPORT_FILE = "structure_report.json";
+
+/* --------------------------------------------------
+   Args
+-------------------------------------------------- */
+const args = process.argv.slice(2);
+const force = args.includes("--force");
+const typeIdx = args.indexOf("--type");
+const idIdx = args.indexOf("--id");
+const kindArg = typeIdx >= 0 ? args[typeIdx + 1] : null;
+const idArg = idIdx >= 0 ? args[idIdx + 1] : null;
+const optionValues = new Set([typeIdx, idIdx].filter(i => i >= 0).map(i => i + 1));
+const inputPath = args.find((a, i) => !a.startsWith("--") && !optionValues.has(i));
+
+/* --------------------------------------------------
+   Helpers
+-------------------------------------------------- */
+function documentIdFor(txtPath) {
+    return path.basename(txtPath, path.extname(txtPath)).trim().replace(/\s+/g, "_");
+}
+
+function documentNameFor(txtPath) {
+    const dir = path.dirname(txtPath);
+    const base = path.basename(txtPath, path.extname(txtPath));
+    const pdf = fs.readdirSync(dir).find(
+        f => path.extname(f).toLowerCase() === ".pdf" && path.basename(f, path.extname(f)) === base
+    );
+    return pdf || path.basename(txtPath);
+}
+
+async function writeJson(filePath, value) {
+    await fs.promises.writeFile(filePath, JSON.stringify(value, null, 2) + "\n");
+}
+
+/* --------------------------------------------------
+   Structure a single TXT → JSON files (same directory)
+   SKIPS if the JSON files already exist, unless --force
+-------------------------------------------------- */
+async function processSingleTxt(txtPath, { kind = null, documentId = null } = {}) {
+    const dir = path.dirname(txtPath);
+
+    const existing = ["act.json", "regulation.json"].find(f => fs.existsSync(path.join(dir, f)));
+    if (existing && !force) {
+        console.log(`Skipping (${existing} already exists, use --force to overwrite): ${dir}`);
+        return null;
+    }
+
+    console.log(`Structuring: ${txtPath}`);
+
+    const text = await fs.promises.readFile(txtPath, "utf8");
+    const parsed = parseLegalText(text, {
+        kind,
+        documentId: documentId || documentIdFor(txtPath),
+        documentName: documentNameFor(txtPath),
+    });
+
+    const child = parsed.kind === "act" ? "section" : "clause";
+    await writeJson(path.join(dir, `${parsed.kind}.json`), parsed.document);
+    await writeJson(path.join(dir, "chapters.json"), parsed.chapters);
+    await writeJson(path.join(dir, `${child}s.json`), parsed.provisions);
+
+    // the output must be ingestable as is; record anything that is not
+    const { errors } = await validateJsonDirectory(dir, parsed.kind);
+    const report = {
+        source: txtPath,
+        ...parsed.report,
+        validation_errors: errors.map(formatError),
+    };
+    await writeJson(path.join(dir, REPORT_FILE), report);
+
+    const { counts, issues } = parsed.report;
+    console.log(
+        `  ${parsed.kind}: ${counts.chapters} chapter(s), ${counts[`${child}s`]} ${child}(s), ` +
+        `${issues.length} issue(s), ${errors.length} validation error(s)`
+    );
+    issues.forEach(i => console.log(`   ⚠️ ${i.line ? `line ${i.line}: ` : ""}${i.reason}${i.text ? ` → ${i.text}` : ""}`));
+
+    console.log(`Saved → ${dir}`);
+    return report;
+}
+
+/* --------------------------------------------------
+   Structure a directory containing subdirectories
+   (each subdirectory has the TXT written by extractText.js)
+-------------------------------------------------- */
+async function processDirectory(dirPath) {
+    const dirents = await fs.promises.readdir(dirPath, { withFileTypes: true });
+    const summary = [];
+
+    for (const dirent of dirents) {
+        if (!dirent.isDirectory()) continue;
+
+        const subdirPath = path.join(dirPath, dirent.name);
+        const entries = await fs.promises.readdir(subdirPath);
+        const txtFile = entries.find(f => path.extname(f).toLowerCase() === ".txt");
+
+        if (!txtFile) {
+            console.warn(`No TXT found in: ${subdirPath}`);
+            continue;
+        }
+
+        const txtPath = path.join(subdirPath, txtFile);
+
+        try {
+            const report = await processSingleTxt(txtPath, { kind: kindArg });
+            if (report) summary.push({ dir: subdirPath, issues: report.issues.length });
+        } catch (err) {
+            console.error(`Failed structuring ${txtPath}: ${err.message}`);
+        }
+    }
+
+    const withIssues = summary.filter(s => s.issues > 0);
+    console.log(`✔ ${summary.length} document(s) structured, ${withIssues.length} with issues to review`);
+    withIssues.forEach(s => console.log(`  ${s.dir}: ${s.issues} issue(s), see ${REPORT_FILE}`));
+}
+
+/* --------------------------------------------------
+   MAIN (auto-detects file vs directory)
+-------------------------------------------------- */
+async function main() {
+    if (!inputPath || (kindArg && !["act", "regulation"].includes(kindArg))) {
+        console.error("❌ Invalid arguments.");
+        console.error("Usage:");
+        console.error(`  node ${path.basename(__filename)} /path/to/file.txt [--type act|regulation] [--id <id>] [--force]`);
+        console.error(`  node ${path.basename(__filename)} /path/to/directory [--type act|regulation] [--force]`);
+        process.exit(1);
+    }
+
+    const resolvedPath = path.resolve(inputPath);
+
+    if (!fs.existsSync(resolvedPath)) {
+        console.error(`Path not found: ${resolvedPath}`);
+        process.exit(1);
+    }
+
+    const stat = await fs.promises.stat(resolvedPath);
+
+    if (stat.isFile()) {
+        if (path.extname(resolvedPath).toLowerCase() !== ".txt") {
+            console.error("Input file must be a TXT produced by extractText.js");
+            process.exit(1);
+        }
+        await processSingleTxt(resolvedPath, { kind: kindArg, documentId: idArg });
+
+    } else if (stat.isDirectory()) {
+        await processDirectory(resolvedPath);
+
+    } else {
+        console.error("Unsupported input type");
+        process.exit(1);
+    }
+}
+
+main().catch(err => {
+    console.error("Fatal error:", err.message);
+    process.exit(1);
+});
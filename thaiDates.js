@@ -0,0 +1,173 @@
+// thaiDates.js
+"use strict";
+
+// Dates in Thai legislation are written in Thai digits and Buddhist-era years
+// ("๑ มกราคม พ.ศ. ๒๕๖๓"), and commencement is usually stated relative to the
+// Royal Gazette publication ("ให้ใช้บังคับตั้งแต่วันถัดจากวันประกาศใน
+// ราชกิจจานุเบกษาเป็นต้นไป"). These helpers turn both into ISO dates.
+
+const path = require("path");
+const { thaiDigitsToArabic } = require(path.join(__dirname, "./thaiText.js"));
+
+const THAI_MONTHS = [
+    ["มกราคม", "ม.ค."],
+    ["กุมภาพันธ์", "ก.พ."],
+    ["มีนาคม", "มี.ค."],
+    ["เมษายน", "เม.ย."],
+    ["พฤษภาคม", "พ.ค."],
+    ["มิถุนายน", "มิ.ย."],
+    ["กรกฎาคม", "ก.ค."],
+    ["สิงหาคม", "ส.ค."],
+    ["กันยายน", "ก.ย."],
+    ["ตุลาคม", "ต.ค."],
+    ["พฤศจิกายน", "พ.ย."],
+    ["ธันวาคม", "ธ.ค."],
+];
+
+const escapeRegExp = s => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// longest names first so "มีนาคม" is not read as "มี.ค." and so on
+const MONTH_NAMES = THAI_MONTHS
+    .flatMap(([full, abbr], i) => [[full, i + 1], [abbr, i + 1], [abbr.replace(/\./g, ""), i + 1]])
+    .sort((a, b) => b[0].length - a[0].length);
+
+const THAI_DATE = new RegExp(
+    "(\\d{1,2})\\s*(?:เดือน\\s*)?(" + MONTH_NAMES.map(([n]) => escapeRegExp(n)).join("|") + ")\\s*" +
+    "(?:(พ\\.\\s*ศ\\.|พุทธศักราช|ค\\.\\s*ศ\\.|คริสต์ศักราช)\\s*)?(\\d{2,4})"
+);
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+const NUMBER_WORDS = {
+    "ศูนย์": 0, "หนึ่ง": 1, "เอ็ด": 1, "สอง": 2, "ยี่": 2, "สาม": 3, "สี่": 4,
+    "ห้า": 5, "หก": 6, "เจ็ด": 7, "แปด": 8, "เก้า": 9,
+};
+const NUMBER_MULTIPLIERS = { "สิบ": 10, "ร้อย": 100, "พัน": 1000, "หมื่น": 10000, "แสน": 100000 };
+const NUMBER_TOKEN = new RegExp(Object.keys({ ...NUMBER_WORDS, ...NUMBER_MULTIPLIERS }).join("|"), "y");
+
+function pad(n) {
+    return String(n).padStart(2, "0");
+}
+
+function isoFromParts(year, month, day) {
+    const d = new Date(Date.UTC(year, month - 1, day));
+    if (d.getUTCFullYear() !== year || d.getUTCMonth() !== month - 1 || d.getUTCDate() !== day) return null;
+    return `${year}-${pad(month)}-${pad(day)}`;
+}
+
+// Until B.E. 2483 the Thai year began on 1 April, so January–March of those
+// years fall in the following Gregorian year.
+function buddhistYearToGregorian(year, month) {
+    return year - 543 + (year < 2484 && month <= 3 ? 1 : 0);
+}
+
+/**
+ * "สามสิบ" → 30, "หนึ่งร้อยแปดสิบ" → 180, "๙๐" / "90" → 90; null if not a number.
+ */
+function thaiNumberToInt(text) {
+    if (text == null) return null;
+    const s = thaiDigitsToArabic(String(text)).replace(/\s+/g, "");
+    if (/^\d+$/.test(s)) return Number(s);
+    if (!s) return null;
+
+    let total = 0;
+    let digit = null;
+    NUMBER_TOKEN.lastIndex = 0;
+    while (NUMBER_TOKEN.lastIndex < s.length) {
+        const m = NUMBER_TOKEN.exec(s);
+        if (!m) return null;
+        if (m[0] in NUMBER_MULTIPLIERS) {
+            total += (digit ?? 1) * NUMBER_MULTIPLIERS[m[0]];
+            digit = null;
+        } else {
+            digit = NUMBER_WORDS[m[0]];
+        }
+    }
+    return total + (digit ?? 0);
+}
+
+/**
+ * Finds the first full date in `text` and returns it as "YYYY-MM-DD".
+ * Accepts ISO dates, "๑ มกราคม พ.ศ. ๒๕๖๓", "1 ม.ค. 63" and "1 มกราคม ค.ศ. 2020".
+ * Years without an era are Buddhist when above 2400 and Gregorian otherwise;
+ * two-digit years are short Buddhist years (63 → 2563).
+ */
+function parseThaiDate(text) {
+    if (text == null) return null;
+    const s = thaiDigitsToArabic(String(text)).trim();
+    if (ISO_DATE.test(s)) return isoFromParts(...s.split("-").map(Number));
+
+    const m = THAI_DATE.exec(s);
+    if (!m) return null;
+
+    const day = Number(m[1]);
+    const month = MONTH_NAMES.find(([n]) => n === m[2])[1];
+    const era = (m[3] || "").replace(/\s+/g, "");
+    let year = Number(m[4]);
+
+    if (m[4].length === 2) year += 2500;
+    else if (m[4].length !== 4) return null;
+
+    const gregorian = era === "ค.ศ." || era === "คริสต์ศักราช" || (!era && year < 2400);
+    return isoFromParts(gregorian ? year : buddhistYearToGregorian(year, month), month, day);
+}
+
+function addToDate(iso, amount, unit) {
+    const [y, m, d] = iso.split("-").map(Number);
+    if (unit === "day") return new Date(Date.UTC(y, m - 1, d + amount)).toISOString().slice(0, 10);
+
+    const months = unit === "year" ? amount * 12 : amount;
+    const target = new Date(Date.UTC(y, m - 1 + months, 1));
+    // 31 January + 1 month is the last day of February, not 3 March
+    const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+    return isoFromParts(target.getUTCFullYear(), target.getUTCMonth() + 1, Math.min(d, lastDay));
+}
+
+const PERIOD_UNITS = { "วัน": "day", "เดือน": "month", "ปี": "year" };
+
+/**
+ * Normalizes an effective-date phrase. Returns { raw, iso, rule } where rule is
+ * how iso was obtained:
+ *
+ *   "date"                      - the phrase contains a full date
+ *   "publication_date"          - ตั้งแต่วันประกาศในราชกิจจานุเบกษา
+ *   "day_after_publication"     - ตั้งแต่วันถัดจากวันประกาศในราชกิจจานุเบกษา
+ *   "period_after_publication"  - เมื่อพ้นกำหนด N วัน/เดือน/ปี นับแต่วันประกาศ...
+ *
+ * Relative phrases need the publication date (ISO or Thai); without it, or for
+ * phrases not understood, iso and rule are null. A period "พ้นกำหนด" has
+ * elapsed on the day after it ends, so N days after publication on 1 January
+ * comes into force on 1 + N + 1.
+ */
+function normalizeEffectiveDate(raw, publicationDate = null) {
+    const result = { raw: raw ?? null, iso: null, rule: null };
+    if (raw == null || String(raw).trim() === "") return result;
+
+    const explicit = parseThaiDate(raw);
+    if (explicit) return { ...result, iso: explicit, rule: "date" };
+
+    const published = parseThaiDate(publicationDate);
+    const s = thaiDigitsToArabic(String(raw)).replace(/\s+/g, "");
+    let m;
+
+    if ((m = /พ้นกำหนด(.+?)(วัน|เดือน|ปี)นับ(?:แต่|จาก)วันประกาศ/.exec(s))) {
+        const amount = thaiNumberToInt(m[1]);
+        if (amount == null || !published) return result;
+        const end = addToDate(published, amount, PERIOD_UNITS[m[2]]);
+        return { ...result, iso: addToDate(end, 1, "day"), rule: "period_after_publication" };
+    }
+    if (/วันถัดจากวันประกาศ/.test(s)) {
+        return published ? { ...result, iso: addToDate(published, 1, "day"), rule: "day_after_publication" } : result;
+    }
+    if (/(?:ตั้งแต่|นับแต่|ใน)วันประกาศ/.test(s)) {
+        return published ? { ...result, iso: published, rule: "publication_date" } : result;
+    }
+    return result;
+}
+
+module.exports = {
+    THAI_MONTHS,
+    thaiNumberToInt,
+    parseThaiDate,
+    normalizeEffectiveDate,
+};
@@ -0,0 +1,372 @@
+// thaiLegalParser.js
+"use strict";
+
+// Turns the OCR text of a Thai act or regulation into the records that
+// ingestAct.js / ingestRegulation.js expect. The structure of Thai legislation
+// is regular enough to recover from headings alone:
+//
+//   title block   พระราชบัญญัติ... / กฎกระทรวง... up to the "พ.ศ. ...." line,
+//                 followed by the preamble (enacting formula, อาศัยอำนาจ...)
+//   หมวด N        chapter          ส่วนที่ N   part of the current chapter
+//   มาตรา N       section (acts)   ข้อ N       clause (regulations)
+//   บทเฉพาะกาล    transitional provisions
+//   ผู้รับสนองพระราชโองการ / ให้ไว้ ณ วันที่ ...   signature block
+//   หมายเหตุ      statement of reasons at the end of an act
+//
+// Parts have no table of their own, so each part becomes a chapter titled
+// "หมวด N ... ส่วนที่ M ...". Provisions that precede the first chapter, and
+// the preamble, go into an untitled chapter numbered 00.
+
+const path = require("path");
+const { thaiDigitsToArabic } = require(path.join(__dirname, "./thaiText.js"));
+const { parseThaiDate } = require(path.join(__dirname, "./thaiDates.js"));
+
+const ACT_TITLE = /^(พระราชบัญญัติ|พระราชกำหนด|ประมวลกฎหมาย)/;
+const REGULATION_TITLE = /^(กฎกระทรวง|พระราชกฤษฎีกา|ระเบียบ|ประกาศ|ข้อบังคับ|คำสั่ง)/;
+const TITLE_YEAR = /พ\.\s*ศ\.\s*[0-9๐-๙]{4}/;
+
+const CHAPTER = /^หมวด\s*([0-9๐-๙]+)\s*(.*)$/;
+const PART = /^ส่วนที่\s*([0-9๐-๙]+)\s*(.*)$/;
+const TRANSITIONAL = /^บทเฉพาะกาล\s*$/;
+const NUMBER = "([0-9๐-๙]+(?:\\s*/\\s*[0-9๐-๙]+)?)(?:\\s*(ทวิ|ตรี|จัตวา|เบญจ|ฉ|สัตต|อัฏฐ|นว|ทศ)(?![ก-๛]))?";
+const SECTION = new RegExp(`^(มาตรา\\s*${NUMBER})\\s*(.*)$`);
+const CLAUSE = new RegExp(`^(ข้อ\\s*${NUMBER})\\s*(.*)$`);
+const REMARK = /^หมายเหตุ\s*[:：]?\s*-?\s*(.*)$/;
+const SIGNATURE = /^(ผู้รับสนองพระราชโองการ|(ให้ไว้|ประกาศ|สั่ง)\s*ณ\s*วันที่)/;
+
+// running headers, page numbers and OCR page markers
+const NOISE = [
+    /^=+\s*PAGE\s+\d+\s*=+$/,
+    /^หน้า\s+[0-9๐-๙]+\s+เล่ม\s+[0-9๐-๙]+/,
+    /^เล่ม\s+[0-9๐-๙]+\s+ตอนที่/,
+    /^-\s*[0-9๐-๙]+\s*-$/,
+    /^[0-9๐-๙]+$/,
+];
+
+const SUFFIXES = ["", "ทวิ", "ตรี", "จัตวา", "เบญจ", "ฉ", "สัตต", "อัฏฐ", "นว", "ทศ"];
+const SUFFIX_IDS = ["", "bis", "ter", "quater", "quinquies", "sexies", "septies", "octies", "novies", "decies"];
+
+function parseNumber(raw, suffix) {
+    const [main, sub = "0"] = thaiDigitsToArabic(raw).replace(/\s+/g, "").split("/");
+    const rank = SUFFIXES.indexOf(suffix || "");
+    return {
+        // ทวิ/ตรี sort after the /N insertions of the same number
+        key: [Number(main), rank, Number(sub)],
+        id: `${main}${sub !== "0" ? `_${sub}` : ""}${rank > 0 ? `_${SUFFIX_IDS[rank]}` : ""}`,
+    };
+}
+
+function compareKeys(a, b) {
+    for (let i = 0; i < a.length; i++) if (a[i] !== b[i]) return a[i] - b[i];
+    return 0;
+}
+
+const PROVISION_ID = new RegExp(`_[sc](\\d+)(?:_(\\d+))?(?:_(${SUFFIX_IDS.slice(1).join("|")}))?$`);
+
+// a key that sorts section/clause ids in document order as parseNumber builds
+// them, where string order does not (act1_s10 < act1_s2, act1_s5_quater <
+// act1_s5_ter); numbers in other ids are padded so that they sort by value.
+// Stored as Sections/Clauses.sort_key so SQL can page in this order.
+function provisionSortKey(id) {
+    const m = PROVISION_ID.exec(id);
+    if (!m) return id.replace(/\d+/g, digits => digits.padStart(10, "0"));
+    const rank = SUFFIX_IDS.indexOf(m[3] || "");
+    return [m[1].padStart(6, "0"), String(rank).padStart(2, "0"), (m[2] || "0").padStart(4, "0")].join(".");
+}
+
+function compareProvisionIds(a, b) {
+    const keyA = provisionSortKey(a);
+    const keyB = provisionSortKey(b);
+    if (keyA !== keyB) return keyA < keyB ? -1 : 1;
+    return a < b ? -1 : a > b ? 1 : 0;
+}
+
+function pad(n) {
+    return String(n).padStart(2, "0");
+}
+
+function joinLines(lines) {
+    const text = lines.join("\n").trim();
+    return text || null;
+}
+
+function detectKind(title) {
+    if (ACT_TITLE.test(title)) return "act";
+    if (REGULATION_TITLE.test(title)) return "regulation";
+    return null;
+}
+
+// "ให้รัฐมนตรีว่าการกระทรวงการคลังรักษาการตามพระราชบัญญัตินี้" → "กระทรวงการคลัง"
+function detectMinistry(text) {
+    const m = /รัฐมนตรีว่าการ(กระทรวง[^\s]+?)(?:และ|รักษาการ|เป็นผู้|มีอำนาจ|ออก|\s|$)/.exec(text || "");
+    return m ? m[1] : null;
+}
+
+/**
+ * Parses OCR text into { kind, document, chapters, provisions, report }.
+ *
+ * options:
+ *   kind          - "act" or "regulation"; detected from the title when omitted
+ *   documentId    - act_id / regulation_id and prefix of all generated ids
+ *   documentName  - value for act_document_name / regulation_document_name
+ *
+ * document/chapters/provisions use the exact field names of act.json (or
+ * regulation.json), chapters.json and sections.json (or clauses.json).
+ * report.issues lists every line or heading the parser could not place.
+ */
+function parseLegalText(text, { kind = null, documentId, documentName = null } = {}) {
+    if (!documentId) throw new Error("parseLegalText requires documentId");
+
+    const issues = [];
+    const dropped = [];
+    const lines = String(text || "")
+        .replace(/\r\n/g, "\n")
+        .split("\n")
+        .map((raw, i) => ({ no: i + 1, text: raw.replace(/\s+/g, " ").trim() }))
+        .filter(l => l.text)
+        .filter(l => {
+            if (NOISE.some(re => re.test(l.text))) {
+                dropped.push(l);
+                return false;
+            }
+            return true;
+        });
+
+    // ── title block ─────────────────────────────
+    const titleIdx = lines.findIndex(l => ACT_TITLE.test(l.text) || REGULATION_TITLE.test(l.text));
+    let titleLines = [];
+    let cursor = 0;
+
+    if (titleIdx < 0) {
+        issues.push({ line: null, text: null, reason: "no act/regulation title found" });
+    } else {
+        for (const l of lines.slice(0, titleIdx)) {
+            issues.push({ line: l.no, text: l.text, reason: "text before the title" });
+        }
+        let end = titleIdx;
+        while (end < lines.length - 1 && end - titleIdx < 4 && !TITLE_YEAR.test(lines[end].text)) end++;
+        if (!TITLE_YEAR.test(lines[end].text)) end = titleIdx;
+        titleLines = lines.slice(titleIdx, end + 1);
+        cursor = end + 1;
+    }
+
+    const name = titleLines.map(l => l.text).join(" ") || null;
+    kind = kind || detectKind(name || "");
+    if (!kind) throw new Error("Cannot tell whether this is an act or a regulation; pass the kind explicitly");
+
+    const PROVISION = kind === "act" ? SECTION : CLAUSE;
+    const child = kind === "act" ? "section" : "clause";
+    const ownerKey = `${kind}_id`;
+
+    // ── body ───────────────────────────────────
+    const preamble = [];
+    const chapters = [];
+    const provisions = [];
+    const remark = [];
+    const signature = [];
+
+    let chapter = null;
+    let chapterNo = 0;
+    let partNo = 0;
+    let chapterTitle = null;
+    let awaitingName = null;
+    let provision = null;
+    let lastKey = null;
+    let mode = "preamble";
+
+    const openChapter = (id, title) => {
+        chapter = { id, title, textLines: [] };
+        chapters.push(chapter);
+        provision = null;
+    };
+
+    const ensureChapter = () => {
+        if (!chapter) openChapter(`${documentId}_ch00`, null);
+        return chapter;
+    };
+
+    for (const line of lines.slice(cursor)) {
+        const t = line.text;
+        let m;
+
+        if (mode === "signature" || mode === "remark") {
+            if (mode === "signature" && (m = REMARK.exec(t))) {
+                mode = "remark";
+                if (m[1]) remark.push(m[1]);
+            } else {
+                (mode === "remark" ? remark : signature).push(t);
+            }
+            continue;
+        }
+
+        if ((m = REMARK.exec(t))) {
+            mode = "remark";
+            if (m[1]) remark.push(m[1]);
+            continue;
+        }
+        // acts carry "ให้ไว้ ณ วันที่ ..." in the preamble, so only the body can end in a signature
+        if (mode === "body" && SIGNATURE.test(t)) {
+            mode = "signature";
+            signature.push(t);
+            continue;
+        }
+
+        if ((m = CHAPTER.exec(t))) {
+            chapterNo = Number(thaiDigitsToArabic(m[1]));
+            partNo = 0;
+            chapterTitle = t;
+            openChapter(`${documentId}_ch${pad(chapterNo)}`, t);
+            awaitingName = m[2] ? null : { chapter, isChapter: true };
+            mode = "body";
+            continue;
+        }
+        if ((m = PART.exec(t))) {
+            partNo = Number(thaiDigitsToArabic(m[1]));
+            const prefix = chapterTitle ? `${chapterTitle} ` : "";
+            openChapter(`${documentId}_ch${pad(chapterNo)}_p${pad(partNo)}`, `${prefix}${t}`);
+            awaitingName = m[2] ? null : { chapter, isChapter: false };
+            mode = "body";
+            continue;
+        }
+        if (TRANSITIONAL.test(t)) {
+            chapterTitle = null;
+            openChapter(`${documentId}_transitional`, t);
+            awaitingName = null;
+            mode = "body";
+            continue;
+        }
+
+        if ((m = PROVISION.exec(t))) {
+            const number = parseNumber(m[2], m[3]);
+            if (mode === "preamble" && number.key[0] !== 1) {
+                // the enacting formula cites sections ("...ซึ่งมาตรา ๒๖ ประกอบกับ...");
+                // the body always starts at provision 1
+            } else if (lastKey && compareKeys(number.key, lastKey) <= 0) {
+                // most often a cross-reference that OCR wrapped onto a new line
+                issues.push({ line: line.no, text: t, reason: `out-of-order ${child} heading kept as text` });
+            } else {
+                lastKey = number.key;
+                awaitingName = null;
+                provision = {
+                    id: `${documentId}_${kind === "act" ? "s" : "c"}${number.id}`,
+                    title: m[1].replace(/\s+/g, " "),
+                    textLines: m[4] ? [m[4]] : [],
+                    line: line.no,
+                    chapter: ensureChapter(),
+                };
+                if (provisions.some(p => p.id === provision.id)) {
+                    issues.push({ line: line.no, text: t, reason: `duplicate ${child} id ${provision.id}` });
+                }
+                provisions.push(provision);
+                mode = "body";
+                continue;
+            }
+        }
+
+        if (mode === "preamble") {
+            preamble.push(t);
+        } else if (awaitingName) {
+            // "หมวด ๑" on one line, its name on the next
+            awaitingName.chapter.title = `${awaitingName.chapter.title} ${t}`;
+            if (awaitingName.isChapter) chapterTitle = awaitingName.chapter.title;
+            awaitingName = null;
+        } else if (provision) {
+            provision.textLines.push(t);
+        } else if (chapter) {
+            chapter.textLines.push(t);
+        } else {
+            issues.push({ line: line.no, text: t, reason: "text outside any chapter or provision" });
+        }
+    }
+
+    if (preamble.length) {
+        const intro = chapters.find(c => c.id === `${documentId}_ch00`);
+        if (intro) intro.textLines.unshift(...preamble);
+        else chapters.unshift({ id: `${documentId}_ch00`, title: null, textLines: [...preamble] });
+    }
+
+    if (provisions.length === 0) {
+        issues.push({ line: null, text: null, reason: `no ${child} headings found` });
+    }
+    for (const c of chapters) {
+        // a หมวด whose provisions all sit in its ส่วนที่ parts is not empty
+        const inChapter = p => p.chapter === c || parentChapterId(p.chapter.id) === c.id;
+        if (!provisions.some(inChapter) && !c.textLines.length) {
+            issues.push({ line: null, text: c.title, reason: `chapter ${c.id} has no ${child}s` });
+        }
+    }
+    for (const p of provisions) {
+        if (!p.textLines.length) issues.push({ line: p.line, text: p.title, reason: `${child} ${p.id} has no text` });
+    }
+
+    // ── records ────────────────────────────────
+    // the running gazette header "... ราชกิจจานุเบกษา ๒๔ มกราคม ๒๕๖๐" carries the publication date
+    const gazetteHeader = dropped.find(l => /ราชกิจจานุเบกษา/.test(l.text) && parseThaiDate(l.text));
+    const commencement = provisions.slice(0, 4).find(p => /ใช้บังคับ/.test(p.textLines.join(" ")));
+    // regulations name the minister in the อาศัยอำนาจ preamble or under the signature
+    const allText = [...provisions.map(p => p.textLines.join(" ")), ...preamble, ...signature].join("\n");
+
+    const document = {
+        [ownerKey]: documentId,
+        [`${kind}_name`]: name,
+        [`${kind}_ministry`]: detectMinistry(allText),
+        [`${kind}_effective_date`]: commencement ? joinLines(commencement.textLines) : null,
+        [`${kind}_publication_date`]: gazetteHeader ? parseThaiDate(gazetteHeader.text) : null,
+        [`${kind}_document_name`]: documentName,
+        short_description: null,
+        long_description: joinLines(remark),
+    };
+
+    const chapterRecords = chapters.map(c => ({
+        chapter_id: c.id,
+        chapter_title: c.title,
+        chapter_text: joinLines(c.textLines),
+        chapter_summary: null,
+        [ownerKey]: documentId,
+    }));
+
+    const provisionRecords = provisions.map(p => ({
+        [`${child}_id`]: p.id,
+        [`${child}_title`]: p.title,
+        [`${child}_text`]: joinLines(p.textLines),
+        [`${child}_summary`]: null,
+        chapter_id: p.chapter.id,
+    }));
+
+    return {
+        kind,
+        document,
+        chapters: chapterRecords,
+        provisions: provisionRecords,
+        report: {
+            kind,
+            title: name,
+            counts: {
+                lines: lines.length + dropped.length,
+                dropped_noise_lines: dropped.length,
+                chapters: chapterRecords.length,
+                [`${child}s`]: provisionRecords.length,
+            },
+            preamble: joinLines(preamble),
+            signature: joinLines(signature),
+            issues,
+        },
+    };
+}
+
+// ส่วนที่ (parts) are stored as chapters with ids <document>_chNN_pNN;
+// the id of the chapter they belong to, null for a chapter itself
+function parentChapterId(chapterId) {
+    const parent = String(chapterId).replace(/_p\d+$/, "");
+    return parent === chapterId ? null : parent;
+}
+
+module.exports = {
+    NUMBER,
+    parseNumber,
+    parseLegalText,
+    detectKind,
+    parentChapterId,
+    provisionSortKey,
+    compareProvisionIds,
+};
@@ -8,29 +8,48 @@ const fsp = fs.promises;
 const path = require("path");
 const crypto = require("crypto");
 const { exec } = require("child_process");
-const { DocumentProcessorServiceClient } = require("@google-cloud/documentai");
 const sharp = require("sharp");
+const { createOcrEngine, recognizeWithRetry, DEFAULT_ENGINE } = require(path.join(__dirname, "./ocrEngines.js"));
+const { assessTextLayer, measureThaiText } = require(path.join(__dirname, "./thaiText.js"));
+const { LAYOUT_FORMAT, layoutFromMutoolStext } = require(path.join(__dirname, "./ocrLayout.js"));
+const { preprocessSettings, preprocessImage, activeSteps } = require(path.join(__dirname, "./imagePreprocess.js"));
 
 /* ======================================================
    Configuration
    ====================================================== */
 const confPath = path.join(__dirname, "conf", "thaiocr.json");
-const conf = require(confPath);
+// optional: without it the defaults below apply (enough for the tesseract engine)
+const conf = fs.existsSync(confPath) ? require(confPath) : {};
 
+const OCR_ENGINE = process.env.OCR_ENGINE || conf.ocr_engine || DEFAULT_ENGINE;
 const KEYFILE = process.env.GOOGLE_APPLICATION_CREDENTIALS || confPath;
 const PROCESSOR = process.env.DOC_AI_PROCESSOR || conf.processor;
-const DPI = Number(process.env.DPI || conf.dpi);
-const SHARP = process.env.SHARP || conf.sharp;
-const MEDIAN = Number(process.env.MEDIAN || conf.median);
-const UNGAMMA = process.env.UNGAMMA || conf.ungamma;
-const TARGET_WIDTH = Number(process.env.TARGET_WIDTH || conf.target_width);
+const TESSERACT_PATH = process.env.TESSERACT_PATH || conf.tesseract_path || "tesseract";
+const TESSERACT_LANG = process.env.TESSERACT_LANG || conf.tesseract_lang || "tha+eng";
+const TESSERACT_PSM = process.env.TESSERACT_PSM || conf.tesseract_psm || null;
+// "auto": use a page's embedded text when it is usable, OCR the rest; "off": OCR every page
+const TEXT_LAYER = process.env.TEXT_LAYER || conf.text_layer || "auto";
+const DPI = Number(process.env.DPI || conf.dpi || 450);
+// page image preprocessing chain, see imagePreprocess.js for the steps and their settings
+const PREPROCESS = preprocessSettings(Object.fromEntries(
+    ["preprocess", "target_width", "contrast_stretch", "median", "sharp", "ungamma",
+        "deskew", "adaptive_window", "adaptive_bias", "despeckle", "morph_close"]
+        .map(key => [key, process.env[key.toUpperCase()] ?? conf[key]])
+        .filter(([, value]) => value !== undefined)
+));
+const MAX_RETRIES = Number(process.env.MAX_RETRIES ?? conf.max_retries ?? 3);
+const RETRY_DELAY_MS = Number(process.env.RETRY_DELAY_MS || conf.retry_delay_ms || 2000);
+// MB per page image sent to the engine (Document AI rejects larger inline documents)
+const MAX_FILE_SIZE = Number(process.env.MAX_FILE_SIZE || conf.max_file_size || 20);
+// enhanced page images and OCR results survive between runs here; "off" keeps them per run only
+const CACHE_DIR = process.env.OCR_CACHE_DIR || conf.cache_dir || path.join(__dirname, "ocr_cache");
 
 const CONCURRENCY_IMAGE_ENHANCEMENT =
-    Number(process.env.CONCURRENCY_IMAGE_ENHANCEMENT || conf.concurrency_image_enhancement);
+    Number(process.env.CONCURRENCY_IMAGE_ENHANCEMENT || conf.concurrency_image_enhancement || 2);
 const CONCURRENCY_GOOGLE_OCR =
-    Number(process.env.CONCURRENCY_GOOGLE_OCR || conf.concurrency_google_ocr);
+    Number(process.env.CONCURRENCY_GOOGLE_OCR || conf.concurrency_google_ocr || 3);
 const CONCURRENCY_PDF_CONVERSION =
-    Number(process.env.CONCURRENCY_PDF_CONVERSION || conf.concurrency_pdf_conversion);
+    Number(process.env.CONCURRENCY_PDF_CONVERSION || conf.concurrency_pdf_conversion || 4);
 
 /* ======================================================
    Simple Logger (preserves semantics)
@@ -70,14 +89,15 @@ function createConcurrencyLimiter(max) {
 }
 
 /* ======================================================
-   Init Google Document AI
+   OCR Engine (credentials / binaries checked on first use)
    ====================================================== */
-let documentAiClient;
-(async () => {
-    if (!await mexists(KEYFILE))
-        throw new Error(`Credentials not found: ${KEYFILE}`);
-    documentAiClient = new DocumentProcessorServiceClient({ keyFilename: KEYFILE });
-})();
+const ocrEngine = createOcrEngine(OCR_ENGINE, {
+    keyFile: KEYFILE,
+    processor: PROCESSOR,
+    binary: TESSERACT_PATH,
+    lang: TESSERACT_LANG,
+    psm: TESSERACT_PSM
+});
 
 /* ======================================================
    Utilities
@@ -109,143 +129,419 @@ async function _getPdfPageCount(pdf) {
     return n;
 }
 
-async function _convertPdfToPngImages(pdf, outDir, dpi) {
-    LOG.info(`Converting PDF to PNG @ ${dpi} DPI using mutool (parallel)...`);
+// converts only `pageNumbers` (1-based); returns their PNG paths in the same order,
+// null (after calling onPageError) for pages mutool could not render
+async function _convertPdfToPngImages(pdf, outDir, dpi, pageNumbers, onPageError) {
+    LOG.info(`Converting ${pageNumbers.length} page(s) to PNG @ ${dpi} DPI using mutool (parallel)...`);
     await mmkdir(outDir, { recursive: true });
 
-    const pageCount = await _getPdfPageCount(pdf);
-    LOG.info(`PDF has ${pageCount} page(s)`);
     LOG.info(`Converting pages with concurrency limit: ${CONCURRENCY_PDF_CONVERSION}`);
 
     const limiter = createConcurrencyLimiter(CONCURRENCY_PDF_CONVERSION);
+    const files = pageNumbers.map(pageNum => path.join(outDir, `page-${pageNum}.png`));
 
     await Promise.all(
-        Array.from({ length: pageCount }, (_, i) =>
+        pageNumbers.map((pageNum, i) =>
             limiter(async () => {
-                const pageNum = i + 1;
-                await execp(
-                    `mutool draw -o "${outDir}/page-${pageNum}.png" -r ${dpi} -F png "${pdf}" ${pageNum}`,
-                    `Convert page ${pageNum}`
-                );
-                LOG.info(`  Page ${pageNum}/${pageCount} converted`);
+                try {
+                    await execp(
+                        `mutool draw -o "${files[i]}" -r ${dpi} -F png "${pdf}" ${pageNum}`,
+                        `Convert page ${pageNum}`
+                    );
+                    LOG.info(`  Page ${pageNum} converted`);
+                } catch (e) {
+                    files[i] = null;
+                    onPageError(pageNum, "render", e);
+                }
             })
         )
     );
 
-    const files = (await mdir(outDir))
-        .filter(f => f.endsWith(".png"))
-        .sort((a, b) => a.match(/\d+/)[0] - b.match(/\d+/)[0])
-        .map(f => path.join(outDir, f));
-
     let totalSize = 0;
-    for (const f of files) totalSize += (await mstat(f)).size;
+    for (const f of files) if (f) totalSize += (await mstat(f)).size;
 
     LOG.info(
-        `Generated ${files.length} page(s) | Total: ${(totalSize / 1024 / 1024).toFixed(2)} MB`
+        `Generated ${files.filter(Boolean).length} page(s) | Total: ${(totalSize / 1024 / 1024).toFixed(2)} MB`
     );
 
     return files;
 }
 
 /* ======================================================
-   Image Enhancement
+   Image → PNG (photos, scans, multi-page TIFF)
+   ====================================================== */
+const IMAGE_EXTENSIONS = [".png", ".jpg", ".jpeg", ".tif", ".tiff", ".webp"];
+
+const isImageFile = fileName => IMAGE_EXTENSIONS.includes(path.extname(fileName).toLowerCase());
+
+// TIFF (and other multi-frame formats) report their frames as pages
+async function _getImagePageCount(image) {
+    const { pages } = await sharp(image).metadata();
+    return pages || 1;
+}
+
+// one PNG per requested frame, same contract as _convertPdfToPngImages;
+// photos are turned upright from their EXIF orientation
+async function _convertImageToPngImages(image, outDir, pageNumbers, onPageError) {
+    LOG.info(`Extracting ${pageNumbers.length} page(s) from image...`);
+    await mmkdir(outDir, { recursive: true });
+
+    const limiter = createConcurrencyLimiter(CONCURRENCY_PDF_CONVERSION);
+    const files = pageNumbers.map(pageNum => path.join(outDir, `page-${pageNum}.png`));
+
+    await Promise.all(
+        pageNumbers.map((pageNum, i) =>
+            limiter(async () => {
+                try {
+                    await sharp(image, { page: pageNum - 1 }).rotate().png().toFile(files[i]);
+                    LOG.info(`  Page ${pageNum} extracted`);
+                } catch (e) {
+                    files[i] = null;
+                    onPageError(pageNum, "render", e);
+                }
+            })
+        )
+    );
+    return files;
+}
+
+/* ======================================================
+   PDF Text Layer
    ====================================================== */
-async function _enhanceImageUsingSharp(input, output) {
-    const buf = await mread(input);
-    const sigma = parseFloat(SHARP.split("x")[1]) || 1.0;
-
-    const out = await sharp(buf, { sequentialRead: true })
-        .grayscale()
-        .resize(TARGET_WIDTH, null, { fit: "inside", kernel: "lanczos3" })
-        .normalize()
-        .median(MEDIAN || 0)
-        .sharpen({ sigma })
-        .gamma(parseFloat(UNGAMMA) || 1.0)
-        .threshold(128)
-        .png({ compressionLevel: 6 })
-        .toBuffer();
+async function _extractPdfTextLayer(pdf, pageNum) {
+    return execp(`mutool draw -F txt "${pdf}" ${pageNum}`, `Extract text of page ${pageNum}`);
+}
+
+// page texts (null where the page needs OCR), decided page by page
+async function _readUsableTextLayer(pdf, pageCount) {
+    const texts = new Array(pageCount).fill(null);
+    if (TEXT_LAYER === "off") return texts;
+
+    const limiter = createConcurrencyLimiter(CONCURRENCY_PDF_CONVERSION);
+    await Promise.all(
+        texts.map((_, i) =>
+            limiter(async () => {
+                const pageNum = i + 1;
+                let text = "";
+                try { text = await _extractPdfTextLayer(pdf, pageNum); }
+                catch (e) { LOG.error(`  [Page ${pageNum}] Text layer unreadable: ${e.message}`); }
+
+                const quality = assessTextLayer(text);
+                if (quality.usable) texts[i] = _normalizeExtractedText(text);
+                LOG.info(`  [Page ${pageNum}/${pageCount}] ${quality.usable ? "Text layer used ✓" : `OCR needed (${quality.reason})`}`);
+            })
+        )
+    );
+    return texts;
+}
 
+async function _extractPdfTextLayout(pdf, pageNum) {
+    const xml = await execp(`mutool draw -F stext "${pdf}" ${pageNum}`, `Extract layout of page ${pageNum}`);
+    return layoutFromMutoolStext(xml);
+}
+
+/* ======================================================
+   Image Enhancement
+   ====================================================== */
+async function _enhanceImageUsingSharp(input, output, { onStep = null } = {}) {
+    const out = await preprocessImage(await mread(input), PREPROCESS, { onStep });
     await mwrite(output, out);
     await maccess(output, fs.constants.R_OK);
 }
 
+const MIN_DOWNSCALE_WIDTH = 1000;
+
+// when the preprocessing chain has binarized the page, a 2-colour palette PNG
+// loses nothing; otherwise the page keeps its grey levels in a 256-colour
+// palette, as binarizing here would bring back the fixed global threshold the
+// chain is configured without. Only if that is still too big is the page scaled down.
+async function _fitImageToSizeLimit(image, output) {
+    const limit = MAX_FILE_SIZE * 1024 * 1024;
+    const size = (await mstat(image)).size;
+    if (size <= limit) return image;
+
+    const binarized = PREPROCESS.steps.includes("threshold");
+    const encode = width => {
+        const resized = sharp(image).resize(width, null, { kernel: "lanczos3" });
+        // resampling greys the edges of a black-and-white page; snap them back
+        return (binarized ? resized.threshold(128) : resized.greyscale())
+            .png({ palette: true, colours: binarized ? 2 : 256, compressionLevel: 9 })
+            .toBuffer();
+    };
+
+    let width = (await sharp(image).metadata()).width;
+    let buf = await encode(width);
+    while (buf.length > limit) {
+        width = Math.round(width * 0.8);
+        if (width < MIN_DOWNSCALE_WIDTH) {
+            throw new Error(`Page image exceeds ${MAX_FILE_SIZE} MB even at ${MIN_DOWNSCALE_WIDTH}px wide`);
+        }
+        buf = await encode(width);
+    }
+
+    LOG.info(
+        `  ${path.basename(image)}: ${(size / 1024 / 1024).toFixed(2)} MB → ` +
+        `${(buf.length / 1024 / 1024).toFixed(2)} MB (${width}px wide) to fit max_file_size`
+    );
+    await mwrite(output, buf);
+    return output;
+}
+
 /* ======================================================
-   OCR
+   Page Quality
    ====================================================== */
-async function _performDocumentAiOcrOnImage(image) {
-    const bytes = await mread(image);
-    const [res] = await documentAiClient.processDocument({
-        name: PROCESSOR,
-        rawDocument: {
-            content: bytes.toString("base64"),
-            mimeType: "image/png"
-        }
-    });
-    return res.document;
+const LOW_CONFIDENCE = 0.6;
+const WORST_PAGES = 5;
+
+const _round = n => (n === null ? null : Math.round(n * 1000) / 1000);
+
+function _summarizeConfidences(confidences = []) {
+    if (!confidences.length) return { confidence_mean: null, confidence_min: null, words: 0, low_confidence_words: 0 };
+    return {
+        confidence_mean: _round(confidences.reduce((a, b) => a + b, 0) / confidences.length),
+        confidence_min: _round(Math.min(...confidences)),
+        words: confidences.length,
+        low_confidence_words: confidences.filter(c => c < LOW_CONFIDENCE).length
+    };
+}
+
+// score 0..1 used to rank pages for manual review (lower is worse)
+function _pageQuality(page, source, text, confidence = _summarizeConfidences()) {
+    const stats = measureThaiText(text);
+    const empty = stats.chars === 0;
+    const score = empty ? 0
+        : (confidence.confidence_mean ?? 1) * (1 - stats.suspicious_ratio) * (1 - stats.orphan_mark_ratio);
+    return {
+        page,
+        source,
+        empty,
+        chars: stats.chars,
+        ...confidence,
+        suspicious_ratio: _round(stats.suspicious_ratio),
+        orphan_mark_ratio: _round(stats.orphan_mark_ratio),
+        score: _round(score)
+    };
+}
+
+function _failedPageQuality(failure) {
+    return {
+        ..._pageQuality(failure.page, "failed", ""),
+        error: failure.error,
+        failed_stage: failure.stage,
+        transient: failure.transient,
+        attempts: failure.attempts
+    };
+}
+
+function _documentQuality(pages) {
+    const ocrPages = pages.filter(p => p.confidence_mean !== null);
+    const words = ocrPages.reduce((a, p) => a + p.words, 0);
+    return {
+        engine: ocrEngine.name,
+        pages: pages.length,
+        text_layer_pages: pages.filter(p => p.source === "text_layer").length,
+        ocr_pages: pages.filter(p => p.source !== "text_layer").length,
+        empty_pages: pages.filter(p => p.empty).map(p => p.page),
+        failed_pages: pages.filter(p => p.source === "failed").map(p => p.page),
+        // word-weighted, so a nearly empty page does not skew the document figure
+        confidence_mean: words ? _round(ocrPages.reduce((a, p) => a + p.confidence_mean * p.words, 0) / words) : null,
+        confidence_min: ocrPages.length ? Math.min(...ocrPages.map(p => p.confidence_min)) : null,
+        low_confidence_words: ocrPages.reduce((a, p) => a + p.low_confidence_words, 0),
+        worst_pages: [...pages].sort((a, b) => a.score - b.score).slice(0, WORST_PAGES).map(p => p.page),
+        page_details: pages
+    };
+}
+
+/* ======================================================
+   Page Cache (content-addressed)
+   ======================================================
+   enhance key = input hash + page + DPI (PDF only) + the enhancement
+                 steps that run, with their settings
+   ocr key     = enhance key + engine settings
+   so a new engine reuses the enhanced images, and a new enhancement
+   setting re-renders and re-OCRs pages without touching the PDF's
+   other cache entries. Rendered (unenhanced) pages are too large to
+   keep and stay in the per-run session directory. */
+const _hashOf = data => crypto.createHash("sha256").update(data).digest("hex");
+
+function _pageCacheKeys(inputHash, pageNum, dpi) {
+    const enhance = _hashOf(JSON.stringify({
+        pdf: inputHash, page: pageNum, dpi, preprocess: activeSteps(PREPROCESS)
+    }));
+    const ocr = _hashOf(JSON.stringify({ enhance, engine: ocrEngine.settings }));
+    return { enhance, ocr };
+}
+
+const _cachePath = (cacheDir, key, ext) => path.join(cacheDir, key.slice(0, 2), `${key}${ext}`);
+
+// write-then-rename, so an interrupted run never leaves a truncated entry behind
+async function _cachePut(cacheDir, key, ext, data) {
+    const file = _cachePath(cacheDir, key, ext);
+    const tmp = `${file}.${process.pid}.${crypto.randomBytes(4).toString("hex")}.tmp`;
+    await mmkdir(path.dirname(file), { recursive: true });
+    await mwrite(tmp, data);
+    await fsp.rename(tmp, file);
+    return file;
+}
+
+async function _cacheGetJson(cacheDir, key) {
+    try { return JSON.parse(await mread(_cachePath(cacheDir, key, ".json"))); }
+    catch { return null; }
 }
 
 /* ======================================================
    MAIN PIPELINE (RACE-SAFE + LOGGED)
    ====================================================== */
-async function _runOcrProcessingPipeline(pdfBuffer, includeMarkers) {
+// inputType "pdf" or "image" (PNG/JPEG/TIFF/WebP, every TIFF frame a page);
+// images have no text layer, so all their pages go through enhancement and OCR
+async function _runOcrProcessingPipeline(inputBuffer, includeMarkers, { layout = false, inputType = "pdf" } = {}) {
+    const isPdf = inputType === "pdf";
     const sessionId = crypto.randomBytes(8).toString("hex");
     const session = path.join(os.tmpdir(), `ocr-${sessionId}`);
-    const pdfPath = path.join(session, "input.pdf");
+    const inputPath = path.join(session, isPdf ? "input.pdf" : "input.img");
     const pagesDir = path.join(session, "pages");
-    const enhancedDir = path.join(session, "ocr_best");
+    const cacheDir = CACHE_DIR === "off" ? path.join(session, "cache") : CACHE_DIR;
+    const inputHash = _hashOf(inputBuffer);
 
     try {
         await mmkdir(pagesDir, { recursive: true });
-        await mmkdir(enhancedDir, { recursive: true });
-        await mwrite(pdfPath, pdfBuffer);
+        await mwrite(inputPath, inputBuffer);
+
+        LOG.info(`Temporary ${isPdf ? "PDF" : "image"} created\n`);
+
+        const totalPages = isPdf ? await _getPdfPageCount(inputPath) : await _getImagePageCount(inputPath);
+        LOG.info(`${isPdf ? "PDF" : "Image"} has ${totalPages} page(s)`);
+
+        // born-digital pages already carry exact text; only the rest is rasterised
+        const pageResults = isPdf ? await _readUsableTextLayer(inputPath, totalPages) : new Array(totalPages).fill(null);
+        const pageQuality = pageResults.map((t, i) => t === null ? null : _pageQuality(i + 1, "text_layer", t));
+        const pageLayouts = new Array(totalPages).fill(null);
+        const ocrPages = pageResults.flatMap((t, i) => t === null ? [i + 1] : []);
+        LOG.info(`Text layer: ${totalPages - ocrPages.length} page(s), OCR: ${ocrPages.length} page(s)\n`);
+
+        // resume: pages OCR'd by an earlier run (same settings) are taken from the cache
+        const keys = new Map(ocrPages.map(n => [n, _pageCacheKeys(inputHash, n, isPdf ? DPI : null)]));
+        const pendingOcr = [];
+        for (const pageNum of ocrPages) {
+            const cached = await _cacheGetJson(cacheDir, keys.get(pageNum).ocr);
+            // entries written before layout was kept are OCR'd again when layout is asked for
+            if (cached && (!layout || cached.layout)) {
+                pageLayouts[pageNum - 1] = cached.layout || null;
+                pageResults[pageNum - 1] = cached.text;
+                pageQuality[pageNum - 1] = _pageQuality(pageNum, "ocr_cache", cached.text, cached.confidence);
+            } else {
+                pendingOcr.push(pageNum);
+            }
+        }
+        const pendingEnhance = [];
+        for (const pageNum of pendingOcr) {
+            if (!await mexists(_cachePath(cacheDir, keys.get(pageNum).enhance, ".png"))) pendingEnhance.push(pageNum);
+        }
+        LOG.info(
+            `Cache (${cacheDir}): ${ocrPages.length - pendingOcr.length} page(s) already OCR'd, ` +
+            `${pendingOcr.length - pendingEnhance.length} enhanced image(s) reused\n`
+        );
 
-        LOG.info("Temporary PDF created\n");
+        // a page that fails is recorded and left empty; the rest of the document carries on
+        const failures = new Map();
+        const failPage = (pageNum, stage, e) => {
+            failures.set(pageNum, {
+                page: pageNum,
+                stage,
+                error: e.message,
+                transient: Boolean(e.transient),
+                attempts: e.attempts || 1
+            });
+            LOG.error(`  [Page ${pageNum}/${totalPages}] ${stage} failed: ${e.message}`);
+        };
 
-        const pageImages = await _convertPdfToPngImages(pdfPath, pagesDir, DPI);
-        const totalPages = pageImages.length;
+        const pageImages = !pendingEnhance.length ? []
+            : isPdf ? await _convertPdfToPngImages(inputPath, pagesDir, DPI, pendingEnhance, failPage)
+            : await _convertImageToPngImages(inputPath, pagesDir, pendingEnhance, failPage);
 
         LOG.info("\nStarting true pipeline processing...");
         LOG.info(
-            `Concurrency limits: Enhancement=${CONCURRENCY_IMAGE_ENHANCEMENT}, OCR=${CONCURRENCY_GOOGLE_OCR}\n`
+            `Concurrency limits: Enhancement=${CONCURRENCY_IMAGE_ENHANCEMENT}, OCR=${CONCURRENCY_GOOGLE_OCR} (${ocrEngine.name})\n`
         );
 
         const enhanceLimiter = createConcurrencyLimiter(CONCURRENCY_IMAGE_ENHANCEMENT);
         const ocrLimiter = createConcurrencyLimiter(CONCURRENCY_GOOGLE_OCR);
 
-        const pageResults = new Array(totalPages);
-
-        // ✅ Per-page promises (race-safe)
-        const enhancedPromises = Array.from({ length: totalPages }, () => {
+        // ✅ Per-page promises (race-safe); cached enhanced images resolve at once,
+        // pages that failed to render or enhance resolve to null
+        const enhancedPromises = new Map(pendingOcr.map(pageNum => {
             let resolve;
             const promise = new Promise(r => resolve = r);
-            return { promise, resolve };
-        });
+            if (!pendingEnhance.includes(pageNum)) resolve(_cachePath(cacheDir, keys.get(pageNum).enhance, ".png"));
+            return [pageNum, { promise, resolve }];
+        }));
 
         const enhanceTasks = pageImages.map((img, i) =>
             enhanceLimiter(async () => {
-                const pageNum = i + 1;
-                const out = path.join(enhancedDir, `page-${pageNum}-ocr-best.png`);
-                LOG.info(`  [Page ${pageNum}/${totalPages}] Enhancing ${path.basename(img)}`);
-                await _enhanceImageUsingSharp(img, out);
-                LOG.info(`  [Page ${pageNum}/${totalPages}] Enhancement complete`);
-                enhancedPromises[i].resolve(out);
+                const pageNum = pendingEnhance[i];
+                if (!img) return enhancedPromises.get(pageNum).resolve(null);
+                try {
+                    const out = path.join(pagesDir, `page-${pageNum}-ocr-best.png`);
+                    LOG.info(`  [Page ${pageNum}/${totalPages}] Enhancing ${path.basename(img)}`);
+                    await _enhanceImageUsingSharp(img, out);
+                    const cached = await _cachePut(cacheDir, keys.get(pageNum).enhance, ".png", await mread(out));
+                    LOG.info(`  [Page ${pageNum}/${totalPages}] Enhancement complete`);
+                    enhancedPromises.get(pageNum).resolve(cached);
+                } catch (e) {
+                    failPage(pageNum, "enhance", e);
+                    enhancedPromises.get(pageNum).resolve(null);
+                }
             })
         );
 
-        const ocrTasks = pageImages.map((_, i) =>
+        const ocrTasks = pendingOcr.map(pageNum =>
             ocrLimiter(async () => {
-                const pageNum = i + 1;
-                const enhanced = await enhancedPromises[i].promise;
-                LOG.info(`  [Page ${pageNum}/${totalPages}] Starting OCR`);
-                const doc = await _performDocumentAiOcrOnImage(enhanced);
+                const enhanced = await enhancedPromises.get(pageNum).promise;
+                if (!enhanced) return;
+
+                let res;
+                try {
+                    const upload = await _fitImageToSizeLimit(enhanced, path.join(pagesDir, `page-${pageNum}-upload.png`));
+                    LOG.info(`  [Page ${pageNum}/${totalPages}] Starting OCR`);
+                    res = await recognizeWithRetry(ocrEngine, upload, {
+                        maxRetries: MAX_RETRIES,
+                        retryDelayMs: RETRY_DELAY_MS,
+                        onRetry: (e, attempt, delay) => LOG.error(
+                            `  [Page ${pageNum}/${totalPages}] OCR attempt ${attempt} failed (${e.message}), retrying in ${delay} ms`
+                        )
+                    });
+                } catch (e) {
+                    return failPage(pageNum, "ocr", e);
+                }
                 LOG.info(`  [Page ${pageNum}/${totalPages}] OCR complete ✓`);
-                pageResults[i] = _normalizeExtractedText(doc.text || "");
+                const entry = {
+                    text: _normalizeExtractedText(res.text),
+                    confidence: _summarizeConfidences(res.confidences),
+                    layout: res.layout || null
+                };
+                pageResults[pageNum - 1] = entry.text;
+                pageLayouts[pageNum - 1] = entry.layout;
+                pageQuality[pageNum - 1] = _pageQuality(pageNum, "ocr", entry.text, entry.confidence);
+                await _cachePut(cacheDir, keys.get(pageNum).ocr, ".json", JSON.stringify(entry));
             })
         );
 
         await Promise.all([...enhanceTasks, ...ocrTasks]);
 
-        LOG.info("\nAll pages processed (true pipeline) ✓\n");
+        for (const failure of failures.values()) {
+            pageResults[failure.page - 1] = "";
+            pageQuality[failure.page - 1] = _failedPageQuality(failure);
+        }
+
+        LOG.info(failures.size
+            ? `\nAll pages processed, ${failures.size} failed: ${[...failures.keys()].sort((a, b) => a - b).join(", ")} ✗\n`
+            : "\nAll pages processed (true pipeline) ✓\n");
+
+        if (layout) {
+            for (let i = 0; i < totalPages; i++) {
+                if (pageQuality[i].source === "text_layer") pageLayouts[i] = await _extractPdfTextLayout(inputPath, i + 1);
+            }
+        }
 
         let text = "";
         for (let i = 0; i < pageResults.length; i++) {
@@ -264,7 +560,17 @@ async function _runOcrProcessingPipeline(pdfBuffer, includeMarkers) {
             success: true,
             text: text.trim(),
             pages: pageResults.length,
-            length: text.trim().length
+            length: text.trim().length,
+            quality: _documentQuality(pageQuality),
+            layout: layout ? {
+                format: LAYOUT_FORMAT,
+                engine: ocrEngine.name,
+                pages: pageLayouts.map((l, i) => ({
+                    page: i + 1,
+                    source: pageQuality[i].source,
+                    ...(l || { blocks: [], tables: [] })
+                }))
+            } : null
         };
 
     } catch (e) {
@@ -274,6 +580,41 @@ async function _runOcrProcessingPipeline(pdfBuffer, includeMarkers) {
     }
 }
 
+/* ======================================================
+   Preprocessing Tuning
+   ====================================================== */
+// Runs the preprocessing chain on one page of a PDF or image (TIFF frame) and
+// writes every intermediate image to outDir as NN-<step>.png. Returns
+// [{ step, file, info }], info carrying e.g. the detected skew angle.
+async function dumpPreprocessingSteps(inputPath, outDir, { page = 1 } = {}) {
+    const session = path.join(os.tmpdir(), `ocr-${crypto.randomBytes(8).toString("hex")}`);
+    try {
+        const isPdf = !isImageFile(inputPath);
+        const pageCount = isPdf ? await _getPdfPageCount(inputPath) : await _getImagePageCount(inputPath);
+        if (page < 1 || page > pageCount) throw new Error(`Page ${page} out of range (1-${pageCount})`);
+
+        let renderError = null;
+        const onPageError = (_p, _s, e) => { renderError = e; };
+        const [image] = isPdf
+            ? await _convertPdfToPngImages(inputPath, session, DPI, [page], onPageError)
+            : await _convertImageToPngImages(inputPath, session, [page], onPageError);
+        if (!image) throw renderError;
+
+        await mmkdir(outDir, { recursive: true });
+        const steps = [];
+        await _enhanceImageUsingSharp(image, path.join(session, "enhanced.png"), {
+            onStep: async (step, png, info) => {
+                const file = path.join(outDir, `${String(steps.length).padStart(2, "0")}-${step}.png`);
+                await mwrite(file, png);
+                steps.push({ step, file, info });
+            }
+        });
+        return steps;
+    } finally {
+        await mrm(session, { recursive: true, force: true });
+    }
+}
+
 /* ======================================================
    Stream API (unchanged)
    ====================================================== */
@@ -292,9 +633,25 @@ async function getContent(stream, fileName) {
     const base64 = await _streamToBase64(stream);
     const res = await _runOcrProcessingPipeline(
         Buffer.from(base64, "base64"),
-        false
+        false,
+        { inputType: isImageFile(fileName) ? "image" : "pdf" }
     );
     return Buffer.from(res.text);
 }
 
-module.exports = { getContent };
\ No newline at end of file
+// like getContent, plus the per-page quality report and, with { layout: true },
+// the page layout in the ocrLayout.js format (both null for TXT input)
+async function getContentWithQuality(stream, fileName, { layout = false } = {}) {
+    if (path.extname(fileName).toLowerCase() === ".txt") {
+        return { content: await getContent(stream, fileName), quality: null, layout: null };
+    }
+    const base64 = await _streamToBase64(stream);
+    const res = await _runOcrProcessingPipeline(
+        Buffer.from(base64, "base64"),
+        false,
+        { layout, inputType: isImageFile(fileName) ? "image" : "pdf" }
+    );
+    return { content: Buffer.from(res.text), quality: res.quality, layout: res.layout };
+}
+
+module.exports = { IMAGE_EXTENSIONS, isImageFile, getContent, getContentWithQuality, dumpPreprocessingSteps };
\ No newline at end of file
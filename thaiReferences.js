@@ -0,0 +1,153 @@
+// thaiReferences.js
+"use strict";
+
+// Cross-references in Thai legislation name provisions by number and, when
+// they point outside the document, qualify them with the title of the other
+// law: "ตามมาตรา ๑๒", "ข้อ ๕ แห่งกฎกระทรวงนี้", "มาตรา ๕ และมาตรา ๖ แห่ง
+// พระราชบัญญัติว่าด้วยการทดสอบ พ.ศ. ๒๕๖๐". extractReferences() finds them and
+// returns what the text says; mapping that onto stored ids is left to
+// lawsStorageSimple.js, which knows which documents exist.
+
+const path = require("path");
+const { thaiDigitsToArabic } = require(path.join(__dirname, "./thaiText.js"));
+const { NUMBER, parseNumber } = require(path.join(__dirname, "./thaiLegalParser.js"));
+
+const ACT_WORDS = ["พระราชบัญญัติ", "พระราชกำหนด"];
+const REGULATION_WORDS = ["กฎกระทรวง", "พระราชกฤษฎีกา", "ระเบียบ", "ประกาศ", "ข้อบังคับ"];
+// codes (and the constitution) are cited by their name alone, without a year
+const CODES = [
+    "รัฐธรรมนูญแห่งราชอาณาจักรไทย",
+    "รัฐธรรมนูญ",
+    "ประมวลกฎหมายวิธีพิจารณาความอาญา",
+    "ประมวลกฎหมายวิธีพิจารณาความแพ่ง",
+    "ประมวลกฎหมายแพ่งและพาณิชย์",
+    "ประมวลกฎหมายอาญา",
+    "ประมวลกฎหมายที่ดิน",
+    "ประมวลรัษฎากร",
+];
+
+const DOCUMENT_WORDS = [...ACT_WORDS, ...REGULATION_WORDS].join("|");
+// a title runs up to its "พ.ศ. ...." without crossing a line, a quote or another title
+const TITLE = `(?:(?!${DOCUMENT_WORDS}|นี้)[^\\n"“”]){1,150}?\\s*พ\\.\\s*ศ\\.\\s*[0-9๐-๙]{4}`;
+
+const PROVISION = new RegExp(`(มาตรา|ข้อ)\\s*${NUMBER}`, "g");
+// "มาตรา ๕ และ ๖": further numbers under the same keyword
+const CONTINUATION = new RegExp(`\\s*(?:,|และ|หรือ|ถึง)\\s*${NUMBER}(?![0-9๐-๙])`, "y");
+// "มาตรา ๕ วรรคสอง (๓)": paragraphs and subsections narrow a reference but keep its target
+const SUBDIVISION = "(?:\\s*(?:วรรค(?:หนึ่ง|สอง|สาม|สี่|ห้า|หก|เจ็ด|แปด|เก้า|สิบ)|(?:อนุมาตรา\\s*)?\\([0-9๐-๙]+\\)))*";
+// "มาตรา ๕ ถึง มาตรา ๘" or "มาตรา ๕ ถึง ๘": every provision in between is cited too
+const RANGE_SEPARATOR = /^\s*ถึง\s*$/;
+// what may stand between the provisions of one list ("มาตรา ๕ และมาตรา ๖ แห่ง...")
+const LIST_SEPARATOR = new RegExp(`^${SUBDIVISION}\\s*(?:,|และ|หรือ|ถึง|ประกอบกับ|และ\\s*/?\\s*หรือ)?\\s*$`);
+const QUALIFIER = new RegExp(
+    `${SUBDIVISION}\\s*(?:แห่ง|ของ)\\s*(?:(${DOCUMENT_WORDS})นี้|((?:${DOCUMENT_WORDS})${TITLE})|(${CODES.join("|")}))`, "y");
+// a law cited as a whole; the looser regulation words (ระเบียบ, ประกาศ) are too common to count here
+const DOCUMENT = new RegExp(`(?:${ACT_WORDS.join("|")}|กฎกระทรวง|พระราชกฤษฎีกา)${TITLE}|${CODES.join("|")}`, "g");
+
+// adds the numbers a "ถึง" range leaves out; they share the span of the whole
+// range, since the text does not spell them out
+function expandRanges(items, source) {
+    const expanded = [];
+    for (const item of items) {
+        const prev = expanded[expanded.length - 1];
+        if (prev && prev.target_type === item.target_type && /^\d+$/.test(prev.number) && /^\d+$/.test(item.number) &&
+            RANGE_SEPARATOR.test(source.slice(prev.end, item.start))) {
+            for (let n = Number(prev.number) + 1; n < Number(item.number); n++) {
+                expanded.push({ target_type: item.target_type, number: String(n), start: prev.start, end: item.end });
+            }
+        }
+        expanded.push(item);
+    }
+    return expanded;
+}
+
+function documentTypeOf(title) {
+    return REGULATION_WORDS.some(w => title.startsWith(w)) ? "regulation" : "act";
+}
+
+// how titles are compared: digits as Arabic, no whitespace
+function normalizeDocumentName(name) {
+    return name == null ? null : thaiDigitsToArabic(String(name)).replace(/\s+/g, "");
+}
+
+/**
+ * References found in text, in order of appearance. Each is
+ *   { matched_text, span_start, span_end, target_type, target_number, document }
+ * where target_type is "section" (มาตรา), "clause" (ข้อ), "act" or
+ * "regulation" (a law cited as a whole), target_number is the provision
+ * number in the parser's id form ("5_1_bis") or null, and document is
+ *   null                          no qualifier: the citing document, or its enabling act
+ *   { self: true, document_type } "...นี้"
+ *   { name, document_type }       a title as written
+ * Spans are string offsets into text.
+ */
+function extractReferences(text) {
+    const source = String(text || "");
+    let items = [];
+
+    PROVISION.lastIndex = 0;
+    let m;
+    while ((m = PROVISION.exec(source))) {
+        const target_type = m[1] === "มาตรา" ? "section" : "clause";
+        items.push({ target_type, number: parseNumber(m[2], m[3]).id, start: m.index, end: m.index + m[0].length });
+
+        CONTINUATION.lastIndex = PROVISION.lastIndex;
+        let c;
+        while ((c = CONTINUATION.exec(source))) {
+            const start = c.index + c[0].search(/[0-9๐-๙]/);
+            items.push({ target_type, number: parseNumber(c[1], c[2]).id, start, end: CONTINUATION.lastIndex });
+            PROVISION.lastIndex = CONTINUATION.lastIndex;
+        }
+    }
+
+    items = expandRanges(items, source);
+
+    // a qualifier after the last provision of a list applies to the whole list
+    const references = [];
+    const claimed = [];
+    for (let i = 0; i < items.length;) {
+        let j = i;
+        while (j + 1 < items.length && LIST_SEPARATOR.test(source.slice(items[j].end, items[j + 1].start))) j++;
+
+        QUALIFIER.lastIndex = items[j].end;
+        const q = QUALIFIER.exec(source);
+        let document = null;
+        if (q && q[1]) document = { self: true, document_type: documentTypeOf(q[1]) };
+        else if (q) document = { name: (q[2] || q[3]).trim(), document_type: documentTypeOf(q[2] || q[3]) };
+        claimed.push([items[i].start, q ? QUALIFIER.lastIndex : items[j].end]);
+
+        for (const item of items.slice(i, j + 1)) {
+            references.push({
+                matched_text: source.slice(item.start, item.end),
+                span_start: item.start,
+                span_end: item.end,
+                target_type: item.target_type,
+                target_number: item.number,
+                document,
+            });
+        }
+        i = j + 1;
+    }
+
+    DOCUMENT.lastIndex = 0;
+    while ((m = DOCUMENT.exec(source))) {
+        const start = m.index, end = start + m[0].length;
+        if (claimed.some(([s, e]) => start < e && end > s)) continue;
+        const document_type = documentTypeOf(m[0]);
+        references.push({
+            matched_text: m[0],
+            span_start: start,
+            span_end: end,
+            target_type: document_type,
+            target_number: null,
+            document: { name: m[0].trim(), document_type },
+        });
+    }
+
+    return references.sort((a, b) => a.span_start - b.span_start);
+}
+
+module.exports = {
+    extractReferences,
+    normalizeDocumentName,
+};
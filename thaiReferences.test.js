@@ -0,0 +1,36 @@
+// thaiReferences.test.js
+"use strict";
+
+// node --test thaiReferences.test.js
+
+const { test } = require("node:test");
+const assert = require("node:assert");
+const path = require("path");
+const { extractReferences } = require(path.join(__dirname, "./thaiReferences.js"));
+
+const numbersOf = text => extractReferences(text).map(r => r.target_number);
+
+test("a ถึง range cites every section in between", () => {
+    assert.deepStrictEqual(numbersOf("ตามมาตรา ๕ ถึง มาตรา ๘"), ["5", "6", "7", "8"]);
+    assert.deepStrictEqual(numbersOf("ตามมาตรา ๕ ถึง ๘"), ["5", "6", "7", "8"]);
+});
+
+test("the numbers in between carry the span of the whole range", () => {
+    const text = "ตามมาตรา ๕ ถึง มาตรา ๗";
+    const [first, middle, last] = extractReferences(text);
+    assert.strictEqual(first.matched_text, "มาตรา ๕");
+    assert.strictEqual(middle.matched_text, "มาตรา ๕ ถึง มาตรา ๗");
+    assert.strictEqual(last.matched_text, "มาตรา ๗");
+});
+
+test("a qualifier after the range applies to all of it", () => {
+    const refs = extractReferences("ข้อ ๒ ถึงข้อ ๔ แห่งกฎกระทรวงนี้");
+    assert.deepStrictEqual(refs.map(r => r.target_number), ["2", "3", "4"]);
+    assert.ok(refs.every(r => r.target_type === "clause" && r.document && r.document.self));
+});
+
+test("lists and ranges that are not plain numbers are left as written", () => {
+    assert.deepStrictEqual(numbersOf("มาตรา ๕ และมาตรา ๘"), ["5", "8"]);
+    assert.deepStrictEqual(numbersOf("มาตรา ๘ ถึง มาตรา ๕"), ["8", "5"]);
+    assert.deepStrictEqual(numbersOf("มาตรา ๕ ถึง มาตรา ๖ ทวิ"), ["5", "6_bis"]);
+});
@@ -0,0 +1,104 @@
+// thaiText.js
+"use strict";
+
+// Thai has no spaces between words, so FTS5's unicode61 tokenizer would treat a
+// whole Thai phrase as one token. We segment with ICU (Intl.Segmenter) and mark
+// word boundaries with a zero-width space, which the index tokenizer is told to
+// treat as a separator. Stripping the marker gives back the original text.
+const WORD_BOUNDARY = "\u200B";
+
+// unicode61 only keeps letters and digits inside tokens, so Thai vowel and tone
+// marks (non-spacing) would otherwise split every word apart.
+const THAI_COMBINING_MARKS = "\u0E31\u0E34\u0E35\u0E36\u0E37\u0E38\u0E39\u0E3A" +
+    "\u0E47\u0E48\u0E49\u0E4A\u0E4B\u0E4C\u0E4D\u0E4E";
+
+const segmenter = new Intl.Segmenter("th", { granularity: "word" });
+
+const THAI_DIGITS = "๐๑๒๓๔๕๖๗๘๙";
+
+// "มาตรา ๑๒" → "มาตรา 12"; everything else is left as is
+function thaiDigitsToArabic(text) {
+    if (text == null) return text;
+    return String(text).replace(/[๐-๙]/g, (d) => String(THAI_DIGITS.indexOf(d)));
+}
+
+function segmentThaiText(text) {
+    if (!text) return "";
+    const parts = [];
+    for (const { segment } of segmenter.segment(String(text))) parts.push(segment);
+    return parts.join(WORD_BOUNDARY);
+}
+
+function stripWordBoundaries(text) {
+    return text == null ? text : String(text).split(WORD_BOUNDARY).join("");
+}
+
+function segmentThaiWords(text) {
+    if (!text) return [];
+    const words = [];
+    for (const { segment, isWordLike } of segmenter.segment(String(text))) {
+        if (isWordLike) words.push(segment);
+    }
+    return words;
+}
+
+const MIN_TEXT_LAYER_CHARS = 30;
+const THAI_MARK = new RegExp(`[${THAI_COMBINING_MARKS}]`);
+const THAI_BASE = /[\u0E01-\u0E30\u0E32\u0E33\u0E40-\u0E46]/;
+// U+FFFD, private-use glyphs of legacy Thai fonts, TIS-620 bytes read as Latin-1, C0 controls
+const GARBLED = /[\uFFFD\uE000-\uF8FF\u00A1-\u00FF\u0000-\u0008\u000E-\u001F]/g;
+// anything that is not Thai, printable ASCII or typographic punctuation
+const SUSPICIOUS = /[^\u0E01-\u0E5B\u0020-\u007E\u2013\u2014\u2018\u2019\u201C\u201D\u2026\u2022]/g;
+
+/**
+ * Character statistics of extracted or OCR'd Thai text:
+ * { chars, garbled_ratio, suspicious_ratio, orphan_mark_ratio } where chars
+ * excludes whitespace and orphan marks are vowel/tone marks not attached to a
+ * consonant.
+ */
+function measureThaiText(text) {
+    const raw = String(text || "");
+    const chars = raw.replace(/\s+/g, "");
+    const stats = { chars: chars.length, garbled_ratio: 0, suspicious_ratio: 0, orphan_mark_ratio: 0 };
+    if (!chars.length) return stats;
+
+    stats.garbled_ratio = (chars.match(GARBLED) || []).length / chars.length;
+    stats.suspicious_ratio = (chars.match(SUSPICIOUS) || []).length / chars.length;
+
+    // on the original text: a space between consonant and mark is exactly the breakage we look for
+    let marks = 0;
+    let orphans = 0;
+    for (let i = 0; i < raw.length; i++) {
+        if (!THAI_MARK.test(raw[i])) continue;
+        marks++;
+        if (i === 0 || !(THAI_BASE.test(raw[i - 1]) || THAI_MARK.test(raw[i - 1]))) orphans++;
+    }
+    stats.orphan_mark_ratio = marks ? orphans / marks : 0;
+    return stats;
+}
+
+/**
+ * Decides whether text extracted from a PDF's text layer can be used instead of
+ * OCR. Scanned pages have no text at all; PDFs made with legacy Thai fonts give
+ * private-use or Latin-1 characters, or vowel and tone marks detached from
+ * their consonant. Returns { usable, reason, ...measureThaiText(text) }.
+ */
+function assessTextLayer(text) {
+    const stats = measureThaiText(text);
+    const result = { usable: false, reason: null, ...stats };
+    if (stats.chars < MIN_TEXT_LAYER_CHARS) return { ...result, reason: "no text layer" };
+    if (stats.garbled_ratio > 0.02) return { ...result, reason: "garbled characters (legacy font encoding?)" };
+    if (stats.orphan_mark_ratio > 0.05) return { ...result, reason: "detached Thai vowel/tone marks" };
+    return { ...result, usable: true };
+}
+
+module.exports = {
+    WORD_BOUNDARY,
+    THAI_COMBINING_MARKS,
+    thaiDigitsToArabic,
+    measureThaiText,
+    assessTextLayer,
+    segmentThaiText,
+    segmentThaiWords,
+    stripWordBoundaries,
+};
@@ -0,0 +1,51 @@
+#!/usr/bin/env node
+"use strict";
+
+// Dumps every intermediate image of the preprocessing chain for one page, so
+// the deskew / contrast_stretch / adaptive_window / adaptive_bias / despeckle /
+// morph_close settings in conf/thaiocr.json (or their env overrides) can be
+// tuned by looking at the result of each step.
+
+const fs = require("fs");
+const path = require("path");
+const { dumpPreprocessingSteps } = require(path.join(__dirname, "./thaiOcrSimple.js"));
+
+function usage() {
+    console.error("❌ Invalid arguments.");
+    console.error("Usage:");
+    console.error(`  node ${path.basename(__filename)} /path/to/file.pdf [--page N] [--out dir]`);
+    console.error(`  node ${path.basename(__filename)} /path/to/scan.{png,jpg,tiff} [--page N] [--out dir]`);
+    process.exit(1);
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+    const pageIdx = args.indexOf("--page");
+    const outIdx = args.indexOf("--out");
+    const optionValues = new Set([pageIdx, outIdx].filter(i => i >= 0).map(i => i + 1));
+    const inputPath = args.find((a, i) => !a.startsWith("--") && !optionValues.has(i));
+
+    const page = pageIdx >= 0 ? Number(args[pageIdx + 1]) : 1;
+    if (!inputPath || !Number.isInteger(page) || page < 1 || (outIdx >= 0 && !args[outIdx + 1])) usage();
+
+    const resolvedPath = path.resolve(inputPath);
+    if (!fs.existsSync(resolvedPath)) {
+        console.error(`Path not found: ${resolvedPath}`);
+        process.exit(1);
+    }
+
+    const base = path.basename(resolvedPath, path.extname(resolvedPath));
+    const outDir = path.resolve(outIdx >= 0 ? args[outIdx + 1] : `${base}-page-${page}-preprocess`);
+
+    const steps = await dumpPreprocessingSteps(resolvedPath, outDir, { page });
+    for (const { step, file, info } of steps) {
+        const notes = typeof info.angle === "number" ? ` (skew ${info.angle}°)` : "";
+        console.log(`  ${step.padEnd(16)} → ${path.relative(process.cwd(), file)}${notes}`);
+    }
+    console.log(`✔ ${steps.length} image(s) written to ${outDir}`);
+}
+
+main().catch(err => {
+    console.error("❌ Fatal error:", err.message);
+    process.exit(1);
+});
@@ -0,0 +1,129 @@
+#!/usr/bin/env node
+// validateDocuments.js
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const {
+    detectDocumentKind,
+    validateJsonDirectory,
+    formatError,
+    writeSchemas,
+} = require(path.join(__dirname, "./lawsSchemas.js"));
+
+// ─────────────────────────────────────────────
+// Args
+// ─────────────────────────────────────────────
+const args = process.argv.slice(2);
+const isAll = args.includes("--all");
+const asJson = args.includes("--json");
+const schemasIdx = args.indexOf("--write-schemas");
+const schemasDir = schemasIdx >= 0 ? args[schemasIdx + 1] : null;
+const inputDirPath = args.find((a, i) => !a.startsWith("--") && (schemasIdx < 0 || i !== schemasIdx + 1));
+
+if (!inputDirPath && !schemasDir) {
+    console.log("❌ Invalid arguments.");
+    console.error(`Usage: node ${path.basename(__filename)} <Act/Regulation/Amendment Directory Path> [--json]`);
+    console.error("--- OR ---");
+    console.error(`Usage: node ${path.basename(__filename)} <masterDirPath> --all [--json]`);
+    console.error("--- OR ---");
+    console.error(`Usage: node ${path.basename(__filename)} --write-schemas <outputDir>`);
+    process.exit(1);
+}
+
+// ─────────────────────────────────────────────
+// Helpers
+// ─────────────────────────────────────────────
+
+// every document directory below masterDir (Acts/, Regulations/, ... or a flat list)
+function findDocumentDirectories(masterDir) {
+    const found = [];
+    for (const entry of fs.readdirSync(masterDir, { withFileTypes: true })) {
+        if (!entry.isDirectory()) continue;
+        const dir = path.join(masterDir, entry.name);
+        if (detectDocumentKind(dir)) found.push(dir);
+        else found.push(...findDocumentDirectories(dir));
+    }
+    return found.sort();
+}
+
+// ids are primary keys in the DB, so the same id in two directories would
+// make the second ingestion silently overwrite the first
+function checkIdsAcrossDirectories(results) {
+    const errors = [];
+    const seen = new Map(); // "file:id" → directory (chapters.json ids share one table)
+    for (const { dir, ids } of results) {
+        for (const [file, list] of Object.entries(ids)) {
+            for (const id of new Set(list)) {
+                const key = `${file}:${id}`;
+                if (seen.has(key)) {
+                    errors.push({
+                        file: path.join(dir, file),
+                        index: null,
+                        field: null,
+                        message: `id "${id}" is also used in ${path.join(seen.get(key), file)}`,
+                    });
+                } else {
+                    seen.set(key, dir);
+                }
+            }
+        }
+    }
+    return errors;
+}
+
+// ─────────────────────────────────────────────
+// Main
+// ─────────────────────────────────────────────
+async function main() {
+    if (schemasDir) {
+        const files = writeSchemas(path.resolve(schemasDir));
+        files.forEach(f => console.log(`📝 Wrote ${f}`));
+        if (!inputDirPath) return;
+    }
+
+    const resolvedInputDir = path.resolve(inputDirPath);
+    if (!fs.existsSync(resolvedInputDir) || !fs.statSync(resolvedInputDir).isDirectory()) {
+        console.error(`❌ Invalid inputDirPath: ${resolvedInputDir}`);
+        process.exit(1);
+    }
+
+    const dirs = isAll ? findDocumentDirectories(resolvedInputDir) : [resolvedInputDir];
+    if (isAll && dirs.length === 0) {
+        throw new Error(`No act, regulation or amendment directories found inside: ${resolvedInputDir}`);
+    }
+
+    const results = [];
+    for (const dir of dirs) {
+        const { kind, errors, ids } = await validateJsonDirectory(dir);
+        results.push({ dir, kind, errors, ids });
+    }
+
+    const crossErrors = isAll ? checkIdsAcrossDirectories(results) : [];
+    const allErrors = [...results.flatMap(r => r.errors), ...crossErrors];
+
+    if (asJson) {
+        console.log(JSON.stringify({
+            directories: results.map(({ dir, kind, errors }) => ({ dir, kind, errors })),
+            cross_directory_errors: crossErrors,
+            error_count: allErrors.length,
+        }, null, 2));
+    } else {
+        for (const { dir, kind, errors } of results) {
+            console.log(`${errors.length ? "❌" : "✅"} ${dir} (${kind || "unknown"}): ${errors.length} error(s)`);
+            errors.forEach(e => console.log(`   ${formatError(e)}`));
+        }
+        if (crossErrors.length) {
+            console.log(`\n❌ ${crossErrors.length} id(s) reused across directories:`);
+            crossErrors.forEach(e => console.log(`   ${formatError(e)}`));
+        }
+        console.log(`\n${allErrors.length ? "❌" : "✅"} ${dirs.length} directory(s) checked, ${allErrors.length} error(s)`);
+    }
+
+    if (allErrors.length) process.exitCode = 1;
+}
+
+main().catch(err => {
+    console.error("❌ Validation failed:", err.message);
+    process.exit(1);
+});